@@ -0,0 +1,18 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Import the compiled job runner
+import { runAccountJobs } from '../dist/utils/account-deletion.js';
+
+// Scheduled function: run account deletions past their grace period, expire data exports
+export const handler = async () => {
+  try {
+    const result = await runAccountJobs('scheduled');
+    return { statusCode: 200, body: JSON.stringify(result ?? { skipped: 'already running' }) };
+  } catch (error) {
+    console.error('❌ Account jobs failed:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: 'Account jobs failed' }) };
+  }
+};
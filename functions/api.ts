@@ -7,6 +7,6 @@ dotenv.config();
 // Import the Express app
 import { app } from '../dist/server.js';
 
-// Wrap Express app with serverless-http
-export const handler = serverless(app);
+// Wrap Express app with serverless-http (data exports are served as binary ZIPs)
+export const handler = serverless(app, { binary: ['application/zip'] });
 
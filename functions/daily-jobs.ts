@@ -0,0 +1,18 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Import the compiled job runner
+import { runDailyJobs } from '../dist/utils/daily-jobs.js';
+
+// Scheduled function: session aggregation and data retention
+export const handler = async () => {
+  try {
+    const result = await runDailyJobs('scheduled');
+    return { statusCode: 200, body: JSON.stringify(result ?? { skipped: 'already running' }) };
+  } catch (error) {
+    console.error('❌ Daily jobs failed:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: 'Daily jobs failed' }) };
+  }
+};
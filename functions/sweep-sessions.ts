@@ -0,0 +1,18 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Import the compiled sweeper
+import { sweepStaleSessions } from '../dist/utils/session-heartbeat.js';
+
+// Scheduled function: close connection sessions that stopped heartbeating
+export const handler = async () => {
+  try {
+    const closed = await sweepStaleSessions();
+    return { statusCode: 200, body: JSON.stringify({ closed }) };
+  } catch (error) {
+    console.error('❌ Session sweep failed:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: 'Session sweep failed' }) };
+  }
+};
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "apple_notifications" (
+    "id" TEXT NOT NULL,
+    "notification_uuid" TEXT NOT NULL,
+    "notification_type" TEXT NOT NULL,
+    "subtype" TEXT,
+    "original_transaction_id" TEXT,
+    "environment" TEXT,
+    "signed_date" TIMESTAMP(3),
+    "status" TEXT NOT NULL DEFAULT 'received',
+    "error" TEXT,
+    "subscription_id" TEXT,
+    "processed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "apple_notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "apple_notifications_notification_uuid_key" ON "apple_notifications"("notification_uuid");
+
+-- CreateIndex
+CREATE INDEX "apple_notifications_original_transaction_id_idx" ON "apple_notifications"("original_transaction_id");
+
+-- CreateIndex
+CREATE INDEX "apple_notifications_notification_type_idx" ON "apple_notifications"("notification_type");
+
+-- CreateIndex
+CREATE INDEX "apple_notifications_status_idx" ON "apple_notifications"("status");
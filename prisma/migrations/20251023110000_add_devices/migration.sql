@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "devices" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "device_identifier" TEXT NOT NULL,
+    "platform" TEXT,
+    "app_version" TEXT,
+    "name" TEXT,
+    "first_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "devices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "devices_user_id_device_identifier_key" ON "devices"("user_id", "device_identifier");
+
+-- CreateIndex
+CREATE INDEX "devices_user_id_idx" ON "devices"("user_id");
+
+-- CreateIndex
+CREATE INDEX "devices_revoked_at_idx" ON "devices"("revoked_at");
+
+-- AddForeignKey
+ALTER TABLE "devices" ADD CONSTRAINT "devices_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE "vpn_servers" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "region" TEXT NOT NULL,
+    "country" TEXT NOT NULL,
+    "city" TEXT NOT NULL,
+    "hostname" TEXT NOT NULL,
+    "port" INTEGER NOT NULL DEFAULT 51820,
+    "protocol" TEXT NOT NULL DEFAULT 'wireguard',
+    "public_key" TEXT NOT NULL,
+    "address_pool" TEXT NOT NULL,
+    "dns" TEXT,
+    "capacity" INTEGER NOT NULL DEFAULT 250,
+    "status" TEXT NOT NULL DEFAULT 'online',
+    "premium_only" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "vpn_servers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "vpn_peers" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "server_id" TEXT NOT NULL,
+    "device_id" TEXT,
+    "public_key" TEXT NOT NULL,
+    "address" TEXT,
+    "revoked_at" TIMESTAMP(3),
+    "revoked_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "vpn_peers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vpn_servers_hostname_key" ON "vpn_servers"("hostname");
+
+-- CreateIndex
+CREATE INDEX "vpn_servers_region_idx" ON "vpn_servers"("region");
+
+-- CreateIndex
+CREATE INDEX "vpn_servers_status_idx" ON "vpn_servers"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vpn_peers_server_id_address_key" ON "vpn_peers"("server_id", "address");
+
+-- CreateIndex
+CREATE INDEX "vpn_peers_user_id_idx" ON "vpn_peers"("user_id");
+
+-- CreateIndex
+CREATE INDEX "vpn_peers_server_id_idx" ON "vpn_peers"("server_id");
+
+-- CreateIndex
+CREATE INDEX "vpn_peers_revoked_at_idx" ON "vpn_peers"("revoked_at");
+
+-- AddForeignKey
+ALTER TABLE "vpn_peers" ADD CONSTRAINT "vpn_peers_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "vpn_peers" ADD CONSTRAINT "vpn_peers_server_id_fkey" FOREIGN KEY ("server_id") REFERENCES "vpn_servers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "connection_sessions" ADD COLUMN     "end_reason" TEXT,
+ADD COLUMN     "last_heartbeat_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "connection_sessions_session_end_last_heartbeat_at_idx" ON "connection_sessions"("session_end", "last_heartbeat_at");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "job_runs" (
+    "id" TEXT NOT NULL,
+    "job_name" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+    "result" JSONB,
+    "error" TEXT,
+    "trigger" TEXT NOT NULL DEFAULT 'cli',
+
+    CONSTRAINT "job_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "job_runs_job_name_started_at_idx" ON "job_runs"("job_name", "started_at");
+
+-- CreateIndex
+CREATE INDEX "job_runs_status_idx" ON "job_runs"("status");
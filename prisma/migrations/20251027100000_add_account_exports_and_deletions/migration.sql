@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "data_exports" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "file_name" TEXT NOT NULL,
+    "archive" BYTEA NOT NULL,
+    "size_bytes" INTEGER NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "downloaded_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "data_exports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "account_deletions" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "identifier_hashes" TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "requested_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "scheduled_for" TIMESTAMP(3) NOT NULL,
+    "cancelled_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "last_error" TEXT,
+    "stripe_subscriptions_cancelled" INTEGER NOT NULL DEFAULT 0,
+    "apple_subscriptions_active" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "account_deletions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "data_exports_user_id_idx" ON "data_exports"("user_id");
+
+-- CreateIndex
+CREATE INDEX "data_exports_expires_at_idx" ON "data_exports"("expires_at");
+
+-- CreateIndex
+CREATE INDEX "account_deletions_user_id_idx" ON "account_deletions"("user_id");
+
+-- CreateIndex
+CREATE INDEX "account_deletions_status_scheduled_for_idx" ON "account_deletions"("status", "scheduled_for");
+
+-- CreateIndex
+CREATE INDEX "account_deletions_completed_at_idx" ON "account_deletions"("completed_at");
+
+-- AddForeignKey
+ALTER TABLE "data_exports" ADD CONSTRAINT "data_exports_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "plans" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "tier" TEXT NOT NULL DEFAULT 'premium',
+    "billing_period" TEXT NOT NULL,
+    "price_amount" DECIMAL(10,2) NOT NULL,
+    "price_currency" TEXT NOT NULL DEFAULT 'USD',
+    "stripe_price_id" TEXT,
+    "apple_product_id" TEXT,
+    "trial_days" INTEGER NOT NULL DEFAULT 0,
+    "features" TEXT[],
+    "max_devices" INTEGER NOT NULL DEFAULT 5,
+    "max_concurrent_sessions" INTEGER NOT NULL DEFAULT 5,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plans_code_key" ON "plans"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plans_stripe_price_id_key" ON "plans"("stripe_price_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plans_apple_product_id_key" ON "plans"("apple_product_id");
+
+-- CreateIndex
+CREATE INDEX "plans_active_sort_order_idx" ON "plans"("active", "sort_order");
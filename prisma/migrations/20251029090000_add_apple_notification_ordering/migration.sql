@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "subscriptions" ADD COLUMN "apple_last_signed_date" TIMESTAMP(3);
@@ -0,0 +1,11 @@
+-- Keep only the newest pending deletion per user before enforcing uniqueness
+UPDATE "account_deletions" SET "status" = 'cancelled', "cancelled_at" = CURRENT_TIMESTAMP
+WHERE "status" IN ('scheduled', 'processing')
+  AND "id" NOT IN (
+    SELECT DISTINCT ON ("user_id") "id" FROM "account_deletions"
+    WHERE "status" IN ('scheduled', 'processing')
+    ORDER BY "user_id", "requested_at" DESC
+  );
+
+-- CreateIndex (partial unique indexes can't be declared in schema.prisma)
+CREATE UNIQUE INDEX "account_deletions_user_id_pending_key" ON "account_deletions"("user_id") WHERE "status" IN ('scheduled', 'processing');
@@ -0,0 +1,93 @@
+import prisma from '../src/config/prisma.js';
+import WebhookEvent from '../src/models/WebhookEvent.js';
+import { processStripeEvent } from '../src/utils/stripe-webhook.js';
+import type Stripe from 'stripe';
+
+/**
+ * Stripe Webhook Replay Script
+ * Re-runs stored Stripe events from webhook_events against the webhook handlers.
+ *
+ * Replay failed (or stuck) events:
+ *   npm run webhooks:replay
+ *   npm run webhooks:replay -- --limit 100
+ *
+ * Replay selected events, even if they were already processed:
+ *   npm run webhooks:replay -- evt_123 evt_456
+ */
+
+function parseArgs(argv: string[]): { eventIds: string[]; limit: number } {
+  const eventIds: string[] = [];
+  let limit = 50;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]!;
+    if (arg === '--limit') {
+      limit = parseInt(argv[++i] || '', 10) || limit;
+    } else if (arg.startsWith('evt_')) {
+      eventIds.push(arg);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return { eventIds, limit };
+}
+
+async function replayWebhooks() {
+  const { eventIds, limit } = parseArgs(process.argv.slice(2));
+  const webhookEventModel = new WebhookEvent();
+  const force = eventIds.length > 0;
+
+  try {
+    let storedEvents;
+
+    if (force) {
+      console.log(`🔁 Replaying ${eventIds.length} selected Stripe events...\n`);
+      storedEvents = [];
+      for (const eventId of eventIds) {
+        const storedEvent = await webhookEventModel.findByStripeEventId(eventId);
+        if (!storedEvent) {
+          console.log(`⚠️  ${eventId}: not found in webhook_events`);
+          continue;
+        }
+        storedEvents.push(storedEvent);
+      }
+      // Apply in Stripe's order regardless of the order given on the command line
+      storedEvents.sort((a, b) => a.eventCreatedAt.getTime() - b.eventCreatedAt.getTime());
+    } else {
+      storedEvents = await webhookEventModel.findReplayable(limit);
+      console.log(`🔁 Replaying ${storedEvents.length} failed Stripe events...\n`);
+    }
+
+    let failed = 0;
+
+    for (const storedEvent of storedEvents) {
+      try {
+        const result = await processStripeEvent(storedEvent.payload as unknown as Stripe.Event, { force });
+        console.log(`✅ ${storedEvent.stripeEventId} (${storedEvent.type}): ${result}`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${storedEvent.stripeEventId} (${storedEvent.type}): ${(error as Error).message}`);
+      }
+    }
+
+    console.log(`\n📊 Replayed ${storedEvents.length - failed}/${storedEvents.length} events`);
+
+    if (failed > 0) {
+      throw new Error(`${failed} events failed again`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run replay
+replayWebhooks()
+  .then(() => {
+    console.log('\n🎉 Done!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n💥 Replay failed:', error);
+    process.exit(1);
+  });
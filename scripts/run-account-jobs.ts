@@ -0,0 +1,39 @@
+import prisma from '../src/config/prisma.js';
+import { runAccountJobs } from '../src/utils/account-deletion.js';
+
+/**
+ * Account Jobs Script
+ * Deletes accounts whose deletion grace period has ended (cancelling live Stripe
+ * subscriptions first) and removes expired data exports. Each run is logged in job_runs.
+ *
+ *   npm run jobs:accounts
+ */
+
+async function runJobs() {
+  try {
+    const result = await runAccountJobs('cli');
+
+    if (!result) {
+      throw new Error('Another run is still in progress');
+    }
+
+    console.log(`\n📊 Deleted ${result.deleted} accounts, ${result.failed} failed, removed ${result.expiredExports} expired exports`);
+
+    if (result.failed > 0) {
+      throw new Error(`${result.failed} account deletions failed`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run jobs
+runJobs()
+  .then(() => {
+    console.log('\n🎉 Done!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n💥 Account jobs failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,61 @@
+import prisma from '../src/config/prisma.js';
+import { runDailyJobs } from '../src/utils/daily-jobs.js';
+
+/**
+ * Daily Maintenance Script
+ * Aggregates sessions into session_aggregates (backfilling missed days),
+ * then applies the anonymize/delete retention windows. Each run is logged in job_runs.
+ *
+ *   npm run jobs:daily
+ *
+ * Re-aggregate from a given day (e.g. after fixing data), ignoring the backfill cap:
+ *   npm run jobs:daily -- --from 2025-10-01
+ * Days whose sessions have already been deleted (RETENTION_DELETE_AFTER_DAYS) are never re-aggregated.
+ */
+
+function parseArgs(argv: string[]): { from?: Date } {
+  let from: Date | undefined;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]!;
+    if (arg === '--from') {
+      const value = argv[++i] || '';
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+        throw new Error(`--from must be a date (YYYY-MM-DD), got: ${value}`);
+      }
+      from = new Date(`${value}T00:00:00.000Z`);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return { from };
+}
+
+async function runJobs() {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    const result = await runDailyJobs('cli', options);
+
+    if (!result) {
+      throw new Error('Another run is still in progress');
+    }
+
+    console.log(`\n📊 Aggregated ${result.aggregatedDates.length} days (through ${result.aggregatedThrough || 'n/a'})`);
+    console.log(`📊 Anonymized ${result.anonymizedSessions} sessions, deleted ${result.deletedSessions} sessions`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run jobs
+runJobs()
+  .then(() => {
+    console.log('\n🎉 Done!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n💥 Daily jobs failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+import prisma from '../src/config/prisma.js';
+import { readSeedPlan, seedPlan } from '../src/utils/plan-seed.js';
+
+dotenv.config();
+
+/**
+ * Plan Seed Script
+ * Creates (or updates, matched by code) the catalog plan described by SEED_PLAN_* in the
+ * environment. Run once per environment after migrating; further plans go through /api/admin/plans.
+ *
+ *   SEED_PLAN_PRICE_AMOUNT=99.99 SEED_PLAN_STRIPE_PRICE_ID=price_... npm run plans:seed
+ */
+
+async function runSeed() {
+  try {
+    const planData = readSeedPlan();
+    const { plan, created } = await seedPlan(planData);
+
+    console.log(`\n📊 ${created ? 'Created' : 'Updated'} plan ${plan.code}:`, {
+      name: plan.name,
+      billingPeriod: plan.billingPeriod,
+      price: `${plan.priceAmount} ${plan.priceCurrency}`,
+      stripePriceId: plan.stripePriceId,
+      appleProductId: plan.appleProductId
+    });
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run seed
+runSeed()
+  .then(() => {
+    console.log('\n🎉 Done!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n💥 Plan seed failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,67 @@
+import dotenv from 'dotenv';
+import type { Prisma } from '@prisma/client';
+import type { EntitlementState, PlanLimits } from '../types/index.js';
+
+// Ensure environment variables are loaded
+dotenv.config();
+
+// Users without an entitlement
+export const FREE_LIMITS: PlanLimits = {
+  maxDevices: parseInt(process.env.FREE_MAX_DEVICES || '1', 10),
+  maxConcurrentSessions: parseInt(process.env.FREE_MAX_CONCURRENT_SESSIONS || '1', 10)
+};
+
+// Paid subscriptions whose plan is not in the catalog (e.g. a retired product)
+export const DEFAULT_PLAN_LIMITS: PlanLimits = {
+  maxDevices: parseInt(process.env.PLAN_MAX_DEVICES || '5', 10),
+  maxConcurrentSessions: parseInt(process.env.PLAN_MAX_CONCURRENT_SESSIONS || '5', 10)
+};
+
+/**
+ * How a single subscription row translates into access, for Stripe and Apple alike:
+ * - active / trialing grant access until currentPeriodEnd (no end date = open-ended)
+ * - past_due grants access until currentPeriodEnd while the store retries billing
+ *   (Stripe advances the period when the renewal invoice fails, Apple grace periods are
+ *   stored as the grace expiry), then it is billing_retry without access
+ * - anything else (inactive, cancelled, unpaid, incomplete...) has no access
+ */
+export function getSubscriptionAccess(
+  subscription: { status: string; currentPeriodEnd: Date | null },
+  now: Date = new Date()
+): { state: EntitlementState; hasAccess: boolean } {
+  const { status, currentPeriodEnd } = subscription;
+  const inPeriod = currentPeriodEnd === null || currentPeriodEnd >= now;
+
+  if ((status === 'active' || status === 'trialing') && inPeriod) {
+    return { state: status === 'trialing' ? 'trial' : 'active', hasAccess: true };
+  }
+
+  if (status === 'past_due') {
+    return currentPeriodEnd !== null && currentPeriodEnd >= now
+      ? { state: 'grace', hasAccess: true }
+      : { state: 'billing_retry', hasAccess: false };
+  }
+
+  return { state: 'expired', hasAccess: false };
+}
+
+/**
+ * Prisma filter for subscriptions that grant access - the query form of getSubscriptionAccess
+ */
+export function entitledSubscriptionWhere(now: Date = new Date()): Prisma.SubscriptionWhereInput {
+  return {
+    OR: [
+      {
+        status: { in: ['active', 'trialing'] },
+        OR: [
+          { currentPeriodEnd: null },
+          { currentPeriodEnd: { gte: now } }
+        ]
+      },
+      {
+        status: 'past_due',
+        currentPeriodEnd: { gte: now }
+      }
+    ]
+  };
+}
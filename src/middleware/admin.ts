@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import type { Request, Response, NextFunction } from 'express';
+import type { ApiResponse } from '../types/index.js';
+
+/**
+ * Middleware to require the admin API key in `X-Admin-Key`
+ * Admin routes are disabled entirely when ADMIN_API_KEY is not configured
+ */
+export const requireAdmin = (req: Request, res: Response, next: NextFunction): void => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    res.status(503).json({
+      success: false,
+      error: 'Admin API is not configured'
+    } as ApiResponse);
+    return;
+  }
+
+  const providedKey = req.header('x-admin-key') || '';
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const provided = crypto.createHash('sha256').update(providedKey).digest();
+
+  if (!providedKey || !crypto.timingSafeEqual(expected, provided)) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid admin key',
+      code: 'INVALID_ADMIN_KEY'
+    } as ApiResponse);
+    return;
+  }
+
+  next();
+};
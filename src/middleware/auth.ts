@@ -0,0 +1,120 @@
+import type { Request, Response, NextFunction } from 'express';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { verifyAuthToken, wasIssuedBefore } from '../utils/auth.js';
+import type { ApiResponse, AuthContext } from '../types/index.js';
+
+// Extend Express Request to include the authenticated session
+declare global {
+  namespace Express {
+    interface Request {
+      auth?: AuthContext;
+    }
+  }
+}
+
+/**
+ * Read the token from `Authorization: Bearer <token>`,
+ * falling back to a legacy `sessionToken` in the request body
+ */
+function getRequestToken(req: Request): string | null {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length).trim() || null;
+  }
+
+  const bodyToken = req.body?.sessionToken;
+  return typeof bodyToken === 'string' && bodyToken !== '' ? bodyToken : null;
+}
+
+/**
+ * Middleware to require a valid session
+ * Accepts short-lived access tokens, and legacy session tokens during the migration window.
+ * Rejects tokens whose session was logged out or whose device was revoked, whose user
+ * logged out everywhere, or whose user no longer exists.
+ */
+export const requireAuth = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+): Promise<void> => {
+  try {
+    const token = getRequestToken(req);
+
+    if (!token) {
+      res.status(401).json({
+        success: false,
+        error: 'No token provided',
+        code: 'NO_TOKEN'
+      } as ApiResponse);
+      return;
+    }
+
+    const verified = verifyAuthToken(token);
+
+    if (!verified) {
+      res.status(401).json({
+        success: false,
+        error: 'Invalid or expired session token',
+        code: 'INVALID_TOKEN'
+      } as ApiResponse);
+      return;
+    }
+
+    const { payload, legacy } = verified;
+
+    const userModel = new User();
+    const user = await userModel.findById(payload.userId);
+
+    if (!user) {
+      res.status(401).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      } as ApiResponse);
+      return;
+    }
+
+    if (payload.sid) {
+      // Access tokens and session-bound legacy tokens end with their refresh token family
+      // (logout, device revoke and logout-all all revoke families)
+      const refreshTokenModel = new RefreshToken();
+      const isActive = await refreshTokenModel.isFamilyActive(payload.sid);
+
+      if (!isActive) {
+        res.status(401).json({
+          success: false,
+          error: 'Session has been revoked',
+          code: 'TOKEN_REVOKED'
+        } as ApiResponse);
+        return;
+      }
+    } else if (wasIssuedBefore(payload.iat, user.sessionsRevokedAt)) {
+      // Legacy tokens from before sessions were tracked can only be revoked for the whole user
+      res.status(401).json({
+        success: false,
+        error: 'Session has been revoked',
+        code: 'TOKEN_REVOKED'
+      } as ApiResponse);
+      return;
+    }
+
+    req.auth = {
+      userId: user.id,
+      email: user.email,
+      provider: payload.provider,
+      sessionId: payload.sid || null,
+      deviceId: payload.deviceId || null,
+      legacy
+    };
+
+    next();
+  } catch (error) {
+    console.error('❌ Auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify session token'
+    } as ApiResponse);
+  }
+};
@@ -0,0 +1,188 @@
+import prisma from '../config/prisma.js';
+
+// Type alias for AccountDeletion from Prisma (non-nullable version)
+type PrismaAccountDeletion = NonNullable<Awaited<ReturnType<typeof prisma.accountDeletion.findUnique>>>;
+
+// A deletion is pending until it completes or is cancelled; 'processing' while a run holds its claim
+const PENDING_STATUSES = ['scheduled', 'processing'];
+
+// A 'processing' deletion older than this is assumed to have died mid-run and can be claimed again
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+/**
+ * AccountDeletion Model - Scheduled account deletions and their audit trail
+ * Rows outlive the user they describe, so they only keep the user ID and
+ * SHA-256 hashes of the user's identifiers (used to block immediate re-creation)
+ */
+class AccountDeletion {
+  /**
+   * Schedule a deletion, or return the one already pending for the user
+   * A partial unique index allows one pending deletion per user, so when parallel
+   * requests race the losing insert returns the winner's deletion.
+   */
+  async schedule(userId: string, identifierHashes: string[], scheduledFor: Date): Promise<PrismaAccountDeletion> {
+    try {
+      const pending = await this.findPendingByUserId(userId);
+      if (pending) {
+        return pending;
+      }
+
+      const deletion = await prisma.accountDeletion.create({
+        data: { userId, identifierHashes, scheduledFor, status: 'scheduled' }
+      });
+
+      console.log(`🗓️ Account deletion scheduled for user ${userId} at ${scheduledFor.toISOString()}`);
+      return deletion;
+    } catch (error) {
+      if ((error as { code?: string }).code === 'P2002') {
+        const pending = await this.findPendingByUserId(userId);
+        if (pending) {
+          return pending;
+        }
+      }
+
+      console.error('❌ Failed to schedule account deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the user's pending (not yet executed or cancelled) deletion
+   */
+  async findPendingByUserId(userId: string): Promise<PrismaAccountDeletion | null> {
+    try {
+      return await prisma.accountDeletion.findFirst({
+        where: { userId, status: { in: PENDING_STATUSES } },
+        orderBy: { requestedAt: 'desc' }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find pending account deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending deletion
+   * Returns false if it already ran or was cancelled
+   */
+  async cancel(deletionId: string): Promise<boolean> {
+    try {
+      const result = await prisma.accountDeletion.updateMany({
+        where: { id: deletionId, status: 'scheduled' },
+        data: { status: 'cancelled', cancelledAt: new Date() }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Failed to cancel account deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find deletions whose grace period has ended (oldest first)
+   * Includes stale claims left behind by a run that died mid-deletion.
+   */
+  async findDue(limit: number = 25): Promise<PrismaAccountDeletion[]> {
+    try {
+      return await prisma.accountDeletion.findMany({
+        where: { scheduledFor: { lte: new Date() }, ...claimableWhere() },
+        orderBy: { scheduledFor: 'asc' },
+        take: limit
+      });
+    } catch (error) {
+      console.error('❌ Failed to find due account deletions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically claim a deletion before running it
+   * Only a scheduled deletion (or a stale claim) can be claimed, so parallel runs - and a
+   * cancellation racing a run - can't both act on it. Returns false if it was not claimed.
+   */
+  async claim(deletionId: string): Promise<boolean> {
+    try {
+      const result = await prisma.accountDeletion.updateMany({
+        where: { id: deletionId, ...claimableWhere() },
+        data: { status: 'processing', updatedAt: new Date() }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Failed to claim account deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a completed deletion
+   */
+  async markCompleted(deletionId: string, stripeSubscriptionsCancelled: number, appleSubscriptionsActive: number): Promise<void> {
+    try {
+      await prisma.accountDeletion.update({
+        where: { id: deletionId },
+        data: {
+          status: 'completed',
+          completedAt: new Date(),
+          attempts: { increment: 1 },
+          lastError: null,
+          stripeSubscriptionsCancelled,
+          appleSubscriptionsActive
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to mark account deletion completed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed attempt and release the claim; the deletion is retried on the next run
+   */
+  async markAttemptFailed(deletionId: string, errorMessage: string): Promise<void> {
+    try {
+      await prisma.accountDeletion.update({
+        where: { id: deletionId },
+        data: { status: 'scheduled', attempts: { increment: 1 }, lastError: errorMessage }
+      });
+    } catch (error) {
+      console.error('❌ Failed to record account deletion attempt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a deletion completed since the given time that matches any of the identifier hashes
+   */
+  async findRecentlyCompletedByIdentifiers(identifierHashes: string[], since: Date): Promise<PrismaAccountDeletion | null> {
+    try {
+      return await prisma.accountDeletion.findFirst({
+        where: {
+          status: 'completed',
+          completedAt: { gte: since },
+          identifierHashes: { hasSome: identifierHashes }
+        },
+        orderBy: { completedAt: 'desc' }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find recent account deletions:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Deletions a run may claim: scheduled ones, and claims that went stale
+ */
+function claimableWhere() {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+  return {
+    OR: [
+      { status: 'scheduled' },
+      { status: 'processing', updatedAt: { lt: staleBefore } }
+    ]
+  };
+}
+
+export default AccountDeletion;
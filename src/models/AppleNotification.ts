@@ -0,0 +1,114 @@
+import prisma from '../config/prisma.js';
+import type { RecordAppleNotificationData } from '../types/index.js';
+
+// Type alias for AppleNotification from Prisma (non-nullable version)
+type PrismaAppleNotification = NonNullable<Awaited<ReturnType<typeof prisma.appleNotification.findUnique>>>;
+
+// A 'processing' notification older than this is assumed to have died mid-flight
+const STALE_PROCESSING_MS = 2 * 60 * 1000;
+
+// Outcomes that Apple's retries should process again
+const RETRYABLE_STATUSES = ['failed', 'unlinked'];
+
+/**
+ * AppleNotification Model - Log of App Store Server Notifications V2
+ * Keyed by notificationUUID so Apple's retries are only applied once
+ */
+class AppleNotification {
+  /**
+   * Find notification by Apple's notificationUUID
+   */
+  async findByUuid(notificationUuid: string): Promise<PrismaAppleNotification | null> {
+    try {
+      return await prisma.appleNotification.findUnique({
+        where: { notificationUuid }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find Apple notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically claim a notification for processing
+   * The first delivery claims it by inserting into the notificationUUID unique index; a retry
+   * can only take over a retryable outcome or a stale claim. Returns false if the notification
+   * was already handled or another request is processing it.
+   */
+  async claim(data: RecordAppleNotificationData): Promise<boolean> {
+    try {
+      await prisma.appleNotification.create({
+        data: {
+          notificationUuid: data.notificationUuid,
+          notificationType: data.notificationType,
+          subtype: data.subtype || null,
+          originalTransactionId: data.originalTransactionId || null,
+          environment: data.environment || null,
+          signedDate: data.signedDate || null,
+          status: 'processing'
+        }
+      });
+      return true;
+    } catch (error) {
+      if ((error as { code?: string }).code !== 'P2002') {
+        console.error('❌ Failed to claim Apple notification:', error);
+        throw error;
+      }
+    }
+
+    try {
+      const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+      const result = await prisma.appleNotification.updateMany({
+        where: {
+          notificationUuid: data.notificationUuid,
+          OR: [
+            { status: { in: RETRYABLE_STATUSES } },
+            { status: 'processing', updatedAt: { lt: staleBefore } }
+          ]
+        },
+        data: { status: 'processing', updatedAt: new Date() }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Failed to claim Apple notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a notification (insert or update by notificationUUID)
+   */
+  async record(data: RecordAppleNotificationData): Promise<PrismaAppleNotification> {
+    try {
+      const fields = {
+        notificationType: data.notificationType,
+        subtype: data.subtype || null,
+        originalTransactionId: data.originalTransactionId || null,
+        environment: data.environment || null,
+        signedDate: data.signedDate || null,
+        status: data.status,
+        error: data.error || null,
+        subscriptionId: data.subscriptionId || null,
+        processedAt: RETRYABLE_STATUSES.includes(data.status) ? null : new Date()
+      };
+
+      const notification = await prisma.appleNotification.upsert({
+        where: { notificationUuid: data.notificationUuid },
+        create: {
+          notificationUuid: data.notificationUuid,
+          ...fields
+        },
+        update: fields
+      });
+
+      console.log(`✅ Apple notification ${notification.notificationUuid} recorded as ${notification.status}`);
+      return notification;
+    } catch (error) {
+      console.error('❌ Failed to record Apple notification:', error);
+      throw error;
+    }
+  }
+}
+
+export default AppleNotification;
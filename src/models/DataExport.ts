@@ -0,0 +1,102 @@
+import prisma from '../config/prisma.js';
+
+// Type alias for DataExport from Prisma (non-nullable version)
+type PrismaDataExport = NonNullable<Awaited<ReturnType<typeof prisma.dataExport.findUnique>>>;
+
+/**
+ * DataExport Model - Downloadable archives of a user's data (GDPR access requests)
+ * Archives are kept until they expire and are then removed by the account jobs
+ */
+class DataExport {
+  /**
+   * Store a generated archive
+   */
+  async create(userId: string, fileName: string, archive: Buffer, expiresAt: Date): Promise<PrismaDataExport> {
+    try {
+      const dataExport = await prisma.dataExport.create({
+        data: {
+          userId,
+          fileName,
+          archive,
+          sizeBytes: archive.length,
+          expiresAt
+        }
+      });
+
+      console.log(`✅ Data export created for user ${userId}: ${dataExport.id} (${archive.length} bytes)`);
+      return dataExport;
+    } catch (error) {
+      console.error('❌ Failed to create data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find export by ID
+   */
+  async findById(exportId: string): Promise<PrismaDataExport | null> {
+    try {
+      return await prisma.dataExport.findUnique({
+        where: { id: exportId }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the user's most recent unexpired export created after a point in time
+   */
+  async findRecentByUserId(userId: string, since: Date): Promise<PrismaDataExport | null> {
+    try {
+      return await prisma.dataExport.findFirst({
+        where: {
+          userId,
+          createdAt: { gte: since },
+          expiresAt: { gt: new Date() }
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find recent data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that an export was downloaded
+   */
+  async markDownloaded(exportId: string): Promise<void> {
+    try {
+      await prisma.dataExport.update({
+        where: { id: exportId },
+        data: { downloadedAt: new Date() }
+      });
+    } catch (error) {
+      console.error('❌ Failed to mark data export downloaded:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired archives
+   */
+  async deleteExpired(): Promise<number> {
+    try {
+      const result = await prisma.dataExport.deleteMany({
+        where: { expiresAt: { lte: new Date() } }
+      });
+
+      if (result.count > 0) {
+        console.log(`✅ Deleted ${result.count} expired data exports`);
+      }
+      return result.count;
+    } catch (error) {
+      console.error('❌ Failed to delete expired data exports:', error);
+      throw error;
+    }
+  }
+}
+
+export default DataExport;
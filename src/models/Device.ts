@@ -0,0 +1,214 @@
+import prisma from '../config/prisma.js';
+import type { Prisma } from '@prisma/client';
+import type { RegisterDeviceData } from '../types/index.js';
+
+// Type alias for Device from Prisma (non-nullable version)
+type PrismaDevice = NonNullable<Awaited<ReturnType<typeof prisma.device.findUnique>>>;
+
+// Create the device, or refresh its details and reactivate it (shared by the sign-in methods below)
+function upsertSignIn(
+  client: Prisma.TransactionClient,
+  userId: string,
+  deviceData: RegisterDeviceData
+): Promise<PrismaDevice> {
+  const now = new Date();
+  const details = {
+    ...(deviceData.platform ? { platform: deviceData.platform } : {}),
+    ...(deviceData.appVersion ? { appVersion: deviceData.appVersion } : {})
+  };
+
+  return client.device.upsert({
+    where: {
+      userId_deviceIdentifier: { userId, deviceIdentifier: deviceData.deviceIdentifier }
+    },
+    create: {
+      userId,
+      deviceIdentifier: deviceData.deviceIdentifier,
+      name: deviceData.name || null,
+      ...details,
+      firstSeenAt: now,
+      lastSeenAt: now
+    },
+    update: {
+      ...details,
+      lastSeenAt: now,
+      revokedAt: null
+    }
+  });
+}
+
+/**
+ * Device Model - Per-account registry of signed-in devices
+ * deviceIdentifier is the client-generated deviceId, unique per user
+ */
+class Device {
+  /**
+   * Find device by ID
+   */
+  async findById(deviceId: string): Promise<PrismaDevice | null> {
+    try {
+      return await prisma.device.findUnique({
+        where: { id: deviceId }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find device by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's device by its client identifier
+   */
+  async findByIdentifier(userId: string, deviceIdentifier: string): Promise<PrismaDevice | null> {
+    try {
+      return await prisma.device.findUnique({
+        where: {
+          userId_deviceIdentifier: { userId, deviceIdentifier }
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find device by identifier:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all devices for a user (most recently seen first)
+   */
+  async findAllByUserId(userId: string, includeRevoked: boolean = false): Promise<PrismaDevice[]> {
+    try {
+      return await prisma.device.findMany({
+        where: {
+          userId,
+          ...(includeRevoked ? {} : { revokedAt: null })
+        },
+        orderBy: { lastSeenAt: 'desc' }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find devices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count devices that are not revoked
+   */
+  async countActiveByUserId(userId: string): Promise<number> {
+    try {
+      return await prisma.device.count({
+        where: { userId, revokedAt: null }
+      });
+    } catch (error) {
+      console.error('❌ Failed to count devices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a device sign-in: create it, or refresh its details and last seen time
+   * Signing in again on a revoked device reactivates it
+   */
+  async registerSignIn(userId: string, deviceData: RegisterDeviceData): Promise<PrismaDevice> {
+    try {
+      const device = await upsertSignIn(prisma, userId, deviceData);
+
+      console.log('✅ Device registered:', device.id);
+      return device;
+    } catch (error) {
+      console.error('❌ Failed to register device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a device sign-in unless it would exceed maxDevices
+   * New (or revoked) devices are counted and inserted under a per-user lock, so concurrent
+   * sign-ins can't both take the last free slot. Already active devices are always allowed.
+   * Returns the device, or null with the current count when the limit is reached.
+   */
+  async registerSignInWithinLimit(
+    userId: string,
+    deviceData: RegisterDeviceData,
+    maxDevices: number
+  ): Promise<{ device: PrismaDevice | null; activeDevices: number }> {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`devices:${userId}`}))`;
+
+        const activeDevices = await tx.device.count({
+          where: { userId, revokedAt: null }
+        });
+        const existingDevice = await tx.device.findUnique({
+          where: {
+            userId_deviceIdentifier: { userId, deviceIdentifier: deviceData.deviceIdentifier }
+          }
+        });
+        const isActive = existingDevice !== null && existingDevice.revokedAt === null;
+
+        if (!isActive && activeDevices >= maxDevices) {
+          return { device: null, activeDevices };
+        }
+
+        const device = await upsertSignIn(tx, userId, deviceData);
+        console.log('✅ Device registered:', device.id);
+        return { device, activeDevices: isActive ? activeDevices : activeDevices + 1 };
+      });
+    } catch (error) {
+      console.error('❌ Failed to register device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update last seen time (no-op for unknown or revoked devices)
+   */
+  async touch(userId: string, deviceIdentifier: string): Promise<void> {
+    try {
+      await prisma.device.updateMany({
+        where: { userId, deviceIdentifier, revokedAt: null },
+        data: { lastSeenAt: new Date() }
+      });
+    } catch (error) {
+      console.error('❌ Failed to update device last seen:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename device
+   */
+  async rename(deviceId: string, name: string): Promise<PrismaDevice> {
+    try {
+      const device = await prisma.device.update({
+        where: { id: deviceId },
+        data: { name }
+      });
+
+      console.log('✅ Device renamed:', device.id);
+      return device;
+    } catch (error) {
+      console.error('❌ Failed to rename device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke device (its credentials are revoked separately via RefreshToken)
+   */
+  async revoke(deviceId: string): Promise<PrismaDevice> {
+    try {
+      const device = await prisma.device.update({
+        where: { id: deviceId },
+        data: { revokedAt: new Date() }
+      });
+
+      console.log('✅ Device revoked:', device.id);
+      return device;
+    } catch (error) {
+      console.error('❌ Failed to revoke device:', error);
+      throw error;
+    }
+  }
+}
+
+export default Device;
@@ -0,0 +1,107 @@
+import prisma from '../config/prisma.js';
+import type { Prisma } from '@prisma/client';
+import type { JobTrigger } from '../types/index.js';
+
+// Type alias for JobRun from Prisma (non-nullable version)
+type PrismaJobRun = NonNullable<Awaited<ReturnType<typeof prisma.jobRun.findUnique>>>;
+
+// A 'running' job older than this is assumed to have died mid-flight (e.g. function timeout)
+const STALE_RUNNING_MS = 30 * 60 * 1000;
+
+/**
+ * JobRun Model - Outcome of each scheduled/CLI job run
+ */
+class JobRun {
+  /**
+   * Record the start of a run
+   * Returns null if another run of the same job is still in progress.
+   * The check and the insert run under a per-job advisory lock, so a CLI run and a
+   * scheduled run started at the same moment can't both start.
+   */
+  async start(jobName: string, trigger: JobTrigger): Promise<PrismaJobRun | null> {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`job_runs:${jobName}`}))`;
+
+        const runningSince = new Date(Date.now() - STALE_RUNNING_MS);
+        const running = await tx.jobRun.findFirst({
+          where: { jobName, status: 'running', startedAt: { gte: runningSince } }
+        });
+
+        if (running) {
+          console.log(`⏳ Job ${jobName} is already running (${running.id})`);
+          return null;
+        }
+
+        return tx.jobRun.create({
+          data: { jobName, trigger, status: 'running' }
+        });
+      });
+    } catch (error) {
+      console.error('❌ Failed to start job run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the most recent successful run of a job
+   */
+  async findLastSucceeded(jobName: string): Promise<PrismaJobRun | null> {
+    try {
+      return await prisma.jobRun.findFirst({
+        where: { jobName, status: 'succeeded' },
+        orderBy: { startedAt: 'desc' }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find last job run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find recent runs, newest first (admin)
+   */
+  async findRecent(limit: number = 20): Promise<PrismaJobRun[]> {
+    try {
+      return await prisma.jobRun.findMany({
+        orderBy: { startedAt: 'desc' },
+        take: limit
+      });
+    } catch (error) {
+      console.error('❌ Failed to find job runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a run as succeeded
+   */
+  async markSucceeded(runId: string, result: Prisma.InputJsonValue): Promise<void> {
+    try {
+      await prisma.jobRun.update({
+        where: { id: runId },
+        data: { status: 'succeeded', finishedAt: new Date(), result }
+      });
+    } catch (error) {
+      console.error('❌ Failed to mark job run succeeded:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a run as failed, keeping whatever partial result it produced
+   */
+  async markFailed(runId: string, errorMessage: string, result?: Prisma.InputJsonValue): Promise<void> {
+    try {
+      await prisma.jobRun.update({
+        where: { id: runId },
+        data: { status: 'failed', finishedAt: new Date(), error: errorMessage, ...(result !== undefined ? { result } : {}) }
+      });
+    } catch (error) {
+      console.error('❌ Failed to mark job run failed:', error);
+      throw error;
+    }
+  }
+}
+
+export default JobRun;
@@ -0,0 +1,166 @@
+import prisma from '../config/prisma.js';
+import type { CreatePlanData, UpdatePlanData } from '../types/index.js';
+
+// Type alias for Plan from Prisma (non-nullable version)
+type PrismaPlan = NonNullable<Awaited<ReturnType<typeof prisma.plan.findUnique>>>;
+
+/**
+ * Plan Model - Catalog of paid plans, mapping Stripe prices and Apple products
+ * to a tier, features and device limits
+ * TypeScript + Prisma ORM for full type safety
+ */
+class Plan {
+  /**
+   * Create a new plan
+   */
+  async create(planData: CreatePlanData): Promise<PrismaPlan> {
+    try {
+      const plan = await prisma.plan.create({
+        data: {
+          code: planData.code,
+          name: planData.name,
+          tier: planData.tier || 'premium',
+          billingPeriod: planData.billingPeriod,
+          priceAmount: planData.priceAmount,
+          priceCurrency: planData.priceCurrency || 'USD',
+          stripePriceId: planData.stripePriceId || null,
+          appleProductId: planData.appleProductId || null,
+          trialDays: planData.trialDays || 0,
+          features: planData.features || [],
+          maxDevices: planData.maxDevices || 5,
+          maxConcurrentSessions: planData.maxConcurrentSessions || 5,
+          active: planData.active ?? true,
+          sortOrder: planData.sortOrder || 0
+        }
+      });
+
+      console.log('✅ Plan created successfully:', plan.code);
+      return plan;
+    } catch (error) {
+      console.error('❌ Failed to create plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find plan by ID
+   */
+  async findById(planId: string): Promise<PrismaPlan | null> {
+    try {
+      return await prisma.plan.findUnique({
+        where: { id: planId }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find plan by its public code (e.g. premium_yearly)
+   */
+  async findByCode(code: string): Promise<PrismaPlan | null> {
+    try {
+      return await prisma.plan.findUnique({
+        where: { code }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find plan by code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find plan by Stripe price ID
+   */
+  async findByStripePriceId(stripePriceId: string): Promise<PrismaPlan | null> {
+    try {
+      return await prisma.plan.findUnique({
+        where: { stripePriceId }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find plan by Stripe price ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find plan by Apple product ID
+   */
+  async findByAppleProductId(appleProductId: string): Promise<PrismaPlan | null> {
+    try {
+      return await prisma.plan.findUnique({
+        where: { appleProductId }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find plan by Apple product ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all plans, including retired ones that existing subscribers may still be on
+   */
+  async findAll(): Promise<PrismaPlan[]> {
+    try {
+      return await prisma.plan.findMany({
+        orderBy: [{ sortOrder: 'asc' }, { code: 'asc' }]
+      });
+    } catch (error) {
+      console.error('❌ Failed to find plans:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find plans that are currently offered for purchase
+   */
+  async findActive(): Promise<PrismaPlan[]> {
+    try {
+      return await prisma.plan.findMany({
+        where: { active: true },
+        orderBy: [{ sortOrder: 'asc' }, { code: 'asc' }]
+      });
+    } catch (error) {
+      console.error('❌ Failed to find active plans:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update plan
+   */
+  async update(planId: string, updateData: UpdatePlanData): Promise<PrismaPlan> {
+    try {
+      const plan = await prisma.plan.update({
+        where: { id: planId },
+        data: updateData
+      });
+
+      console.log('✅ Plan updated successfully:', plan.code);
+      return plan;
+    } catch (error) {
+      console.error('❌ Failed to update plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete plan (subscriptions keep their planId and fall back to the default paid limits)
+   */
+  async delete(planId: string): Promise<boolean> {
+    try {
+      await prisma.plan.delete({
+        where: { id: planId }
+      });
+
+      console.log('✅ Plan deleted successfully:', planId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to delete plan:', error);
+      throw error;
+    }
+  }
+}
+
+export default Plan;
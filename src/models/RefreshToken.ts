@@ -0,0 +1,155 @@
+import prisma from '../config/prisma.js';
+import type { CreateRefreshTokenData } from '../types/index.js';
+
+// Type alias for RefreshToken from Prisma (non-nullable version)
+type PrismaRefreshToken = NonNullable<Awaited<ReturnType<typeof prisma.refreshToken.findUnique>>>;
+
+/**
+ * RefreshToken Model - Hashed, rotating refresh tokens
+ * Every rotation stays in the same family (one family = one signed-in session),
+ * so reuse of an already-rotated token can revoke the whole session
+ */
+class RefreshToken {
+  /**
+   * Store a new refresh token (hash only)
+   */
+  async create(tokenData: CreateRefreshTokenData): Promise<PrismaRefreshToken> {
+    try {
+      return await prisma.refreshToken.create({
+        data: {
+          userId: tokenData.userId,
+          tokenHash: tokenData.tokenHash,
+          familyId: tokenData.familyId,
+          deviceId: tokenData.deviceId || null,
+          expiresAt: tokenData.expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to create refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find refresh token by its hash
+   */
+  async findByHash(tokenHash: string): Promise<PrismaRefreshToken | null> {
+    try {
+      return await prisma.refreshToken.findUnique({
+        where: { tokenHash }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a token as used and store its replacement in the same family
+   * Returns null if the token was rotated concurrently (treated as reuse by the caller)
+   */
+  async rotate(current: PrismaRefreshToken, nextTokenHash: string, expiresAt: Date): Promise<PrismaRefreshToken | null> {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const marked = await tx.refreshToken.updateMany({
+          where: { id: current.id, rotatedAt: null, revokedAt: null },
+          data: { rotatedAt: new Date() }
+        });
+
+        if (marked.count === 0) {
+          return null;
+        }
+
+        return await tx.refreshToken.create({
+          data: {
+            userId: current.userId,
+            tokenHash: nextTokenHash,
+            familyId: current.familyId,
+            deviceId: current.deviceId,
+            expiresAt
+          }
+        });
+      });
+    } catch (error) {
+      console.error('❌ Failed to rotate refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a session (token family) is still signed in
+   */
+  async isFamilyActive(familyId: string): Promise<boolean> {
+    try {
+      const active = await prisma.refreshToken.findFirst({
+        where: {
+          familyId,
+          revokedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        select: { id: true }
+      });
+
+      return active !== null;
+    } catch (error) {
+      console.error('❌ Failed to check refresh token family:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every token in a family (logout of one session, or reuse detected)
+   */
+  async revokeFamily(familyId: string, reason: string): Promise<number> {
+    try {
+      const result = await prisma.refreshToken.updateMany({
+        where: { familyId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+      });
+
+      console.log(`✅ Revoked ${result.count} refresh tokens in family ${familyId} (${reason})`);
+      return result.count;
+    } catch (error) {
+      console.error('❌ Failed to revoke refresh token family:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every refresh token issued to one of a user's devices
+   */
+  async revokeDevice(userId: string, deviceId: string, reason: string): Promise<number> {
+    try {
+      const result = await prisma.refreshToken.updateMany({
+        where: { userId, deviceId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+      });
+
+      console.log(`✅ Revoked ${result.count} refresh tokens for device ${deviceId} (${reason})`);
+      return result.count;
+    } catch (error) {
+      console.error('❌ Failed to revoke refresh tokens for device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every refresh token a user holds
+   */
+  async revokeAllForUser(userId: string, reason: string): Promise<number> {
+    try {
+      const result = await prisma.refreshToken.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+      });
+
+      console.log(`✅ Revoked ${result.count} refresh tokens for user ${userId} (${reason})`);
+      return result.count;
+    } catch (error) {
+      console.error('❌ Failed to revoke refresh tokens for user:', error);
+      throw error;
+    }
+  }
+}
+
+export default RefreshToken;
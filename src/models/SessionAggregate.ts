@@ -0,0 +1,95 @@
+import prisma from '../config/prisma.js';
+import { Prisma } from '@prisma/client';
+import type { AnalyticsDimension, AnalyticsPoint, AnalyticsQueryOptions } from '../types/index.js';
+
+// Whitelisted SQL for query options that can't be bound as parameters
+const DIMENSION_COLUMNS: Record<AnalyticsDimension, string> = {
+  platform: '"platform"',
+  location: '"server_location"',
+  tier: '"subscription_tier"'
+};
+
+interface AnalyticsRow {
+  period: Date;
+  platform?: string;
+  location?: string;
+  tier?: string;
+  sessions: bigint;
+  duration_seconds: bigint;
+  bytes_transferred: Prisma.Decimal;
+  user_days: bigint;
+}
+
+/**
+ * SessionAggregate Model - Anonymized daily session analytics
+ * Aggregates are written by ConnectionSession.aggregateSessionsForDate
+ */
+class SessionAggregate {
+  /**
+   * Time series of aggregated metrics, bucketed by interval and split by the requested dimensions
+   * All grouping and summing runs in the database
+   */
+  async getTimeSeries(options: AnalyticsQueryOptions): Promise<AnalyticsPoint[]> {
+    try {
+      const dimensions = options.groupBy.map((dimension) =>
+        Prisma.raw(`${DIMENSION_COLUMNS[dimension]} AS "${dimension}"`)
+      );
+      const groupColumns = options.groupBy.map((dimension) => Prisma.raw(DIMENSION_COLUMNS[dimension]));
+      const interval = Prisma.raw(`'${options.interval}'`);
+
+      const filters = [
+        Prisma.sql`"aggregation_date" >= ${options.from}`,
+        Prisma.sql`"aggregation_date" <= ${options.to}`
+      ];
+      if (options.platform) {
+        filters.push(Prisma.sql`"platform" = ${options.platform}`);
+      }
+      if (options.location) {
+        filters.push(Prisma.sql`"server_location" = ${options.location}`);
+      }
+      if (options.tier) {
+        filters.push(Prisma.sql`"subscription_tier" = ${options.tier}`);
+      }
+
+      const period = Prisma.sql`DATE_TRUNC(${interval}, "aggregation_date")`;
+      const columns = [
+        Prisma.sql`${period} AS "period"`,
+        ...dimensions,
+        Prisma.sql`SUM("total_sessions")::BIGINT AS "sessions"`,
+        Prisma.sql`SUM("total_duration")::BIGINT AS "duration_seconds"`,
+        Prisma.sql`SUM("total_bytes") AS "bytes_transferred"`,
+        Prisma.sql`SUM("unique_users")::BIGINT AS "user_days"`
+      ];
+
+      const rows = await prisma.$queryRaw<AnalyticsRow[]>`
+        SELECT ${Prisma.join(columns)}
+        FROM "session_aggregates"
+        WHERE ${Prisma.join(filters, ' AND ')}
+        GROUP BY ${Prisma.join([period, ...groupColumns])}
+        ORDER BY "period" ASC
+      `;
+
+      return rows.map((row) => {
+        const sessions = Number(row.sessions);
+        const durationSeconds = Number(row.duration_seconds);
+
+        return {
+          period: row.period.toISOString().split('T')[0]!,
+          ...(row.platform !== undefined ? { platform: row.platform } : {}),
+          ...(row.location !== undefined ? { location: row.location } : {}),
+          ...(row.tier !== undefined ? { tier: row.tier } : {}),
+          sessions,
+          durationSeconds,
+          avgDurationSeconds: sessions > 0 ? Math.round(durationSeconds / sessions) : 0,
+          bytesTransferred: Number(row.bytes_transferred),
+          userDays: Number(row.user_days)
+        };
+      });
+    } catch (error) {
+      console.error('❌ Failed to query session analytics:', error);
+      throw error;
+    }
+  }
+}
+
+export default SessionAggregate;
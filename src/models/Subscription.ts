@@ -1,4 +1,5 @@
 import prisma from '../config/prisma.js';
+import { entitledSubscriptionWhere } from '../config/plans.js';
 import type { Subscription as PrismaSubscription } from '@prisma/client';
 import type { CreateSubscriptionData, UpdateSubscriptionData } from '../types/index.js';
 import type { 
@@ -112,34 +113,21 @@ class Subscription {
   }
 
   /**
-   * Find active subscription for a user
+   * Find the most recent subscription that currently grants access
+   * (active/trialing within the period, or past_due in its grace period - see getSubscriptionAccess)
+   * Use resolveEntitlement when the answer has to merge several subscriptions
    */
   async findActiveByUserId(userId: string): Promise<PrismaSubscription | null> {
     try {
-      const subscription = await prisma.subscription.findFirst({
+      return await prisma.subscription.findFirst({
         where: {
           userId,
-          status: 'active',
-          OR: [
-            { currentPeriodEnd: null },
-            { currentPeriodEnd: { gte: new Date() } }
-          ]
+          ...entitledSubscriptionWhere()
         },
         orderBy: {
           createdAt: 'desc'
         }
       });
-
-      if (subscription?.currentPeriodEnd) {
-        const endDate = new Date(subscription.currentPeriodEnd);
-        const now = new Date();
-        if (endDate < now) {
-          console.log('⚠️ Subscription expired, returning null');
-          return null;
-        }
-      }
-
-      return subscription;
     } catch (error) {
       console.error('❌ Failed to find active subscription:', error);
       throw error;
@@ -181,6 +169,41 @@ class Subscription {
     }
   }
 
+  /**
+   * Apply an App Store notification unless a newer one was already applied
+   * Apple doesn't guarantee delivery order, so the last applied signedDate is kept on the
+   * subscription and the ordering check and the update are a single conditional write.
+   * Returns null when the notification is older than the last one applied.
+   */
+  async applyAppleNotification(
+    subscriptionId: string,
+    updateData: UpdateSubscriptionData,
+    signedDate: Date
+  ): Promise<PrismaSubscription | null> {
+    try {
+      const result = await prisma.subscription.updateMany({
+        where: {
+          id: subscriptionId,
+          OR: [
+            { appleLastSignedDate: null },
+            { appleLastSignedDate: { lte: signedDate } }
+          ]
+        },
+        data: { ...updateData, appleLastSignedDate: signedDate }
+      });
+
+      if (result.count === 0) {
+        return null;
+      }
+
+      console.log('✅ Subscription updated from Apple notification:', subscriptionId);
+      return await prisma.subscription.findUnique({ where: { id: subscriptionId } });
+    } catch (error) {
+      console.error('❌ Failed to apply Apple notification to subscription:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update subscription by Stripe subscription ID
    */
@@ -0,0 +1,188 @@
+import prisma from '../config/prisma.js';
+import { entitledSubscriptionWhere } from '../config/plans.js';
+
+// Type alias for VpnPeer from Prisma (non-nullable version)
+type PrismaVpnPeer = NonNullable<Awaited<ReturnType<typeof prisma.vpnPeer.findUnique>>>;
+
+/**
+ * VpnPeer Model - WireGuard peers issued to users on a server
+ * Only the peer's public key is stored; the private key is returned to the client once.
+ * Revoked peers release their address so it can be allocated again.
+ */
+class VpnPeer {
+  /**
+   * Find the active peer for a user's device on a server
+   */
+  async findActive(userId: string, serverId: string, deviceId: string | null): Promise<PrismaVpnPeer | null> {
+    try {
+      return await prisma.vpnPeer.findFirst({
+        where: { userId, serverId, deviceId, revokedAt: null }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find VPN peer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every address currently allocated on a server
+   */
+  async findAllocatedAddresses(serverId: string): Promise<string[]> {
+    try {
+      const peers = await prisma.vpnPeer.findMany({
+        where: { serverId, address: { not: null } },
+        select: { address: true }
+      });
+
+      return peers.map((peer) => peer.address!);
+    } catch (error) {
+      console.error('❌ Failed to find allocated VPN addresses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count active peers on a server
+   */
+  async countActiveByServerId(serverId: string): Promise<number> {
+    try {
+      return await prisma.vpnPeer.count({
+        where: { serverId, revokedAt: null }
+      });
+    } catch (error) {
+      console.error('❌ Failed to count VPN peers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a peer
+   * Fails with P2002 if the address was allocated concurrently; the caller retries
+   */
+  async create(userId: string, serverId: string, deviceId: string | null, publicKey: string, address: string): Promise<PrismaVpnPeer> {
+    try {
+      const peer = await prisma.vpnPeer.create({
+        data: { userId, serverId, deviceId, publicKey, address }
+      });
+
+      console.log(`✅ VPN peer created for user ${userId} on server ${serverId}: ${address}`);
+      return peer;
+    } catch (error) {
+      console.error('❌ Failed to create VPN peer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace an existing peer's key, keeping its address
+   */
+  async updateKey(peerId: string, publicKey: string): Promise<PrismaVpnPeer> {
+    try {
+      return await prisma.vpnPeer.update({
+        where: { id: peerId },
+        data: { publicKey }
+      });
+    } catch (error) {
+      console.error('❌ Failed to update VPN peer key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List active peers on a server (consumed by the server's agent)
+   */
+  async findActiveByServerId(serverId: string): Promise<PrismaVpnPeer[]> {
+    try {
+      return await prisma.vpnPeer.findMany({
+        where: { serverId, revokedAt: null },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      console.error('❌ Failed to list VPN peers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find every peer issued to a user, with its server (data export)
+   */
+  async findAllByUserId(userId: string) {
+    try {
+      return await prisma.vpnPeer.findMany({
+        where: { userId },
+        include: { server: { select: { name: true, hostname: true } } },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find VPN peers for user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active peer a user holds
+   */
+  async revokeAllForUser(userId: string, reason: string): Promise<number> {
+    try {
+      const result = await prisma.vpnPeer.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason, address: null }
+      });
+
+      console.log(`✅ Revoked ${result.count} VPN peers for user ${userId} (${reason})`);
+      return result.count;
+    } catch (error) {
+      console.error('❌ Failed to revoke VPN peers for user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active peer issued to one of a user's devices
+   */
+  async revokeAllForDevice(userId: string, deviceId: string, reason: string): Promise<number> {
+    try {
+      const result = await prisma.vpnPeer.updateMany({
+        where: { userId, deviceId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason, address: null }
+      });
+
+      console.log(`✅ Revoked ${result.count} VPN peers for device ${deviceId} of user ${userId} (${reason})`);
+      return result.count;
+    } catch (error) {
+      console.error('❌ Failed to revoke VPN peers for device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke peers on premium-only servers whose owner no longer has an active subscription
+   */
+  async revokeLapsedPeers(): Promise<number> {
+    try {
+      const now = new Date();
+      const result = await prisma.vpnPeer.updateMany({
+        where: {
+          revokedAt: null,
+          server: { premiumOnly: true },
+          user: {
+            subscriptions: {
+              none: entitledSubscriptionWhere(now)
+            }
+          }
+        },
+        data: { revokedAt: now, revokedReason: 'subscription_lapsed', address: null }
+      });
+
+      if (result.count > 0) {
+        console.log(`✅ Revoked ${result.count} VPN peers with lapsed subscriptions`);
+      }
+      return result.count;
+    } catch (error) {
+      console.error('❌ Failed to revoke lapsed VPN peers:', error);
+      throw error;
+    }
+  }
+}
+
+export default VpnPeer;
@@ -0,0 +1,125 @@
+import prisma from '../config/prisma.js';
+import type { CreateVpnServerData, UpdateVpnServerData } from '../types/index.js';
+
+// Type alias for VpnServer from Prisma (non-nullable version)
+type PrismaVpnServer = NonNullable<Awaited<ReturnType<typeof prisma.vpnServer.findUnique>>>;
+
+/**
+ * VpnServer Model - Catalog of VPN servers clients can connect to
+ * TypeScript + Prisma ORM for full type safety
+ */
+class VpnServer {
+  /**
+   * Create a new server
+   */
+  async create(serverData: CreateVpnServerData): Promise<PrismaVpnServer> {
+    try {
+      const server = await prisma.vpnServer.create({
+        data: {
+          name: serverData.name,
+          region: serverData.region,
+          country: serverData.country,
+          city: serverData.city,
+          hostname: serverData.hostname,
+          port: serverData.port || 51820,
+          protocol: serverData.protocol || 'wireguard',
+          publicKey: serverData.publicKey,
+          addressPool: serverData.addressPool,
+          dns: serverData.dns || null,
+          capacity: serverData.capacity || 250,
+          status: serverData.status || 'online',
+          premiumOnly: serverData.premiumOnly || false
+        }
+      });
+
+      console.log('✅ VPN server created successfully:', server.id);
+      return server;
+    } catch (error) {
+      console.error('❌ Failed to create VPN server:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find server by ID
+   */
+  async findById(serverId: string): Promise<PrismaVpnServer | null> {
+    try {
+      return await prisma.vpnServer.findUnique({
+        where: { id: serverId }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find VPN server:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all servers (admin)
+   */
+  async findAll(): Promise<PrismaVpnServer[]> {
+    try {
+      return await prisma.vpnServer.findMany({
+        orderBy: [{ region: 'asc' }, { country: 'asc' }, { city: 'asc' }]
+      });
+    } catch (error) {
+      console.error('❌ Failed to find VPN servers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find online servers available to a tier (free users don't see premium-only servers)
+   */
+  async findAvailable(includePremium: boolean): Promise<PrismaVpnServer[]> {
+    try {
+      return await prisma.vpnServer.findMany({
+        where: {
+          status: 'online',
+          ...(includePremium ? {} : { premiumOnly: false })
+        },
+        orderBy: [{ region: 'asc' }, { country: 'asc' }, { city: 'asc' }]
+      });
+    } catch (error) {
+      console.error('❌ Failed to find available VPN servers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update server
+   */
+  async update(serverId: string, updateData: UpdateVpnServerData): Promise<PrismaVpnServer> {
+    try {
+      const server = await prisma.vpnServer.update({
+        where: { id: serverId },
+        data: updateData
+      });
+
+      console.log('✅ VPN server updated successfully:', server.id);
+      return server;
+    } catch (error) {
+      console.error('❌ Failed to update VPN server:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete server (cascades to its peers)
+   */
+  async delete(serverId: string): Promise<boolean> {
+    try {
+      await prisma.vpnServer.delete({
+        where: { id: serverId }
+      });
+
+      console.log('✅ VPN server deleted successfully:', serverId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to delete VPN server:', error);
+      throw error;
+    }
+  }
+}
+
+export default VpnServer;
@@ -0,0 +1,221 @@
+import prisma from '../config/prisma.js';
+import { Prisma } from '@prisma/client';
+import type { ClaimWebhookEventOptions, RecordWebhookEventData, WebhookEventClaim } from '../types/index.js';
+
+// Type alias for WebhookEvent from Prisma (non-nullable version)
+type PrismaWebhookEvent = NonNullable<Awaited<ReturnType<typeof prisma.webhookEvent.findUnique>>>;
+
+// A 'processing' event older than this is assumed to have died mid-flight (e.g. function timeout)
+// Running handlers renew their claim well inside that window (see renewClaim)
+const STALE_PROCESSING_MS = 2 * 60 * 1000;
+export const CLAIM_RENEW_MS = 30 * 1000;
+
+const SUPERSEDED_REASON = 'Superseded by a newer event for this subscription';
+
+/**
+ * WebhookEvent Model - Persisted log of Stripe webhook events
+ * Used to deduplicate Stripe retries, order events per subscription and replay failures
+ */
+class WebhookEvent {
+  /**
+   * Store an incoming event, or return the existing row if Stripe already sent it
+   */
+  async findOrCreate(eventData: RecordWebhookEventData): Promise<PrismaWebhookEvent> {
+    try {
+      return await prisma.webhookEvent.upsert({
+        where: { stripeEventId: eventData.stripeEventId },
+        create: {
+          stripeEventId: eventData.stripeEventId,
+          type: eventData.type,
+          payload: eventData.payload as Prisma.InputJsonValue,
+          stripeSubscriptionId: eventData.stripeSubscriptionId || null,
+          eventCreatedAt: eventData.eventCreatedAt,
+          status: 'pending'
+        },
+        update: {}
+      });
+    } catch (error) {
+      console.error('❌ Failed to store webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find event by Stripe event ID
+   */
+  async findByStripeEventId(stripeEventId: string): Promise<PrismaWebhookEvent | null> {
+    try {
+      return await prisma.webhookEvent.findUnique({
+        where: { stripeEventId }
+      });
+    } catch (error) {
+      console.error('❌ Failed to find webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find failed or stuck events (oldest first) for replay
+   * A 'processing' event only counts as stuck once its claim stopped being renewed
+   */
+  async findReplayable(limit: number = 50): Promise<PrismaWebhookEvent[]> {
+    try {
+      const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+      return await prisma.webhookEvent.findMany({
+        where: {
+          OR: [
+            { status: 'failed' },
+            { status: 'processing', updatedAt: { lt: staleBefore } }
+          ]
+        },
+        orderBy: { eventCreatedAt: 'asc' },
+        take: limit
+      });
+    } catch (error) {
+      console.error('❌ Failed to find replayable webhook events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically claim an event for processing
+   * Returns null if it is already processed or another worker is handling it.
+   * Ordered events are claimed under a per-subscription lock: the claim fails while another
+   * event for the subscription is processing, and the superseded check and the status write
+   * are one UPDATE, so an older event can never be applied after a newer one.
+   */
+  async claim(stripeEventId: string, options: ClaimWebhookEventOptions = {}): Promise<WebhookEventClaim | null> {
+    try {
+      const now = new Date();
+      const staleBefore = new Date(now.getTime() - STALE_PROCESSING_MS);
+      const claimableStatuses = options.force
+        ? ['pending', 'failed', 'processed', 'skipped']
+        : ['pending', 'failed'];
+      const isClaimable = Prisma.sql`(
+        "status" IN (${Prisma.join(claimableStatuses)})
+        OR ("status" = 'processing' AND "updated_at" < ${staleBefore})
+      )`;
+
+      if (!options.ordering) {
+        const rows = await prisma.$queryRaw<{ attempts: number }[]>`
+          UPDATE "webhook_events"
+          SET "status" = 'processing', "attempts" = "attempts" + 1, "updated_at" = ${now}
+          WHERE "stripe_event_id" = ${stripeEventId} AND ${isClaimable}
+          RETURNING "attempts"
+        `;
+
+        return rows[0] ? { attempts: rows[0].attempts, superseded: false } : null;
+      }
+
+      const { stripeSubscriptionId, eventCreatedAt } = options.ordering;
+
+      return await prisma.$transaction(async (tx) => {
+        // Serializes claims for the subscription until this transaction commits
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${stripeSubscriptionId}))`;
+
+        const rows = await tx.$queryRaw<{ status: string; attempts: number }[]>`
+          WITH "newer" AS (
+            SELECT EXISTS (
+              SELECT 1 FROM "webhook_events"
+              WHERE "stripe_subscription_id" = ${stripeSubscriptionId}
+                AND "type" LIKE 'customer.subscription.%'
+                AND "status" = 'processed'
+                AND "event_created_at" > ${eventCreatedAt}
+            ) AS "applied"
+          )
+          UPDATE "webhook_events"
+          SET "status" = CASE WHEN "newer"."applied" THEN 'skipped' ELSE 'processing' END,
+              "last_error" = CASE WHEN "newer"."applied" THEN ${SUPERSEDED_REASON} ELSE "last_error" END,
+              "processed_at" = CASE WHEN "newer"."applied" THEN ${now} ELSE "processed_at" END,
+              "attempts" = "attempts" + 1,
+              "updated_at" = ${now}
+          FROM "newer"
+          WHERE "stripe_event_id" = ${stripeEventId}
+            AND ${isClaimable}
+            AND NOT EXISTS (
+              SELECT 1 FROM "webhook_events" AS "other"
+              WHERE "other"."stripe_subscription_id" = ${stripeSubscriptionId}
+                AND "other"."stripe_event_id" <> ${stripeEventId}
+                AND "other"."status" = 'processing'
+                AND "other"."updated_at" >= ${staleBefore}
+            )
+          RETURNING "status", "attempts"
+        `;
+
+        return rows[0] ? { attempts: rows[0].attempts, superseded: rows[0].status === 'skipped' } : null;
+      });
+    } catch (error) {
+      console.error('❌ Failed to claim webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep a claim alive while its handler runs, so the event is not treated as stale
+   * (and replayed) mid-flight. Returns false once the claim has been lost.
+   */
+  async renewClaim(stripeEventId: string, attempts: number): Promise<boolean> {
+    try {
+      const result = await prisma.webhookEvent.updateMany({
+        where: { stripeEventId, status: 'processing', attempts },
+        data: { updatedAt: new Date() }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error('❌ Failed to renew webhook event claim:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark event as successfully applied
+   */
+  async markProcessed(stripeEventId: string, attempts: number): Promise<void> {
+    await this.setStatus(stripeEventId, attempts, {
+      status: 'processed',
+      lastError: null,
+      processedAt: new Date()
+    });
+  }
+
+  /**
+   * Mark event as failed so it can be retried or replayed
+   * Only called once the handler has finished - a running handler keeps its claim
+   */
+  async markFailed(stripeEventId: string, attempts: number, errorMessage: string): Promise<void> {
+    await this.setStatus(stripeEventId, attempts, {
+      status: 'failed',
+      lastError: errorMessage
+    });
+  }
+
+  /**
+   * Write the outcome of a claim - ignored if the claim was lost (the event went stale and
+   * was claimed again), so a late finisher cannot overwrite the newer attempt's status
+   */
+  private async setStatus(
+    stripeEventId: string,
+    attempts: number,
+    data: Prisma.WebhookEventUpdateManyMutationInput
+  ): Promise<void> {
+    try {
+      const result = await prisma.webhookEvent.updateMany({
+        where: { stripeEventId, status: 'processing', attempts },
+        data
+      });
+
+      if (result.count === 0) {
+        console.log(`⚠️ Webhook event ${stripeEventId} was claimed again, not marking it as ${data.status}`);
+        return;
+      }
+
+      console.log(`✅ Webhook event ${stripeEventId} marked as ${data.status}`);
+    } catch (error) {
+      console.error('❌ Failed to update webhook event status:', error);
+      throw error;
+    }
+  }
+}
+
+export default WebhookEvent;
@@ -0,0 +1,207 @@
+import express, { Request, Response } from 'express';
+import User from '../models/User.js';
+import DataExport from '../models/DataExport.js';
+import AccountDeletion from '../models/AccountDeletion.js';
+import { requireAuth } from '../middleware/auth.js';
+import { buildAccountExport } from '../utils/data-export.js';
+import { DELETION_GRACE_DAYS, scheduleAccountDeletion } from '../utils/account-deletion.js';
+import type { ApiResponse } from '../types/index.js';
+
+const router = express.Router();
+
+// How long a generated export stays downloadable
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS || '72', 10);
+
+// Repeated export requests within this window return the existing archive
+const EXPORT_REUSE_MS = 10 * 60 * 1000;
+
+router.use(requireAuth);
+
+/**
+ * Schedule deletion of the signed-in user's account
+ * Shared with the deprecated DELETE /api/auth/delete-account
+ */
+export async function requestAccountDeletion(req: Request, res: Response): Promise<void> {
+  try {
+    const userModel = new User();
+    const user = await userModel.findById(req.auth!.userId);
+
+    if (!user) {
+      res.status(404).json({
+        success: false,
+        error: 'User account not found. It may have already been deleted.'
+      } as ApiResponse);
+      return;
+    }
+
+    const { deletion, deleted } = await scheduleAccountDeletion(user);
+
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Account deleted successfully'
+      } as ApiResponse);
+      return;
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Account deletion scheduled. You can cancel it until ${deletion.scheduledFor.toISOString()}.`,
+      data: {
+        deletion_id: deletion.id,
+        requested_at: deletion.requestedAt,
+        scheduled_for: deletion.scheduledFor,
+        grace_period_days: DELETION_GRACE_DAYS
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account'
+    } as ApiResponse);
+  }
+}
+
+/**
+ * Build a downloadable archive (JSON + CSV) of the user's data
+ * POST /api/account/export
+ */
+router.post('/export', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const userId = req.auth!.userId;
+    const exportModel = new DataExport();
+
+    let dataExport = await exportModel.findRecentByUserId(userId, new Date(Date.now() - EXPORT_REUSE_MS));
+
+    if (!dataExport) {
+      const { fileName, archive } = await buildAccountExport(userId);
+      dataExport = await exportModel.create(userId, fileName, archive, new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        export_id: dataExport.id,
+        file_name: dataExport.fileName,
+        size_bytes: dataExport.sizeBytes,
+        created_at: dataExport.createdAt,
+        expires_at: dataExport.expiresAt,
+        download_url: `/api/account/exports/${dataExport.id}/download`
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export account data'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Download a generated export
+ * GET /api/account/exports/:id/download
+ */
+router.get('/exports/:id/download', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const exportModel = new DataExport();
+    const dataExport = await exportModel.findById(req.params.id!);
+
+    if (!dataExport || dataExport.userId !== req.auth!.userId || dataExport.expiresAt <= new Date()) {
+      res.status(404).json({
+        success: false,
+        error: 'Export not found or expired'
+      } as ApiResponse);
+      return;
+    }
+
+    await exportModel.markDownloaded(dataExport.id);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${dataExport.fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(Buffer.from(dataExport.archive));
+
+  } catch (error) {
+    console.error('❌ Data export download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download export'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Pending account deletion, if any
+ * GET /api/account/deletion
+ */
+router.get('/deletion', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const deletionModel = new AccountDeletion();
+    const deletion = await deletionModel.findPendingByUserId(req.auth!.userId);
+
+    res.json({
+      success: true,
+      data: deletion ? {
+        scheduled: true,
+        deletion_id: deletion.id,
+        requested_at: deletion.requestedAt,
+        scheduled_for: deletion.scheduledFor
+      } : {
+        scheduled: false
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Get account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get account deletion status'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Request account deletion (runs after the grace period)
+ * POST /api/account/deletion
+ */
+router.post('/deletion', requestAccountDeletion);
+
+/**
+ * Cancel (undo) a pending account deletion during the grace period
+ * DELETE /api/account/deletion
+ */
+router.delete('/deletion', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const deletionModel = new AccountDeletion();
+    const deletion = await deletionModel.findPendingByUserId(req.auth!.userId);
+
+    if (!deletion || !(await deletionModel.cancel(deletion.id))) {
+      res.status(404).json({
+        success: false,
+        error: 'No pending account deletion',
+        code: 'NO_PENDING_DELETION'
+      } as ApiResponse);
+      return;
+    }
+
+    console.log(`✅ Account deletion ${deletion.id} cancelled by user ${req.auth!.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel account deletion'
+    } as ApiResponse);
+  }
+});
+
+export default router;
@@ -0,0 +1,638 @@
+import express, { Request, Response } from 'express';
+import VpnServer from '../models/VpnServer.js';
+import VpnPeer from '../models/VpnPeer.js';
+import SessionAggregate from '../models/SessionAggregate.js';
+import JobRun from '../models/JobRun.js';
+import Plan from '../models/Plan.js';
+import { requireAdmin } from '../middleware/admin.js';
+import { parseAddressPool } from '../utils/vpn-config.js';
+import type {
+  AnalyticsDimension,
+  AnalyticsInterval,
+  ApiResponse,
+  BillingPeriod,
+  CreatePlanData,
+  CreateVpnServerData,
+  UpdatePlanData,
+  UpdateVpnServerData,
+  VpnServerStatus
+} from '../types/index.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const SERVER_STATUSES: VpnServerStatus[] = ['online', 'offline', 'maintenance'];
+const ANALYTICS_INTERVALS: AnalyticsInterval[] = ['day', 'week', 'month'];
+const ANALYTICS_DIMENSIONS: AnalyticsDimension[] = ['platform', 'location', 'tier'];
+const ANALYTICS_MAX_RANGE_DAYS = 731;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REQUIRED_SERVER_FIELDS = ['name', 'region', 'country', 'city', 'hostname', 'publicKey', 'addressPool'] as const;
+const BILLING_PERIODS: BillingPeriod[] = ['month', 'year'];
+const PLAN_INTEGER_FIELDS = ['trialDays', 'maxDevices', 'maxConcurrentSessions', 'sortOrder'] as const;
+const PLAN_STORE_ID_FIELDS = ['stripePriceId', 'appleProductId'] as const;
+
+/**
+ * Validate a server create/update body, returning an error message or null
+ */
+function validateServerData(data: UpdateVpnServerData, isCreate: boolean): string | null {
+  for (const field of REQUIRED_SERVER_FIELDS) {
+    const value = data[field];
+    if ((isCreate || value !== undefined) && (typeof value !== 'string' || value.trim() === '')) {
+      return `${field} is required`;
+    }
+  }
+
+  if (data.addressPool !== undefined) {
+    try {
+      parseAddressPool(data.addressPool);
+    } catch {
+      return 'addressPool must be an IPv4 CIDR between /8 and /30';
+    }
+  }
+
+  if (data.port !== undefined && (!Number.isInteger(data.port) || data.port < 1 || data.port > 65535)) {
+    return 'port must be between 1 and 65535';
+  }
+
+  if (data.capacity !== undefined && (!Number.isInteger(data.capacity) || data.capacity < 1)) {
+    return 'capacity must be a positive integer';
+  }
+
+  if (data.status !== undefined && !SERVER_STATUSES.includes(data.status)) {
+    return `status must be one of: ${SERVER_STATUSES.join(', ')}`;
+  }
+
+  if (data.protocol !== undefined && data.protocol !== 'wireguard') {
+    return 'protocol must be wireguard';
+  }
+
+  if (data.premiumOnly !== undefined && typeof data.premiumOnly !== 'boolean') {
+    return 'premiumOnly must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * Pick the writable server fields from a request body
+ */
+function pickServerData(body: Record<string, unknown>): UpdateVpnServerData {
+  const fields: (keyof CreateVpnServerData)[] = [
+    ...REQUIRED_SERVER_FIELDS, 'port', 'protocol', 'dns', 'capacity', 'status', 'premiumOnly'
+  ];
+  const data: Record<string, unknown> = {};
+
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+
+  return data as UpdateVpnServerData;
+}
+
+/**
+ * Validate a plan create/update body, returning an error message or null
+ */
+function validatePlanData(data: UpdatePlanData, isCreate: boolean): string | null {
+  for (const field of ['code', 'name'] as const) {
+    const value = data[field];
+    if ((isCreate || value !== undefined) && (typeof value !== 'string' || value.trim() === '')) {
+      return `${field} is required`;
+    }
+  }
+
+  if (data.code !== undefined && !/^[a-z0-9_]{1,64}$/.test(data.code)) {
+    return 'code must be lowercase letters, digits and underscores';
+  }
+
+  if ((isCreate || data.billingPeriod !== undefined) && !BILLING_PERIODS.includes(data.billingPeriod!)) {
+    return `billingPeriod must be one of: ${BILLING_PERIODS.join(', ')}`;
+  }
+
+  if ((isCreate || data.priceAmount !== undefined) && (typeof data.priceAmount !== 'number' || !(data.priceAmount >= 0))) {
+    return 'priceAmount must be a non-negative number';
+  }
+
+  if (data.tier !== undefined && data.tier !== 'premium') {
+    return 'tier must be premium';
+  }
+
+  if (data.priceCurrency !== undefined && (typeof data.priceCurrency !== 'string' || !/^[A-Z]{3}$/.test(data.priceCurrency))) {
+    return 'priceCurrency must be an ISO 4217 code, e.g. USD';
+  }
+
+  for (const field of PLAN_STORE_ID_FIELDS) {
+    const value = data[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.trim() === '')) {
+      return `${field} must be a non-empty string or null`;
+    }
+  }
+
+  for (const field of PLAN_INTEGER_FIELDS) {
+    const value = data[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      return `${field} must be a non-negative integer`;
+    }
+  }
+
+  if (data.maxDevices === 0 || data.maxConcurrentSessions === 0) {
+    return 'maxDevices and maxConcurrentSessions must be at least 1';
+  }
+
+  if (data.features !== undefined && (!Array.isArray(data.features) || data.features.some((feature) => typeof feature !== 'string'))) {
+    return 'features must be an array of strings';
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    return 'active must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * Pick the writable plan fields from a request body
+ */
+function pickPlanData(body: Record<string, unknown>): UpdatePlanData {
+  const fields: (keyof CreatePlanData)[] = [
+    'code', 'name', 'tier', 'billingPeriod', 'priceAmount', 'priceCurrency', 'features', 'active',
+    ...PLAN_STORE_ID_FIELDS, ...PLAN_INTEGER_FIELDS
+  ];
+  const data: Record<string, unknown> = {};
+
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+
+  return data as UpdatePlanData;
+}
+
+/**
+ * Parse a YYYY-MM-DD query parameter as a UTC day
+ */
+function parseDay(value: unknown): Date | null {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function isPrismaError(error: unknown, code: string): boolean {
+  return typeof error === 'object' && error !== null && (error as { code?: string }).code === code;
+}
+
+/**
+ * List all servers
+ * GET /api/admin/servers
+ */
+router.get('/servers', async (_req: Request, res: Response): Promise<void> => {
+  try {
+    const serverModel = new VpnServer();
+    const servers = await serverModel.findAll();
+
+    res.json({
+      success: true,
+      data: servers
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Admin list servers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list servers'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Create a server
+ * POST /api/admin/servers
+ */
+router.post('/servers', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const serverData = pickServerData(req.body || {});
+    const validationError = validateServerData(serverData, true);
+
+    if (validationError) {
+      res.status(400).json({
+        success: false,
+        error: validationError
+      } as ApiResponse);
+      return;
+    }
+
+    const serverModel = new VpnServer();
+    const server = await serverModel.create(serverData as CreateVpnServerData);
+
+    res.status(201).json({
+      success: true,
+      data: server
+    } as ApiResponse);
+
+  } catch (error) {
+    if (isPrismaError(error, 'P2002')) {
+      res.status(409).json({
+        success: false,
+        error: 'A server with this hostname already exists'
+      } as ApiResponse);
+      return;
+    }
+
+    console.error('❌ Admin create server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create server'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Update a server
+ * PUT /api/admin/servers/:id
+ * Changing addressPool does not move existing peers; revoke them first if the pools don't overlap.
+ */
+router.put('/servers/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const serverData = pickServerData(req.body || {});
+    const validationError = validateServerData(serverData, false);
+
+    if (validationError) {
+      res.status(400).json({
+        success: false,
+        error: validationError
+      } as ApiResponse);
+      return;
+    }
+
+    const serverModel = new VpnServer();
+    const server = await serverModel.update(req.params.id!, serverData);
+
+    res.json({
+      success: true,
+      data: server
+    } as ApiResponse);
+
+  } catch (error) {
+    if (isPrismaError(error, 'P2025')) {
+      res.status(404).json({
+        success: false,
+        error: 'Server not found'
+      } as ApiResponse);
+      return;
+    }
+
+    if (isPrismaError(error, 'P2002')) {
+      res.status(409).json({
+        success: false,
+        error: 'A server with this hostname already exists'
+      } as ApiResponse);
+      return;
+    }
+
+    console.error('❌ Admin update server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update server'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Delete a server and all of its peers
+ * DELETE /api/admin/servers/:id
+ */
+router.delete('/servers/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const serverModel = new VpnServer();
+    await serverModel.delete(req.params.id!);
+
+    res.json({
+      success: true,
+      message: 'Server deleted'
+    } as ApiResponse);
+
+  } catch (error) {
+    if (isPrismaError(error, 'P2025')) {
+      res.status(404).json({
+        success: false,
+        error: 'Server not found'
+      } as ApiResponse);
+      return;
+    }
+
+    console.error('❌ Admin delete server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete server'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * List a server's active peers, for the agent that syncs the WireGuard interface
+ * GET /api/admin/servers/:id/peers
+ * Peers whose subscription has lapsed are revoked first, so they drop off the next sync.
+ */
+router.get('/servers/:id/peers', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const serverModel = new VpnServer();
+    const server = await serverModel.findById(req.params.id!);
+
+    if (!server) {
+      res.status(404).json({
+        success: false,
+        error: 'Server not found'
+      } as ApiResponse);
+      return;
+    }
+
+    const peerModel = new VpnPeer();
+    await peerModel.revokeLapsedPeers();
+    const peers = await peerModel.findActiveByServerId(server.id);
+
+    res.json({
+      success: true,
+      data: {
+        serverId: server.id,
+        peers: peers.map((peer) => ({
+          id: peer.id,
+          publicKey: peer.publicKey,
+          allowedIps: `${peer.address}/32`
+        }))
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Admin list peers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list peers'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * List all plans, including retired ones
+ * GET /api/admin/plans
+ */
+router.get('/plans', async (_req: Request, res: Response): Promise<void> => {
+  try {
+    const planModel = new Plan();
+    const plans = await planModel.findAll();
+
+    res.json({
+      success: true,
+      data: plans
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Admin list plans error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list plans'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Create a plan
+ * POST /api/admin/plans
+ */
+router.post('/plans', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const planData = pickPlanData(req.body || {});
+    const validationError = validatePlanData(planData, true);
+
+    if (validationError) {
+      res.status(400).json({
+        success: false,
+        error: validationError
+      } as ApiResponse);
+      return;
+    }
+
+    const planModel = new Plan();
+    const plan = await planModel.create(planData as CreatePlanData);
+
+    res.status(201).json({
+      success: true,
+      data: plan
+    } as ApiResponse);
+
+  } catch (error) {
+    if (isPrismaError(error, 'P2002')) {
+      res.status(409).json({
+        success: false,
+        error: 'A plan with this code, Stripe price or Apple product already exists'
+      } as ApiResponse);
+      return;
+    }
+
+    console.error('❌ Admin create plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create plan'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Update a plan
+ * PUT /api/admin/plans/:id
+ * Set active=false to stop selling a plan; existing subscribers keep its limits.
+ */
+router.put('/plans/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const planData = pickPlanData(req.body || {});
+    const validationError = validatePlanData(planData, false);
+
+    if (validationError) {
+      res.status(400).json({
+        success: false,
+        error: validationError
+      } as ApiResponse);
+      return;
+    }
+
+    const planModel = new Plan();
+    const plan = await planModel.update(req.params.id!, planData);
+
+    res.json({
+      success: true,
+      data: plan
+    } as ApiResponse);
+
+  } catch (error) {
+    if (isPrismaError(error, 'P2025')) {
+      res.status(404).json({
+        success: false,
+        error: 'Plan not found'
+      } as ApiResponse);
+      return;
+    }
+
+    if (isPrismaError(error, 'P2002')) {
+      res.status(409).json({
+        success: false,
+        error: 'A plan with this code, Stripe price or Apple product already exists'
+      } as ApiResponse);
+      return;
+    }
+
+    console.error('❌ Admin update plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update plan'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Delete a plan
+ * DELETE /api/admin/plans/:id
+ */
+router.delete('/plans/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const planModel = new Plan();
+    await planModel.delete(req.params.id!);
+
+    res.json({
+      success: true,
+      message: 'Plan deleted'
+    } as ApiResponse);
+
+  } catch (error) {
+    if (isPrismaError(error, 'P2025')) {
+      res.status(404).json({
+        success: false,
+        error: 'Plan not found'
+      } as ApiResponse);
+      return;
+    }
+
+    console.error('❌ Admin delete plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete plan'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Time-series session analytics over the anonymized daily aggregates
+ * GET /api/admin/analytics?from=2025-10-01&to=2025-10-31&interval=day&groupBy=platform,location,tier
+ * Optional filters: platform, location, tier. Defaults to the last 30 days, by day, ungrouped.
+ */
+router.get('/analytics', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const today = new Date(new Date().toISOString().split('T')[0] + 'T00:00:00.000Z');
+    const to = req.query.to !== undefined ? parseDay(req.query.to) : today;
+    const from = req.query.from !== undefined ? parseDay(req.query.from) : new Date(today.getTime() - 29 * DAY_MS);
+
+    if (!from || !to) {
+      res.status(400).json({
+        success: false,
+        error: 'from and to must be dates (YYYY-MM-DD)'
+      } as ApiResponse);
+      return;
+    }
+
+    if (from > to || to.getTime() - from.getTime() > ANALYTICS_MAX_RANGE_DAYS * DAY_MS) {
+      res.status(400).json({
+        success: false,
+        error: `from must be before to, and the range at most ${ANALYTICS_MAX_RANGE_DAYS} days`
+      } as ApiResponse);
+      return;
+    }
+
+    const interval = (req.query.interval || 'day') as AnalyticsInterval;
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      res.status(400).json({
+        success: false,
+        error: `interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`
+      } as ApiResponse);
+      return;
+    }
+
+    const groupBy = typeof req.query.groupBy === 'string' && req.query.groupBy !== ''
+      ? [...new Set(req.query.groupBy.split(',').map((dimension) => dimension.trim()))] as AnalyticsDimension[]
+      : [];
+    if (groupBy.some((dimension) => !ANALYTICS_DIMENSIONS.includes(dimension))) {
+      res.status(400).json({
+        success: false,
+        error: `groupBy must be a comma-separated list of: ${ANALYTICS_DIMENSIONS.join(', ')}`
+      } as ApiResponse);
+      return;
+    }
+
+    const aggregateModel = new SessionAggregate();
+    const series = await aggregateModel.getTimeSeries({
+      from,
+      to,
+      interval,
+      groupBy,
+      platform: typeof req.query.platform === 'string' ? req.query.platform : undefined,
+      location: typeof req.query.location === 'string' ? req.query.location : undefined,
+      tier: typeof req.query.tier === 'string' ? req.query.tier : undefined
+    });
+
+    const totals = series.reduce((acc, point) => {
+      acc.sessions += point.sessions;
+      acc.durationSeconds += point.durationSeconds;
+      acc.bytesTransferred += point.bytesTransferred;
+      return acc;
+    }, { sessions: 0, durationSeconds: 0, bytesTransferred: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        from: from.toISOString().split('T')[0],
+        to: to.toISOString().split('T')[0],
+        interval,
+        groupBy,
+        series,
+        totals
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Admin analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load analytics'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Recent scheduled job runs and their outcomes
+ * GET /api/admin/jobs?limit=20
+ */
+router.get('/jobs', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 20, 100);
+
+    const jobRunModel = new JobRun();
+    const runs = await jobRunModel.findRecent(limit);
+
+    res.json({
+      success: true,
+      data: runs
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Admin list job runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list job runs'
+    } as ApiResponse);
+  }
+});
+
+export default router;
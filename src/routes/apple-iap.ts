@@ -1,7 +1,15 @@
 import express, { Request, Response } from 'express';
 import User from '../models/User.js';
 import Subscription from '../models/Subscription.js';
-import { verifyPermanentSessionToken } from '../utils/auth.js';
+import AppleNotification from '../models/AppleNotification.js';
+import Plan from '../models/Plan.js';
+import VpnPeer from '../models/VpnPeer.js';
+import { requireAuth } from '../middleware/auth.js';
+import { getSubscriptionAccess } from '../config/plans.js';
+import { decodeAppleNotification, loadAppleRootCertificates } from '../utils/apple-jws.js';
+import type { DecodedAppleNotification } from '../utils/apple-jws.js';
+import { mapAppleNotificationToUpdate } from '../utils/apple-notifications.js';
+import { resolveEntitlement, serializeEntitlement } from '../utils/entitlements.js';
 import type { ApiResponse, LinkAppleIAPRequest } from '../types/index.js';
 import type { SubscriptionWithAppleIAP } from '../types/subscription-types.js';
 
@@ -60,36 +68,26 @@ async function verifyAppleReceipt(receiptData: string): Promise<any> {
 /**
  * Link Apple IAP purchase to user account
  */
-router.post('/link-purchase', async (req: Request, res: Response): Promise<void> => {
+router.post('/link-purchase', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken, receiptData, transactionId, originalTransactionId, productId } = req.body as LinkAppleIAPRequest;
+    const { receiptData, transactionId, originalTransactionId, productId } = req.body as LinkAppleIAPRequest;
 
     // Validate required fields
-    if (!sessionToken || !transactionId || !originalTransactionId || !productId) {
+    if (!transactionId || !originalTransactionId || !productId) {
       res.status(400).json({
         success: false,
-        error: 'Missing required fields: sessionToken, transactionId, originalTransactionId, productId'
+        error: 'Missing required fields: transactionId, originalTransactionId, productId'
       } as ApiResponse);
       return;
     }
 
     console.log('🍎 Apple IAP link request:', { transactionId, originalTransactionId, productId, hasReceipt: !!receiptData });
 
-    // Verify session token
-    const userInfo = verifyPermanentSessionToken(sessionToken);
-    if (!userInfo) {
-      res.status(401).json({
-        success: false,
-        error: 'Invalid session token'
-      } as ApiResponse);
-      return;
-    }
-
     const userModel = new User();
     const subscriptionModel = new Subscription();
 
     // Get user
-    const user = await userModel.findById(userInfo.userId);
+    const user = await userModel.findById(req.auth!.userId);
     if (!user) {
       res.status(404).json({
         success: false,
@@ -150,9 +148,9 @@ router.post('/link-purchase', async (req: Request, res: Response): Promise<void>
       return;
     }
 
-    // Check if user already has an active subscription
-    const activeSubscription = await subscriptionModel.findActiveByUserId(user.id);
-    if (activeSubscription) {
+    // Check if user already has access through any store
+    const entitlement = await resolveEntitlement(user.id);
+    if (entitlement.hasAccess) {
       res.status(400).json({
         success: false,
         error: 'User already has an active subscription'
@@ -165,15 +163,13 @@ router.post('/link-purchase', async (req: Request, res: Response): Promise<void>
     const expiresDate = purchase?.expires_date_ms ? new Date(parseInt(purchase.expires_date_ms)) :
                        new Date(Date.now() + 365 * 24 * 60 * 60 * 1000); // Default to 1 year for annual subscription
     
-    // Determine plan details based on product ID
-    let planName = 'Premium VPN - Annual';
-    let billingPeriod = 'year';
-    let priceAmount = 130.99; // Default annual price
-
-    if (productId === 'com.keenvpn.premium.annual') {
-      planName = 'Premium VPN - Annual';
-      billingPeriod = 'year';
-      priceAmount = 130.99;
+    // Determine plan details from the catalog
+    const planModel = new Plan();
+    const plan = await planModel.findByAppleProductId(productId);
+    const planName = plan ? plan.name : 'Premium VPN - Annual';
+    const billingPeriod = plan ? plan.billingPeriod : 'year';
+    if (!plan) {
+      console.log(`⚠️ Apple product ${productId} is not in the plan catalog, recording it without a price`);
     }
 
     // Create Apple IAP subscription
@@ -185,10 +181,10 @@ router.post('/link-purchase', async (req: Request, res: Response): Promise<void>
       appleProductId: productId,
       appleEnvironment: environment,
       status: expiresDate && expiresDate > new Date() ? 'active' : 'inactive',
-      planId: productId,
+      planId: plan ? plan.code : productId,
       planName,
-      priceAmount,
-      priceCurrency: 'USD',
+      priceAmount: plan ? Number(plan.priceAmount) : 0,
+      priceCurrency: plan ? plan.priceCurrency : 'USD',
       billingPeriod: billingPeriod as 'year' | 'month',
       currentPeriodStart: purchaseDate,
       currentPeriodEnd: expiresDate || undefined,
@@ -221,32 +217,12 @@ router.post('/link-purchase', async (req: Request, res: Response): Promise<void>
 /**
  * Check Apple IAP subscription status
  */
-router.post('/check-status', async (req: Request, res: Response): Promise<void> => {
+router.post('/check-status', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken } = req.body;
-
-    if (!sessionToken) {
-      res.status(400).json({
-        success: false,
-        error: 'Session token is required'
-      } as ApiResponse);
-      return;
-    }
-
-    // Verify session token
-    const userInfo = verifyPermanentSessionToken(sessionToken);
-    if (!userInfo) {
-      res.status(401).json({
-        success: false,
-        error: 'Invalid session token'
-      } as ApiResponse);
-      return;
-    }
-
     const subscriptionModel = new Subscription();
 
     // Get active subscription
-    const activeSubscription = await subscriptionModel.findActiveByUserId(userInfo.userId);
+    const activeSubscription = await subscriptionModel.findActiveByUserId(req.auth!.userId);
 
     if (!activeSubscription) {
       res.status(200).json({
@@ -309,30 +285,20 @@ router.post('/check-status', async (req: Request, res: Response): Promise<void>
 /**
  * Restore Apple IAP purchases
  */
-router.post('/restore', async (req: Request, res: Response): Promise<void> => {
+router.post('/restore', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken, receiptData } = req.body;
+    const { receiptData } = req.body;
 
-    if (!sessionToken || !receiptData) {
+    if (!receiptData) {
       res.status(400).json({
         success: false,
-        error: 'Session token and receipt data are required'
+        error: 'Receipt data is required'
       } as ApiResponse);
       return;
     }
 
     console.log('🔄 Restoring Apple IAP purchases...');
 
-    // Verify session token
-    const userInfo = verifyPermanentSessionToken(sessionToken);
-    if (!userInfo) {
-      res.status(401).json({
-        success: false,
-        error: 'Invalid session token'
-      } as ApiResponse);
-      return;
-    }
-
     // Verify receipt with Apple
     const receiptResult = await verifyAppleReceipt(receiptData);
     
@@ -345,6 +311,7 @@ router.post('/restore', async (req: Request, res: Response): Promise<void> => {
     }
 
     const subscriptionModel = new Subscription();
+    const planModel = new Plan();
     const inAppPurchases = receiptResult.receipt.in_app || [];
     
     let restoredCount = 0;
@@ -362,20 +329,21 @@ router.post('/restore', async (req: Request, res: Response): Promise<void> => {
       // Create subscription for this purchase
       const purchaseDate = new Date(parseInt(purchase.purchase_date_ms));
       const expiresDate = purchase.expires_date_ms ? new Date(parseInt(purchase.expires_date_ms)) : null;
+      const plan = await planModel.findByAppleProductId(purchase.product_id);
 
       await subscriptionModel.create({
-        userId: userInfo.userId,
+        userId: req.auth!.userId,
         subscriptionType: 'apple_iap',
         appleTransactionId: purchase.transaction_id,
         appleOriginalTransactionId: purchase.original_transaction_id,
         appleProductId: purchase.product_id,
         appleEnvironment: receiptResult.environment === 'Sandbox' ? 'Sandbox' : 'Production',
         status: expiresDate && expiresDate > new Date() ? 'active' : 'inactive',
-        planId: purchase.product_id,
-        planName: purchase.product_id === 'com.keenvpn.premium.annual' ? 'Premium VPN - Annual' : 'Premium VPN',
-        priceAmount: purchase.product_id === 'com.keenvpn.premium.annual' ? 130.99 : 0,
-        priceCurrency: 'USD',
-        billingPeriod: 'year',
+        planId: plan ? plan.code : purchase.product_id,
+        planName: plan ? plan.name : 'Premium VPN',
+        priceAmount: plan ? Number(plan.priceAmount) : 0,
+        priceCurrency: plan ? plan.priceCurrency : 'USD',
+        billingPeriod: plan ? plan.billingPeriod as 'year' | 'month' : 'year',
         currentPeriodStart: purchaseDate,
         currentPeriodEnd: expiresDate || undefined,
         cancelAtPeriodEnd: false
@@ -413,105 +381,235 @@ router.post('/restore', async (req: Request, res: Response): Promise<void> => {
  * This endpoint checks with Apple's servers for the latest subscription status
  * including auto-renewal status
  */
-router.post('/sync-status', async (req: Request, res: Response): Promise<void> => {
+router.post('/sync-status', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken } = req.body;
+    const subscriptionModel = new Subscription();
 
-    if (!sessionToken) {
-      res.status(400).json({
-        success: false,
-        error: 'Session token is required'
-      } as ApiResponse);
-      return;
-    }
+    // Apple subscriptions left 'active' past their period end are closed out, so stored
+    // status matches what the entitlement resolver reports
+    const subscriptions = await subscriptionModel.findAllByUserId(req.auth!.userId);
+    const now = new Date();
 
-    // Verify session token
-    const userInfo = verifyPermanentSessionToken(sessionToken);
-    if (!userInfo) {
-      res.status(401).json({
-        success: false,
-        error: 'Invalid session token'
-      } as ApiResponse);
-      return;
+    for (const subscription of subscriptions) {
+      if (
+        subscription.subscriptionType === 'apple_iap' &&
+        subscription.status === 'active' &&
+        subscription.currentPeriodEnd &&
+        subscription.currentPeriodEnd < now
+      ) {
+        console.log('⚠️ Apple IAP subscription has expired, updating status:', subscription.id);
+        await subscriptionModel.update(subscription.id, { status: 'inactive' });
+      }
     }
 
-    const subscriptionModel = new Subscription();
-
-    // Get active subscription
-    const activeSubscription = await subscriptionModel.findActiveByUserId(userInfo.userId);
+    // Note: Auto-renewal changes, billing retry and refunds arrive through
+    // App Store Server Notifications (POST /notifications)
+    const entitlement = await resolveEntitlement(req.auth!.userId, now);
 
-    if (!activeSubscription) {
+    if (!entitlement.hasAccess) {
       res.status(200).json({
         success: true,
         hasSubscription: false,
-        message: 'No active subscription found'
+        message: 'No active subscription found',
+        entitlement: serializeEntitlement(entitlement)
       } as ApiResponse);
       return;
     }
 
-    // Cast to subscription with Apple IAP fields
-    const subscriptionWithIAP = activeSubscription as SubscriptionWithAppleIAP;
+    const activeSubscription = entitlement.subscription!;
 
-    // Check if it's an Apple IAP subscription
-    if (subscriptionWithIAP.subscriptionType !== 'apple_iap') {
-      res.status(200).json({
-        success: true,
-        hasSubscription: true,
-        message: 'Not an Apple IAP subscription',
-        subscription: {
-          status: subscriptionWithIAP.status,
-          cancelAtPeriodEnd: subscriptionWithIAP.cancelAtPeriodEnd || false
-        }
-      } as ApiResponse);
+    res.status(200).json({
+      success: true,
+      hasSubscription: true,
+      message: entitlement.source === 'apple_iap' ? undefined : 'Not an Apple IAP subscription',
+      subscription: {
+        status: activeSubscription.status,
+        planName: entitlement.plan?.name || activeSubscription.planName,
+        endDate: activeSubscription.currentPeriodEnd?.toISOString(),
+        cancelAtPeriodEnd: activeSubscription.cancelAtPeriodEnd || false,
+        subscriptionType: activeSubscription.subscriptionType
+      },
+      entitlement: serializeEntitlement(entitlement)
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Apple IAP sync error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync Apple IAP subscription status'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * App Store Server Notifications V2
+ * Apple calls this for renewals, refunds, billing retry and revocations,
+ * so subscription state stays current while the app is closed.
+ * Idempotent on notificationUUID - Apple retries until it gets a 200, and each
+ * delivery claims the notification before applying it.
+ */
+router.post('/notifications', async (req: Request, res: Response): Promise<void> => {
+  const { signedPayload } = req.body;
+
+  if (!signedPayload || typeof signedPayload !== 'string') {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required field: signedPayload'
+    } as ApiResponse);
+    return;
+  }
+
+  const trustedRoots = loadAppleRootCertificates();
+  if (trustedRoots.length === 0) {
+    console.error('❌ APPLE_ROOT_CA_CERTS is not configured, cannot verify Apple notifications');
+    res.status(500).json({
+      success: false,
+      error: 'Apple notifications are not configured'
+    } as ApiResponse);
+    return;
+  }
+
+  let notification: DecodedAppleNotification;
+  try {
+    notification = decodeAppleNotification(signedPayload, { trustedRoots });
+  } catch (error) {
+    console.error('❌ Apple notification verification failed:', (error as Error).message);
+    res.status(400).json({
+      success: false,
+      error: 'Invalid signed payload'
+    } as ApiResponse);
+    return;
+  }
+
+  const { payload, transaction, renewal } = notification;
+  const originalTransactionId = transaction?.originalTransactionId || renewal?.originalTransactionId || null;
+  const notificationRecord = {
+    notificationUuid: payload.notificationUUID,
+    notificationType: payload.notificationType,
+    subtype: payload.subtype,
+    originalTransactionId,
+    environment: payload.data?.environment,
+    signedDate: payload.signedDate ? new Date(payload.signedDate) : null
+  };
+
+  console.log('🍎 Apple notification received:', {
+    notificationUUID: payload.notificationUUID,
+    notificationType: payload.notificationType,
+    subtype: payload.subtype,
+    originalTransactionId
+  });
+
+  const notificationModel = new AppleNotification();
+
+  try {
+    const claimed = await notificationModel.claim({ ...notificationRecord, status: 'processing' });
+    if (!claimed) {
+      const existingNotification = await notificationModel.findByUuid(payload.notificationUUID);
+
+      // Another delivery is still being processed - a non-200 makes Apple retry once it has settled
+      if (existingNotification?.status === 'processing') {
+        console.log('⏳ Apple notification is already being processed:', payload.notificationUUID);
+        res.status(409).json({
+          success: false,
+          error: 'Notification is already being processed',
+          code: 'NOTIFICATION_IN_PROGRESS'
+        } as ApiResponse);
+        return;
+      }
+
+      console.log('📦 Apple notification already handled:', payload.notificationUUID);
+      res.status(200).json({ success: true, duplicate: true } as ApiResponse);
       return;
     }
 
-    console.log('🔄 Syncing Apple IAP subscription status...');
+    const expectedBundleId = process.env.APPLE_BUNDLE_ID;
+    if (expectedBundleId && payload.data?.bundleId && payload.data.bundleId !== expectedBundleId) {
+      await notificationModel.record({
+        ...notificationRecord,
+        status: 'ignored',
+        error: `Unexpected bundleId: ${payload.data.bundleId}`
+      });
+      res.status(200).json({ success: true, ignored: true } as ApiResponse);
+      return;
+    }
 
-    // For Apple IAP subscriptions, we check the current status
-    // In a production app, you would:
-    // 1. Use Apple's Server-to-Server notifications for real-time updates
-    // 2. Query the App Store Server API for status
-    // 3. Validate the receipt again to get latest info
-    
-    // For now, we'll check the expiration date and update accordingly
-    const now = new Date();
-    const isExpired = subscriptionWithIAP.currentPeriodEnd ? 
-      subscriptionWithIAP.currentPeriodEnd < now : false;
+    const updateData = mapAppleNotificationToUpdate(notification);
+    if (!updateData || !originalTransactionId) {
+      console.log(`ℹ️ Ignoring Apple notification type: ${payload.notificationType}`);
+      await notificationModel.record({ ...notificationRecord, status: 'ignored' });
+      res.status(200).json({ success: true, ignored: true } as ApiResponse);
+      return;
+    }
 
-    let updateData: any = {};
-    
-    if (isExpired && subscriptionWithIAP.status === 'active') {
-      console.log('⚠️ Subscription has expired, updating status');
-      updateData.status = 'inactive';
+    const subscriptionModel = new Subscription();
+    const subscription = await subscriptionModel.findByAppleOriginalTransactionId(originalTransactionId);
+
+    if (!subscription) {
+      // Purchase was not linked to an account yet (link-purchase / restore not called yet).
+      // Kept retryable and answered with a non-200, so Apple's retry applies it once it is linked.
+      console.log('⚠️ No subscription found for original transaction:', originalTransactionId);
+      await notificationModel.record({
+        ...notificationRecord,
+        status: 'unlinked',
+        error: 'No subscription linked to originalTransactionId'
+      });
+      res.status(404).json({
+        success: false,
+        error: 'No subscription linked to originalTransactionId',
+        code: 'SUBSCRIPTION_NOT_LINKED'
+      } as ApiResponse);
+      return;
     }
 
-    // Note: Auto-renewal cancellation detection would require:
-    // - Apple Server-to-Server notifications (recommended)
-    // - Or querying the App Store Server API
-    // For now, the app will detect this locally via StoreKit
+    // Apple can deliver notifications out of order - never let an older one overwrite a newer state
+    const appliedSubscription = notificationRecord.signedDate
+      ? await subscriptionModel.applyAppleNotification(subscription.id, updateData, notificationRecord.signedDate)
+      : await subscriptionModel.update(subscription.id, updateData);
+
+    if (!appliedSubscription) {
+      console.log(`⚠️ Skipping out-of-order Apple notification ${payload.notificationType} for:`, originalTransactionId);
+      await notificationModel.record({
+        ...notificationRecord,
+        status: 'skipped',
+        error: 'A newer notification was already applied for this originalTransactionId',
+        subscriptionId: subscription.id
+      });
+      res.status(200).json({ success: true, skipped: true } as ApiResponse);
+      return;
+    }
 
-    if (Object.keys(updateData).length > 0) {
-      await subscriptionModel.update(activeSubscription.id, updateData);
+    // Drop premium server profiles now rather than on the next peer sync
+    if (!getSubscriptionAccess(appliedSubscription).hasAccess) {
+      const peerModel = new VpnPeer();
+      await peerModel.revokeLapsedPeers();
     }
 
-    res.status(200).json({
-      success: true,
-      hasSubscription: !isExpired,
-      subscription: {
-        status: isExpired ? 'inactive' : subscriptionWithIAP.status,
-        planName: subscriptionWithIAP.planName,
-        endDate: subscriptionWithIAP.currentPeriodEnd?.toISOString(),
-        cancelAtPeriodEnd: subscriptionWithIAP.cancelAtPeriodEnd || false,
-        subscriptionType: 'apple_iap'
-      }
-    } as ApiResponse);
+    await notificationModel.record({
+      ...notificationRecord,
+      status: 'processed',
+      subscriptionId: subscription.id
+    });
 
+    console.log(`✅ Apple notification ${payload.notificationType} applied to subscription:`, subscription.id);
+
+    res.status(200).json({ success: true } as ApiResponse);
   } catch (error) {
-    console.error('❌ Apple IAP sync error:', error);
+    console.error('❌ Apple notification processing error:', error);
+
+    try {
+      await notificationModel.record({
+        ...notificationRecord,
+        status: 'failed',
+        error: (error as Error).message
+      });
+    } catch (recordError) {
+      console.error('❌ Failed to record Apple notification failure:', recordError);
+    }
+
+    // Non-200 makes Apple retry the notification later
     res.status(500).json({
       success: false,
-      error: 'Failed to sync Apple IAP subscription status'
+      error: 'Failed to process Apple notification'
     } as ApiResponse);
   }
 });
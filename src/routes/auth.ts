@@ -1,6 +1,19 @@
 import express, { Request, Response } from 'express';
 import User from '../models/User.js';
-import { generatePermanentSessionToken } from '../utils/auth.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Device from '../models/Device.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requestAccountDeletion } from './account.js';
+import { deviceIdRequiredResponse, isDeviceIdRequired, registerDeviceSignIn, limitExceededResponse } from '../utils/device-limits.js';
+import { BLACKLIST_DURATION_MS, getRecentDeletionMinutesRemaining } from '../utils/account-deletion.js';
+import { resolveEntitlement } from '../utils/entitlements.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  issueAuthTokens,
+  ACCESS_TOKEN_TTL_SECONDS
+} from '../utils/auth.js';
 import type { AppleSignInData, ApiResponse, SessionTokenPayload } from '../types/index.js';
 
 // Extend global namespace for blacklist storage
@@ -12,15 +25,35 @@ declare global {
 
 const router = express.Router();
 
+/**
+ * Summarize the subscription currently granting access (merged across Stripe and Apple)
+ * for the sign-in and verify responses; null when the user has no access
+ */
+async function getSubscriptionSummary(userId: string) {
+  const entitlement = await resolveEntitlement(userId);
+  const subscription = entitlement.hasAccess ? entitlement.subscription : null;
+
+  if (!subscription) {
+    return null;
+  }
+
+  return {
+    status: subscription.status,
+    endDate: subscription.currentPeriodEnd?.toISOString(),
+    cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+    tier: entitlement.tier
+  };
+}
+
 /**
  * Check if a user is blacklisted (previously deleted)
  * Only blocks recreation within 5 minutes of deletion to prevent automatic recreation
+ * Checks this instance's in-memory blacklist, then the account deletion audit trail
  * After 5 minutes, users can intentionally create a new account
  * Returns { isBlacklisted: boolean, minutesRemaining?: number }
  */
-function checkIfUserIsBlacklisted(firebaseUid: string, appleUserId?: string): { isBlacklisted: boolean; minutesRemaining?: number } {
+async function checkIfUserIsBlacklisted(firebaseUid: string, appleUserId?: string): Promise<{ isBlacklisted: boolean; minutesRemaining?: number }> {
   try {
-    const BLACKLIST_DURATION_MS = 5 * 60 * 1000; // 5 minutes
     const now = Date.now();
     
     // Check Firebase UID blacklist
@@ -88,6 +121,13 @@ function checkIfUserIsBlacklisted(firebaseUid: string, appleUserId?: string): {
         }
       }
     }
+
+    // Deletions run by the scheduled job (or another instance) are only in the audit trail
+    const minutesRemaining = await getRecentDeletionMinutesRemaining([firebaseUid, appleUserId]);
+    if (minutesRemaining !== null) {
+      console.log('🚨 Found recently deleted identity in deletion audit trail');
+      return { isBlacklisted: true, minutesRemaining };
+    }
     
     return { isBlacklisted: false };
   } catch (error) {
@@ -102,7 +142,17 @@ function checkIfUserIsBlacklisted(firebaseUid: string, appleUserId?: string): {
  */
 router.post('/apple/signin', async (req: Request, res: Response): Promise<void> => {
   try {
-    const { identityToken, userIdentifier, email, fullName } = req.body as AppleSignInData;
+    const {
+      identityToken,
+      userIdentifier,
+      email,
+      fullName,
+      deviceId,
+      platform,
+      appVersion,
+      deviceName,
+      legacySessionToken
+    } = req.body as AppleSignInData;
 
     // Validate required fields
     if (!identityToken) {
@@ -113,6 +163,11 @@ router.post('/apple/signin', async (req: Request, res: Response): Promise<void>
       return;
     }
 
+    if (!deviceId && isDeviceIdRequired()) {
+      res.status(400).json(deviceIdRequiredResponse());
+      return;
+    }
+
     console.log('🍎 Apple Sign-In request:', { userIdentifier, email, fullName, isPrivateRelay: email?.includes('@privaterelay.appleid.com') });
 
     let firebaseUid: string;
@@ -241,7 +296,7 @@ router.post('/apple/signin', async (req: Request, res: Response): Promise<void>
 
     if (!user) {
       // Check if this user was previously deleted (blacklisted)
-      const blacklistCheck = checkIfUserIsBlacklisted(firebaseUid, appleUserId);
+      const blacklistCheck = await checkIfUserIsBlacklisted(firebaseUid, appleUserId);
       
       if (blacklistCheck.isBlacklisted) {
         console.log('🚨 User is blacklisted (previously deleted):', { firebaseUid, appleUserId });
@@ -294,27 +349,33 @@ router.post('/apple/signin', async (req: Request, res: Response): Promise<void>
       console.log('✅ User updated:', user.id);
     }
 
+    // Register the signing-in device against the plan's device limit
+    if (deviceId) {
+      const deviceCheck = await registerDeviceSignIn(user.id, {
+        deviceIdentifier: deviceId,
+        platform,
+        appVersion,
+        name: deviceName
+      });
+
+      if (!deviceCheck.allowed) {
+        res.status(403).json(limitExceededResponse(deviceCheck));
+        return;
+      }
+    } else {
+      console.log('⚠️ Sign-in without a deviceId, issuing a session not bound to a device:', user.id);
+    }
+
     // Generate session token
     const tokenPayload: SessionTokenPayload = {
       userId: user.id,
       email: user.email,
       provider: 'apple'
     };
-    const sessionToken = generatePermanentSessionToken(tokenPayload);
+    const tokens = await issueAuthTokens(tokenPayload, deviceId || null, { legacySessionToken: legacySessionToken !== false });
 
     // Get user's subscription data
-    const { default: Subscription } = await import('../models/Subscription.js');
-    const subscriptionModel = new Subscription();
-    const activeSubscription = await subscriptionModel.findActiveByUserId(user.id);
-
-    let subscriptionData = null;
-    if (activeSubscription) {
-      subscriptionData = {
-        status: activeSubscription.status,
-        endDate: activeSubscription.currentPeriodEnd?.toISOString(),
-        cancelAtPeriodEnd: activeSubscription.cancelAtPeriodEnd
-      };
-    }
+    const subscriptionData = await getSubscriptionSummary(user.id);
 
     console.log('✅ Apple Sign-In successful for user:', user.id);
       console.log('✅ User email (may be private relay):', user.email);
@@ -329,7 +390,7 @@ router.post('/apple/signin', async (req: Request, res: Response): Promise<void>
         name: user.displayName,  // Changed from displayName to name
         provider: user.provider
       },
-      sessionToken,
+      ...tokens,
       authMethod: 'apple',
       subscription: subscriptionData
     } as ApiResponse);
@@ -349,7 +410,7 @@ router.post('/apple/signin', async (req: Request, res: Response): Promise<void>
  */
 router.post('/google/signin', async (req: Request, res: Response): Promise<void> => {
   try {
-    const { idToken } = req.body;
+    const { idToken, deviceId, platform, appVersion, deviceName, legacySessionToken } = req.body;
 
     if (!idToken) {
       res.status(400).json({
@@ -359,6 +420,11 @@ router.post('/google/signin', async (req: Request, res: Response): Promise<void>
       return;
     }
 
+    if (!deviceId && isDeviceIdRequired()) {
+      res.status(400).json(deviceIdRequiredResponse());
+      return;
+    }
+
     console.log('🔵 Google Sign-In request');
 
     // Verify Google ID token with Firebase
@@ -457,7 +523,7 @@ router.post('/google/signin', async (req: Request, res: Response): Promise<void>
         });
       } else {
         // Check if this user was previously deleted (blacklisted)
-        const blacklistCheck = checkIfUserIsBlacklisted(firebaseUid);
+        const blacklistCheck = await checkIfUserIsBlacklisted(firebaseUid);
         
         if (blacklistCheck.isBlacklisted) {
           console.log('🚨 User is blacklisted (previously deleted):', { firebaseUid, email });
@@ -490,27 +556,33 @@ router.post('/google/signin', async (req: Request, res: Response): Promise<void>
       console.log('👤 Existing Google user found');
     }
 
+    // Register the signing-in device against the plan's device limit
+    if (deviceId) {
+      const deviceCheck = await registerDeviceSignIn(user.id, {
+        deviceIdentifier: deviceId,
+        platform,
+        appVersion,
+        name: deviceName
+      });
+
+      if (!deviceCheck.allowed) {
+        res.status(403).json(limitExceededResponse(deviceCheck));
+        return;
+      }
+    } else {
+      console.log('⚠️ Sign-in without a deviceId, issuing a session not bound to a device:', user.id);
+    }
+
     // Generate session token
     const tokenPayload: SessionTokenPayload = {
       userId: user.id,
       email: user.email,
       provider: 'google'
     };
-    const sessionToken = generatePermanentSessionToken(tokenPayload);
+    const tokens = await issueAuthTokens(tokenPayload, deviceId || null, { legacySessionToken: legacySessionToken !== false });
 
     // Get user's subscription data
-    const { default: Subscription } = await import('../models/Subscription.js');
-    const subscriptionModel = new Subscription();
-    const activeSubscription = await subscriptionModel.findActiveByUserId(user.id);
-
-    let subscriptionData = null;
-    if (activeSubscription) {
-      subscriptionData = {
-        status: activeSubscription.status,
-        endDate: activeSubscription.currentPeriodEnd?.toISOString(),
-        cancelAtPeriodEnd: activeSubscription.cancelAtPeriodEnd
-      };
-    }
+    const subscriptionData = await getSubscriptionSummary(user.id);
 
     console.log('✅ Google Sign-In successful for user:', user.id);
     console.log('✅ Subscription status:', subscriptionData ? subscriptionData.status : 'none');
@@ -523,7 +595,7 @@ router.post('/google/signin', async (req: Request, res: Response): Promise<void>
         name: user.displayName,  // Changed from displayName to name
         provider: user.provider
       },
-      sessionToken,
+      ...tokens,
       authMethod: 'google',
       subscription: subscriptionData
     } as ApiResponse);
@@ -539,35 +611,13 @@ router.post('/google/signin', async (req: Request, res: Response): Promise<void>
 
 /**
  * Verify Session Token
- * Validates a session token and returns user info
+ * Validates the caller's token (Bearer header, or legacy body sessionToken) and returns user info
  */
-router.post('/verify', async (req: Request, res: Response): Promise<void> => {
+router.post('/verify', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken } = req.body;
-
-    if (!sessionToken) {
-      res.status(400).json({
-        success: false,
-        error: 'Missing required field: sessionToken'
-      } as ApiResponse);
-      return;
-    }
-
-    // Verify session token
-    const { verifyPermanentSessionToken } = await import('../utils/auth.js');
-    const payload = verifyPermanentSessionToken(sessionToken);
-
-    if (!payload) {
-      res.status(401).json({
-        success: false,
-        error: 'Invalid or expired session token'
-      } as ApiResponse);
-      return;
-    }
-
     // Get user from database
     const userModel = new User();
-    const user = await userModel.findById(payload.userId);
+    const user = await userModel.findById(req.auth!.userId);
 
     if (!user) {
       res.status(404).json({
@@ -578,18 +628,7 @@ router.post('/verify', async (req: Request, res: Response): Promise<void> => {
     }
 
     // Get user's subscription data
-    const { default: Subscription } = await import('../models/Subscription.js');
-    const subscriptionModel = new Subscription();
-    const activeSubscription = await subscriptionModel.findActiveByUserId(user.id);
-
-    let subscriptionData = null;
-    if (activeSubscription) {
-      subscriptionData = {
-        status: activeSubscription.status,
-        endDate: activeSubscription.currentPeriodEnd?.toISOString(),
-        cancelAtPeriodEnd: activeSubscription.cancelAtPeriodEnd
-      };
-    }
+    const subscriptionData = await getSubscriptionSummary(user.id);
 
     res.status(200).json({
       success: true,
@@ -612,139 +651,203 @@ router.post('/verify', async (req: Request, res: Response): Promise<void> => {
 });
 
 /**
- * Delete Account
- * Permanently deletes user account and all associated data
+ * Refresh Session
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Each refresh token works once; presenting a used one revokes the whole session.
  */
-router.delete('/delete-account', async (req: Request, res: Response): Promise<void> => {
+router.post('/refresh', async (req: Request, res: Response): Promise<void> => {
   try {
-    const { email, userId } = req.body;
+    const { refreshToken } = req.body;
 
-    // Validate required fields
-    if (!email || !userId) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
       res.status(400).json({
         success: false,
-        error: 'Missing required fields: email, userId'
+        error: 'Missing required field: refreshToken'
       } as ApiResponse);
       return;
     }
 
-    console.log('🗑️ Account deletion request:', { email, userId });
+    const refreshTokenModel = new RefreshToken();
+    const storedToken = await refreshTokenModel.findByHash(hashRefreshToken(refreshToken));
 
-    // Find and delete the user
-    const userModel = new User();
-    
-    // Try to find user by database ID first, then by Firebase UID
-    let user = await userModel.findById(userId);
-
-    if (!user) {
-      console.log('🔍 User not found by ID, trying Firebase UID...');
-      user = await userModel.findByFirebaseUid(userId);
-    }
-    
-    // If still not found, try to find by email as a last resort
-    if (!user) {
-      console.log('🔍 User not found by Firebase UID, trying email...');
-      user = await userModel.findByEmail(email);
-      
-      if (user) {
-        console.log('✅ User found by email:', { id: user.id, email: user.email, firebaseUid: user.firebaseUid });
-      }
+    if (!storedToken || storedToken.revokedAt || storedToken.expiresAt < new Date()) {
+      res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      } as ApiResponse);
+      return;
     }
 
-    if (!user) {
-      console.log('❌ User not found by ID, Firebase UID, or email:', { userId, email });
-      res.status(404).json({
+    const nextToken = generateRefreshToken();
+    const rotatedToken = storedToken.rotatedAt
+      ? null
+      : await refreshTokenModel.rotate(storedToken, nextToken.tokenHash, nextToken.expiresAt);
+
+    if (!rotatedToken) {
+      // Token was already used - it has probably been stolen, so end the session everywhere it is used
+      console.log('🚨 Refresh token reuse detected for user:', storedToken.userId);
+      await refreshTokenModel.revokeFamily(storedToken.familyId, 'reuse_detected');
+      res.status(401).json({
         success: false,
-        error: 'User account not found. It may have already been deleted.'
+        error: 'Refresh token has already been used',
+        code: 'REFRESH_TOKEN_REUSED'
       } as ApiResponse);
       return;
     }
-    
-    console.log('✅ User found:', { id: user.id, email: user.email, firebaseUid: user.firebaseUid });
 
-    // Verify the email matches (additional security check)
-    // Skip email verification for Apple users with private relay emails
-    // Apple generates different private relay emails for web vs desktop, so we can't rely on email matching
-    const isApplePrivateRelay = email.includes('@privaterelay.appleid.com') || user.email.includes('@privaterelay.appleid.com');
-    
-    if (isApplePrivateRelay) {
-      console.log('✅ Skipping email verification for Apple user (private relay email)');
-      console.log('✅ User verified by Firebase UID/Apple User ID instead');
-    } else {
-      // Normalize emails for comparison (trim and lowercase)
-      const normalizedUserEmail = user.email.trim().toLowerCase();
-      const normalizedRequestEmail = email.trim().toLowerCase();
-      
-      console.log('🔍 Email comparison:', { 
-        requestEmail: email, 
-        normalizedRequestEmail,
-        userEmail: user.email, 
-        normalizedUserEmail,
-        match: normalizedUserEmail === normalizedRequestEmail 
-      });
-      
-      if (normalizedUserEmail !== normalizedRequestEmail) {
-        console.log('❌ Email mismatch!');
-      res.status(400).json({
+    const userModel = new User();
+    const user = await userModel.findById(storedToken.userId);
+
+    if (!user) {
+      res.status(401).json({
         success: false,
-        error: 'Email does not match user account'
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
       } as ApiResponse);
       return;
-      }
-      
-      console.log('✅ Email verified successfully');
     }
 
-    // Store identifiers before deletion for blacklisting
-    const appleUserId = user.appleUserId;
-    const googleUserId = user.googleUserId;
-    const firebaseUid = user.firebaseUid;
-    const dbUserId = user.id; // Use the database ID for deletion
-    
-    // Create a simple blacklist entry in localStorage/sessionStorage equivalent
-    // For now, we'll use a simple in-memory blacklist (in production, use Redis or database)
-    const deletedUserInfo = {
-      userId: dbUserId,
-      appleUserId,
-      googleUserId,
-      firebaseUid,
+    if (rotatedToken.deviceId) {
+      const deviceModel = new Device();
+      await deviceModel.touch(user.id, rotatedToken.deviceId);
+    }
+
+    const accessToken = generateAccessToken({
+      userId: user.id,
       email: user.email,
-      deletedAt: new Date().toISOString()
-    };
-    
-    // Store in a simple way - in production, use Redis or a proper blacklist table
-    if (appleUserId) {
-      global.deletedAppleUsers = global.deletedAppleUsers || new Map();
-      global.deletedAppleUsers.set(appleUserId, deletedUserInfo);
+      provider: (user.provider as SessionTokenPayload['provider']) || 'demo',
+      sid: rotatedToken.familyId,
+      ...(rotatedToken.deviceId ? { deviceId: rotatedToken.deviceId } : {})
+    });
+
+    res.status(200).json({
+      success: true,
+      accessToken,
+      refreshToken: nextToken.token,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      tokenType: 'Bearer'
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Logout
+ * Revokes the current session (its refresh token family, access tokens and legacy session token)
+ */
+router.post('/logout', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { refreshToken } = req.body;
+    const refreshTokenModel = new RefreshToken();
+
+    let familyId = req.auth!.sessionId;
+
+    // Legacy clients have no session id - fall back to the refresh token they hold
+    if (!familyId && typeof refreshToken === 'string') {
+      const storedToken = await refreshTokenModel.findByHash(hashRefreshToken(refreshToken));
+      if (storedToken && storedToken.userId === req.auth!.userId) {
+        familyId = storedToken.familyId;
+      }
     }
-    if (googleUserId) {
-      global.deletedGoogleUsers = global.deletedGoogleUsers || new Map();
-      global.deletedGoogleUsers.set(googleUserId, deletedUserInfo);
+
+    if (familyId) {
+      await refreshTokenModel.revokeFamily(familyId, 'logout');
     }
-    if (firebaseUid) {
-      global.deletedFirebaseUsers = global.deletedFirebaseUsers || new Map();
-      global.deletedFirebaseUsers.set(firebaseUid, deletedUserInfo);
+
+    // Legacy tokens from before sessions were tracked carry no session id and can't be told
+    // apart, so logging one out signs out every such token the user holds
+    if (req.auth!.legacy && !req.auth!.sessionId) {
+      const userModel = new User();
+      await userModel.update(req.auth!.userId, { sessionsRevokedAt: new Date() });
     }
 
-    // Delete the user (this will cascade delete subscriptions and sessions due to foreign key constraints)
-    // Use the database ID, not the Firebase UID
-    await userModel.delete(dbUserId);
+    console.log('✅ Logout for user:', req.auth!.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to logout'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Logout All
+ * Revokes every session of the user, including legacy session tokens
+ */
+router.post('/logout-all', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const userId = req.auth!.userId;
 
-    console.log('✅ Account deletion successful for user:', dbUserId);
-    console.log('✅ Blacklisted identifiers:', { appleUserId, googleUserId, firebaseUid });
+    const refreshTokenModel = new RefreshToken();
+    const revokedCount = await refreshTokenModel.revokeAllForUser(userId, 'logout_all');
+
+    const userModel = new User();
+    await userModel.update(userId, { sessionsRevokedAt: new Date() });
+
+    console.log(`✅ Logged out all sessions for user ${userId} (${revokedCount} refresh tokens)`);
 
     res.status(200).json({
       success: true,
-      message: 'Account deleted successfully'
+      message: 'Logged out of all devices'
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to logout of all devices'
     } as ApiResponse);
+  }
+});
+
+/**
+ * Delete Account
+ * Deprecated alias of POST /api/account/deletion: now requires a valid session token and
+ * schedules deletion after the grace period instead of deleting immediately.
+ * A body `userId`, if sent by older clients, must belong to the signed-in user.
+ */
+router.delete('/delete-account', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { userId } = req.body || {};
+
+    if (userId) {
+      const userModel = new User();
+      const user = await userModel.findById(req.auth!.userId);
 
+      if (!user || (userId !== user.id && userId !== user.firebaseUid)) {
+        res.status(403).json({
+          success: false,
+          error: 'Account does not match the signed-in user'
+        } as ApiResponse);
+        return;
+      }
+    }
   } catch (error) {
     console.error('❌ Account deletion error:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to delete account'
     } as ApiResponse);
+    return;
   }
+
+  res.setHeader('Deprecation', 'true');
+  res.setHeader('Link', '</api/account/deletion>; rel="successor-version"');
+  await requestAccountDeletion(req, res);
 });
 
 export default router;
@@ -1,16 +1,162 @@
-import express, { Request, Response } from 'express';
+import express, { NextFunction, Request, Response } from 'express';
 import User from '../models/User.js';
-import ConnectionSession from '../models/ConnectionSession.js';
+import ConnectionSession, { InvalidCursorError } from '../models/ConnectionSession.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/admin.js';
+import { resolveEntitlement } from '../utils/entitlements.js';
+import { createOpenSessionWithinLimit, limitExceededResponse, startSessionWithinLimit } from '../utils/device-limits.js';
+import { HEARTBEAT_INTERVAL_SECONDS, getActiveConnectionsSummary } from '../utils/session-heartbeat.js';
 import type { ApiResponse } from '../types/index.js';
 
 const router = express.Router();
 
+const MAX_PAGE_SIZE = 100;
+
+// Identifier routes are removed on this date unless CONNECTION_LEGACY_SUNSET says otherwise
+const DEFAULT_CONNECTION_LEGACY_SUNSET = '2027-01-01T00:00:00Z';
+
+function getLegacySunset(): Date {
+  return new Date(process.env.CONNECTION_LEGACY_SUNSET || DEFAULT_CONNECTION_LEGACY_SUNSET);
+}
+
+/**
+ * Identifier-based routes (email / Firebase UID in the URL) are deprecated in favour of the
+ * token-based ones and keep their URL until CONNECTION_LEGACY_SUNSET
+ */
+export function isLegacyLookupAllowed(now: Date = new Date()): boolean {
+  return now < getLegacySunset();
+}
+
+/**
+ * Mark a deprecated identifier route: advertise the deprecation and the replacement route
+ * (RFC 8594 Sunset + RFC 9745 Deprecation headers), and answer 410 once the sunset has passed
+ */
+function deprecatedRoute(successor: string) {
+  return (_req: Request, res: Response, next: NextFunction): void => {
+    res.setHeader('Deprecation', 'true');
+    res.setHeader('Sunset', getLegacySunset().toUTCString());
+    res.setHeader('Link', `<${successor}>; rel="successor-version"`);
+
+    if (!isLegacyLookupAllowed()) {
+      res.status(410).json({
+        success: false,
+        error: `This endpoint has been removed. Use ${successor} with an access token.`,
+        code: 'ENDPOINT_REMOVED'
+      } as ApiResponse);
+      return;
+    }
+
+    next();
+  };
+}
+
+/**
+ * Resolve the caller for a deprecated identifier route
+ * The route requires a token (access or legacy session token); the identifier only has to name
+ * the caller, so other users' history is never returned. Sends the error response and returns null on failure.
+ */
+async function resolveLegacyIdentifier(req: Request, res: Response) {
+  const { identifier } = req.params;
+
+  if (!identifier) {
+    res.status(400).json({
+      success: false,
+      error: 'Identifier is required'
+    } as ApiResponse);
+    return null;
+  }
+
+  const userModel = new User();
+  const user = await userModel.findById(req.auth!.userId);
+  const isCaller = user !== null && (
+    (identifier.includes('@') && identifier.toLowerCase() === user.email.toLowerCase()) ||
+    (!!user.firebaseUid && identifier === user.firebaseUid)
+  );
+
+  if (!isCaller) {
+    res.status(403).json({
+      success: false,
+      error: 'You can only access your own connection history'
+    } as ApiResponse);
+    return null;
+  }
+
+  console.log(`⚠️ Deprecated identifier lookup ${req.method} ${req.baseUrl}${req.route.path} for user ${user.id}`);
+  return user;
+}
+
+/**
+ * Parse an optional YYYY-MM-DD or ISO timestamp query parameter
+ * A bare date as `to` covers that whole day. Returns null if it is present but invalid.
+ */
+function parseDateParam(value: unknown, endOfDay: boolean = false): Date | undefined | null {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const isDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isDay ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Public shape of a session
+ * serverAddress is kept for troubleshooting only and never returned
+ */
+function serializeSession(session: NonNullable<Awaited<ReturnType<ConnectionSession['findById']>>>) {
+  return {
+    session_id: session.id,
+    session_start: session.sessionStart,
+    session_end: session.sessionEnd,
+    duration_seconds: session.durationSeconds,
+    platform: session.platform,
+    app_version: session.appVersion,
+    server_location: session.serverLocation,
+    bytes_transferred: Number(session.bytesTransferred),
+    subscription_tier: session.subscriptionTier,
+    end_reason: session.endReason
+  };
+}
+
+/**
+ * Parse an optional cumulative byte counter from a request body
+ * Returns null if it is present but not a non-negative integer
+ */
+function parseBytesTransferred(value: unknown): number | undefined | null {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  return Number.isSafeInteger(value) && (value as number) >= 0 ? value as number : null;
+}
+
+/**
+ * Load a live session owned by the caller, or send 404
+ */
+async function findOwnSession(req: Request, res: Response) {
+  const sessionModel = new ConnectionSession();
+  const session = await sessionModel.findById(req.params.id!);
+
+  if (!session || session.userId !== req.auth!.userId) {
+    res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    } as ApiResponse);
+    return null;
+  }
+
+  return session;
+}
+
 // Record a connection session
-router.post('/session', async (req: Request, res: Response): Promise<void> => {
+// The user comes from the token; email / firebase_uid in the body are ignored
+router.post('/session', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
     const {
-      firebase_uid,
-      email,
       session_start,
       session_end,
       duration_seconds,
@@ -18,7 +164,6 @@ router.post('/session', async (req: Request, res: Response): Promise<void> => {
       app_version,
       server_location,
       server_address,
-      subscription_tier,
       bytes_transferred
     } = req.body;
 
@@ -31,39 +176,14 @@ router.post('/session', async (req: Request, res: Response): Promise<void> => {
       return;
     }
 
-    // Find user
-    const userModel = new User();
-    let user = null;
-
-    if (email && email.trim() !== '') {
-      console.log(`🔍 Looking up user by email: ${email}`);
-      user = await userModel.findByEmail(email);
-      if (user) {
-        console.log(`✅ User found by email: ${user.id}`);
-      }
-    }
+    const userId = req.auth!.userId;
 
-    if (!user && firebase_uid && firebase_uid.trim() !== '') {
-      console.log(`🔍 Looking up user by firebase_uid: ${firebase_uid}`);
-      user = await userModel.findByFirebaseUid(firebase_uid);
-      if (user) {
-        console.log(`✅ User found by firebase_uid: ${user.id}`);
-      }
-    }
-
-    if (!user) {
-      console.error('❌ User lookup failed - cannot record session without user ID');
-      res.status(400).json({
-        success: false,
-        error: 'User not found. Please ensure you are properly authenticated.'
-      } as ApiResponse);
-      return;
-    }
+    // The tier comes from the user's entitlement - a client-supplied subscription_tier is ignored
+    const entitlement = await resolveEntitlement(userId);
 
     // Create connection session using model (privacy-preserving)
-    const sessionModel = new ConnectionSession();
-    const session = await sessionModel.create({
-      userId: user.id,
+    const sessionData = {
+      userId,
       sessionStart: new Date(session_start),
       sessionEnd: session_end ? new Date(session_end) : undefined,
       durationSeconds: duration_seconds,
@@ -72,15 +192,29 @@ router.post('/session', async (req: Request, res: Response): Promise<void> => {
       platform: platform,
       appVersion: app_version,
       bytesTransferred: bytes_transferred || 0,
-      subscriptionTier: subscription_tier || 'free'
-    });
+      subscriptionTier: entitlement.tier
+    };
+
+    let sessionId: string;
+    if (session_end) {
+      const sessionModel = new ConnectionSession();
+      sessionId = (await sessionModel.create(sessionData)).id;
+    } else {
+      // A session without an end is still running - enforce the plan's simultaneous connection limit
+      const sessionCreate = await createOpenSessionWithinLimit(sessionData);
+      if (!sessionCreate.allowed) {
+        res.status(403).json(limitExceededResponse(sessionCreate));
+        return;
+      }
+      sessionId = sessionCreate.session.id;
+    }
 
-    console.log(`✅ Connection session recorded for user ${user.id}: ${duration_seconds}s on ${platform}`);
+    console.log(`✅ Connection session recorded for user ${userId}: ${duration_seconds}s on ${platform}`);
 
     res.json({
       success: true,
       data: {
-        session_id: session.id,
+        session_id: sessionId,
         duration_seconds: duration_seconds,
         platform: platform,
         user_associated: true
@@ -96,95 +230,372 @@ router.post('/session', async (req: Request, res: Response): Promise<void> => {
   }
 });
 
-// Get user's connection sessions
-router.get('/sessions/:identifier', async (req: Request, res: Response): Promise<void> => {
+/**
+ * Start a live session
+ * POST /api/connection/session/start
+ * Body: { platform, app_version?, server_location?, server_address? }
+ * server_address is for troubleshooting only and is anonymized with the rest of the session history.
+ * The session's tier comes from the user's entitlement, not from the client.
+ */
+router.post('/session/start', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { identifier } = req.params;
-    
-    if (!identifier) {
+    const {
+      platform,
+      app_version,
+      server_location,
+      server_address
+    } = req.body;
+
+    if (!platform) {
       res.status(400).json({
         success: false,
-        error: 'Identifier is required'
+        error: 'Missing required field: platform'
       } as ApiResponse);
       return;
     }
 
-    const limit = parseInt(req.query.limit as string) || 50;
-    const offset = parseInt(req.query.offset as string) || 0;
+    const userId = req.auth!.userId;
+
+    const entitlement = await resolveEntitlement(userId);
 
-    // Find user by email or Firebase UID
-    const userModel = new User();
-    let user = null;
+    const sessionStart = await startSessionWithinLimit({
+      userId,
+      platform,
+      appVersion: app_version,
+      serverLocation: server_location,
+      serverAddress: server_address,
+      subscriptionTier: entitlement.tier
+    });
 
-    if (identifier.includes('@')) {
-      user = await userModel.findByEmail(identifier);
+    if (!sessionStart.allowed) {
+      res.status(403).json(limitExceededResponse(sessionStart));
+      return;
     }
 
-    if (!user) {
-      user = await userModel.findByFirebaseUid(identifier);
+    const { session } = sessionStart;
+
+    res.status(201).json({
+      success: true,
+      data: {
+        session_id: session.id,
+        session_start: session.sessionStart,
+        heartbeat_interval_seconds: HEARTBEAT_INTERVAL_SECONDS
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Start session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start session'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Heartbeat for a live session
+ * POST /api/connection/session/:id/heartbeat
+ * Body: { bytes_transferred? } - cumulative bytes for the session so far
+ */
+router.post('/session/:id/heartbeat', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const bytesTransferred = parseBytesTransferred(req.body?.bytes_transferred);
+
+    if (bytesTransferred === null) {
+      res.status(400).json({
+        success: false,
+        error: 'bytes_transferred must be a non-negative integer'
+      } as ApiResponse);
+      return;
     }
 
-    if (!user) {
-      res.status(404).json({
+    const session = await findOwnSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    const sessionModel = new ConnectionSession();
+    const updated = await sessionModel.heartbeat(session, bytesTransferred);
+
+    if (!updated) {
+      res.status(409).json({
         success: false,
-        error: 'User not found'
+        error: 'Session has already ended. Start a new session.',
+        code: 'SESSION_ENDED'
       } as ApiResponse);
       return;
     }
 
-    // Get connection sessions
+    res.json({
+      success: true,
+      data: {
+        session_id: session.id,
+        heartbeat_interval_seconds: HEARTBEAT_INTERVAL_SECONDS
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Session heartbeat error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record heartbeat'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * End a live session
+ * POST /api/connection/session/:id/end
+ * Body: { bytes_transferred? }
+ * Ending a session that was already closed (e.g. by the sweeper) succeeds without changes
+ */
+router.post('/session/:id/end', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const bytesTransferred = parseBytesTransferred(req.body?.bytes_transferred);
+
+    if (bytesTransferred === null) {
+      res.status(400).json({
+        success: false,
+        error: 'bytes_transferred must be a non-negative integer'
+      } as ApiResponse);
+      return;
+    }
+
+    const session = await findOwnSession(req, res);
+    if (!session) {
+      return;
+    }
+
     const sessionModel = new ConnectionSession();
-    const sessions = await sessionModel.findByUserId(user.id, {
+    await sessionModel.end(session, 'client', bytesTransferred);
+    const endedSession = await sessionModel.findById(session.id);
+
+    res.json({
+      success: true,
+      data: {
+        session_id: session.id,
+        session_end: endedSession?.sessionEnd,
+        duration_seconds: endedSession?.durationSeconds,
+        end_reason: endedSession?.endReason
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ End session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end session'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Live connection counts per server location and platform
+ * GET /api/connection/active
+ * Operational data across all users - requires the admin key
+ */
+router.get('/active', requireAdmin, async (_req: Request, res: Response): Promise<void> => {
+  try {
+    const summary = await getActiveConnectionsSummary();
+
+    res.json({
+      success: true,
+      data: summary
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Active connections error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get active connections'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * List the caller's sessions, newest first
+ * GET /api/connection/sessions?limit=50&cursor=...&from=2025-10-01&to=2025-10-31&platform=ios&location=...
+ */
+router.get('/sessions', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 50, 1), MAX_PAGE_SIZE);
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+
+    if (from === null || to === null) {
+      res.status(400).json({
+        success: false,
+        error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps'
+      } as ApiResponse);
+      return;
+    }
+
+    const sessionModel = new ConnectionSession();
+    const page = await sessionModel.findPageByUserId(req.auth!.userId, {
       limit,
-      offset,
-      orderBy: 'createdAt',
-      ascending: false
+      cursor: typeof req.query.cursor === 'string' && req.query.cursor !== '' ? req.query.cursor : undefined,
+      from,
+      to,
+      platform: typeof req.query.platform === 'string' ? req.query.platform : undefined,
+      location: typeof req.query.location === 'string' ? req.query.location : undefined
     });
 
     res.json({
       success: true,
-      data: sessions
+      data: {
+        sessions: page.sessions.map(serializeSession),
+        next_cursor: page.nextCursor
+      }
     } as ApiResponse);
 
   } catch (error) {
-    console.error('Error in get sessions endpoint:', error);
+    if (error instanceof InvalidCursorError) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid cursor',
+        code: 'INVALID_CURSOR'
+      } as ApiResponse);
+      return;
+    }
+
+    console.error('❌ List sessions error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error'
+      error: 'Failed to list sessions'
     } as ApiResponse);
   }
 });
 
-// Get user's connection statistics
-router.get('/stats/:identifier', async (req: Request, res: Response): Promise<void> => {
+/**
+ * The caller's usage statistics for a period, with a per-day breakdown
+ * GET /api/connection/stats?from=2025-10-01&to=2025-10-31
+ * Without a period, covers all retained history
+ */
+router.get('/stats', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { identifier } = req.params;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
 
-    if (!identifier) {
+    if (from === null || to === null || (from && to && from > to)) {
       res.status(400).json({
         success: false,
-        error: 'Identifier is required'
+        error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps, with from before to'
       } as ApiResponse);
       return;
     }
 
-    // Find user by email or Firebase UID
-    const userModel = new User();
-    let user = null;
+    const sessionModel = new ConnectionSession();
+    const stats = await sessionModel.getStats(req.auth!.userId, { from, to });
 
-    if (identifier.includes('@')) {
-      user = await userModel.findByEmail(identifier);
+    res.json({
+      success: true,
+      data: {
+        period: { from: from || null, to: to || null },
+        ...stats
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Get stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get stats'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Delete all of the caller's connection history
+ * DELETE /api/connection/sessions
+ */
+router.delete('/sessions', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const sessionModel = new ConnectionSession();
+    await sessionModel.deleteByUserId(req.auth!.userId);
+
+    res.json({
+      success: true,
+      message: 'Connection history deleted'
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Delete history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete connection history'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Delete one of the caller's sessions
+ * DELETE /api/connection/sessions/:id
+ */
+router.delete('/sessions/:id', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) {
+      return;
     }
 
+    const sessionModel = new ConnectionSession();
+    await sessionModel.delete(session.id);
+
+    res.json({
+      success: true,
+      message: 'Session deleted'
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete session'
+    } as ApiResponse);
+  }
+});
+
+// Get user's connection sessions
+// Deprecated: use GET /api/connection/sessions with an access token
+router.get('/sessions/:identifier', deprecatedRoute('/api/connection/sessions'), requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const user = await resolveLegacyIdentifier(req, res);
     if (!user) {
-      user = await userModel.findByFirebaseUid(identifier);
+      return;
     }
 
+    const limit = parseInt(req.query.limit as string) || 50;
+    const offset = parseInt(req.query.offset as string) || 0;
+
+    // Get connection sessions
+    const sessionModel = new ConnectionSession();
+    const sessions = await sessionModel.findByUserId(user.id, {
+      limit,
+      offset,
+      orderBy: 'createdAt',
+      ascending: false
+    });
+
+    res.json({
+      success: true,
+      data: sessions.map(serializeSession)
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('Error in get sessions endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    } as ApiResponse);
+  }
+});
+
+// Get user's connection statistics
+// Deprecated: use GET /api/connection/stats with an access token
+router.get('/stats/:identifier', deprecatedRoute('/api/connection/stats'), requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const user = await resolveLegacyIdentifier(req, res);
     if (!user) {
-      res.status(404).json({
-        success: false,
-        error: 'User not found'
-      } as ApiResponse);
       return;
     }
 
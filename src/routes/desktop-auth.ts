@@ -1,6 +1,8 @@
 import express, { Request, Response } from 'express';
 import crypto from 'crypto';
-import { generatePermanentSessionToken } from '../utils/auth.js';
+import { issueAuthTokens, LEGACY_SESSION_TOKEN_TTL_SECONDS } from '../utils/auth.js';
+import { requireAuth } from '../middleware/auth.js';
+import { deviceIdRequiredResponse, isDeviceIdRequired, registerDeviceSignIn, limitExceededResponse } from '../utils/device-limits.js';
 import User from '../models/User.js';
 import type { ApiResponse, SessionTokenPayload } from '../types/index.js';
 
@@ -14,7 +16,7 @@ const codeStore = new Map<string, {
   deviceId?: string;
 }>();
 
-// Clean up expired codes every 5 minutes
+// Clean up expired codes every 5 minutes (without keeping the process alive)
 setInterval(() => {
   const now = Date.now();
   const TTL = 60 * 1000; // 60 seconds
@@ -24,33 +26,22 @@ setInterval(() => {
       codeStore.delete(code);
     }
   }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 /**
  * Generate one-time code for desktop app
  * POST /api/desktop-auth/generate-code
- * Body: { sessionToken, codeChallenge, deviceId? }
+ * Headers: Authorization: Bearer <accessToken> (or legacy sessionToken in body)
+ * Body: { codeChallenge, deviceId? }
  */
-router.post('/generate-code', async (req: Request, res: Response): Promise<void> => {
+router.post('/generate-code', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken, codeChallenge, deviceId } = req.body;
+    const { codeChallenge, deviceId } = req.body;
 
-    if (!sessionToken || !codeChallenge) {
+    if (!codeChallenge) {
       res.status(400).json({
         success: false,
-        error: 'Missing required fields: sessionToken, codeChallenge'
-      } as ApiResponse);
-      return;
-    }
-
-    // Verify session token
-    const { verifyPermanentSessionToken } = await import('../utils/auth.js');
-    const payload = verifyPermanentSessionToken(sessionToken);
-
-    if (!payload) {
-      res.status(401).json({
-        success: false,
-        error: 'Invalid session token'
+        error: 'Missing required field: codeChallenge'
       } as ApiResponse);
       return;
     }
@@ -60,13 +51,13 @@ router.post('/generate-code', async (req: Request, res: Response): Promise<void>
     
     // Store code with PKCE challenge
     codeStore.set(code, {
-      userId: payload.userId,
+      userId: req.auth!.userId,
       codeChallenge,
       createdAt: Date.now(),
       deviceId
     });
 
-    console.log('✅ Generated one-time code for user:', payload.userId);
+    console.log('✅ Generated one-time code for user:', req.auth!.userId);
 
     res.status(200).json({
       success: true,
@@ -86,11 +77,12 @@ router.post('/generate-code', async (req: Request, res: Response): Promise<void>
 /**
  * Exchange one-time code for access tokens (PKCE verification)
  * POST /api/desktop-auth/exchange
- * Body: { code, codeVerifier, deviceId? }
+ * Body: { code, codeVerifier, deviceId?, platform?, appVersion?, deviceName?, legacySessionToken? }
+ * deviceId may be omitted if it was sent to generate-code
  */
 router.post('/exchange', async (req: Request, res: Response): Promise<void> => {
   try {
-    const { code, codeVerifier, deviceId } = req.body;
+    const { code, codeVerifier, deviceId, platform, appVersion, deviceName, legacySessionToken } = req.body;
 
     if (!code || !codeVerifier) {
       res.status(400).json({
@@ -149,6 +141,13 @@ router.post('/exchange', async (req: Request, res: Response): Promise<void> => {
       return;
     }
 
+    // The desktop app counts against the device limit, so it must identify itself once the migration window closes
+    const deviceIdentifier: string | undefined = deviceId || codeData.deviceId;
+    if (!deviceIdentifier && isDeviceIdRequired()) {
+      res.status(400).json(deviceIdRequiredResponse());
+      return;
+    }
+
     // Delete code (one-time use)
     codeStore.delete(code);
 
@@ -164,25 +163,42 @@ router.post('/exchange', async (req: Request, res: Response): Promise<void> => {
       return;
     }
 
-    // Generate new session token for desktop app
+    // Register the desktop device against the plan's device limit
+    if (deviceIdentifier) {
+      const deviceCheck = await registerDeviceSignIn(user.id, {
+        deviceIdentifier,
+        platform,
+        appVersion,
+        name: deviceName
+      });
+
+      if (!deviceCheck.allowed) {
+        res.status(403).json(limitExceededResponse(deviceCheck));
+        return;
+      }
+    } else {
+      console.log('⚠️ Code exchange without a deviceId, issuing a session not bound to a device:', user.id);
+    }
+
+    // Start a new session for the desktop app, bound to its device if it sent one
     const tokenPayload: SessionTokenPayload = {
       userId: user.id,
       email: user.email,
       provider: (user.provider as 'google' | 'apple' | 'firebase' | 'demo') || 'demo'
     };
-    const accessToken = generatePermanentSessionToken(tokenPayload);
-    
-    // Generate refresh token (in production, implement proper refresh token logic)
-    const refreshToken = generatePermanentSessionToken(tokenPayload);
+    const tokens = await issueAuthTokens(tokenPayload, deviceIdentifier || null, { legacySessionToken: legacySessionToken !== false });
 
     console.log('✅ Code exchanged successfully for user:', user.id);
 
+    // Desktop builds in the field use access_token until it expires and never refresh, so they get
+    // the long-lived legacy token there until the cutoff; builds that refresh send legacySessionToken: false
     res.status(200).json({
       success: true,
-      access_token: accessToken,
-      refresh_token: refreshToken,
-      token_type: 'Bearer',
-      expires_in: 31536000, // 1 year
+      access_token: tokens.sessionToken || tokens.accessToken,
+      refresh_token: tokens.refreshToken,
+      token_type: tokens.tokenType,
+      expires_in: tokens.sessionToken ? LEGACY_SESSION_TOKEN_TTL_SECONDS : tokens.expiresIn,
+      session_token: tokens.sessionToken,
       user: {
         id: user.id,
         email: user.email,
@@ -0,0 +1,149 @@
+import express, { Request, Response } from 'express';
+import Device from '../models/Device.js';
+import RefreshToken from '../models/RefreshToken.js';
+import VpnPeer from '../models/VpnPeer.js';
+import { requireAuth } from '../middleware/auth.js';
+import { getUserPlanLimits } from '../utils/device-limits.js';
+import type { ApiResponse } from '../types/index.js';
+
+const router = express.Router();
+
+// All device routes act on the signed-in user's own devices
+router.use(requireAuth);
+
+/**
+ * List the user's devices with the plan's limits
+ * GET /api/devices?includeRevoked=true
+ */
+router.get('/', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const userId = req.auth!.userId;
+    const includeRevoked = req.query.includeRevoked === 'true';
+
+    const deviceModel = new Device();
+    const devices = await deviceModel.findAllByUserId(userId, includeRevoked);
+    const limits = await getUserPlanLimits(userId);
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map((device) => ({
+          id: device.id,
+          deviceId: device.deviceIdentifier,
+          name: device.name,
+          platform: device.platform,
+          appVersion: device.appVersion,
+          firstSeenAt: device.firstSeenAt,
+          lastSeenAt: device.lastSeenAt,
+          revokedAt: device.revokedAt,
+          isCurrent: device.deviceIdentifier === req.auth!.deviceId
+        })),
+        limits
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ List devices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list devices'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Rename a device
+ * PUT /api/devices/:id
+ * Body: { name }
+ */
+router.put('/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      res.status(400).json({
+        success: false,
+        error: 'Device name must be 1-100 characters'
+      } as ApiResponse);
+      return;
+    }
+
+    const deviceModel = new Device();
+    const device = await deviceModel.findById(req.params.id!);
+
+    if (!device || device.userId !== req.auth!.userId) {
+      res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      } as ApiResponse);
+      return;
+    }
+
+    const updatedDevice = await deviceModel.rename(device.id, name.trim());
+
+    res.json({
+      success: true,
+      data: {
+        id: updatedDevice.id,
+        name: updatedDevice.name
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Rename device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename device'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Revoke a device and sign it out
+ * DELETE /api/devices/:id
+ */
+router.delete('/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const deviceModel = new Device();
+    const device = await deviceModel.findById(req.params.id!);
+
+    if (!device || device.userId !== req.auth!.userId) {
+      res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      } as ApiResponse);
+      return;
+    }
+
+    if (!device.revokedAt) {
+      await deviceModel.revoke(device.id);
+    }
+
+    // Revoking the refresh tokens also invalidates the device's access tokens and session-bound legacy tokens
+    const refreshTokenModel = new RefreshToken();
+    await refreshTokenModel.revokeDevice(device.userId, device.deviceIdentifier, 'device_revoked');
+
+    // Legacy tokens from before sessions were tracked don't say which device holds them, so they are
+    // left alone here rather than signing out every other device; logout-all and the cutoff end them
+
+    // The device's WireGuard peers would otherwise keep working without any token
+    const peerModel = new VpnPeer();
+    await peerModel.revokeAllForDevice(device.userId, device.deviceIdentifier, 'device_revoked');
+
+    console.log(`✅ Device ${device.id} revoked for user ${device.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Device revoked'
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke device'
+    } as ApiResponse);
+  }
+});
+
+export default router;
@@ -0,0 +1,31 @@
+import express, { Request, Response } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveEntitlement, serializeEntitlement } from '../utils/entitlements.js';
+import type { ApiResponse } from '../types/index.js';
+
+const router = express.Router();
+
+/**
+ * Get the signed-in user's entitlement, merged across Stripe and Apple subscriptions
+ * GET /api/entitlements
+ * Clients should gate features on this rather than on individual subscription rows.
+ */
+router.get('/', requireAuth, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const entitlement = await resolveEntitlement(req.auth!.userId);
+
+    res.json({
+      success: true,
+      data: serializeEntitlement(entitlement)
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ Get entitlements error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get entitlements'
+    } as ApiResponse);
+  }
+});
+
+export default router;
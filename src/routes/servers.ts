@@ -0,0 +1,134 @@
+import express, { Request, Response } from 'express';
+import VpnServer from '../models/VpnServer.js';
+import { requireAuth } from '../middleware/auth.js';
+import { issueWireGuardProfile, ServerFullError } from '../utils/vpn-config.js';
+import { resolveEntitlement } from '../utils/entitlements.js';
+import { deviceIdRequiredResponse, isDeviceIdRequired } from '../utils/device-limits.js';
+import type { ApiResponse } from '../types/index.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * Check whether the user's tier includes premium-only servers
+ */
+async function hasPremiumAccess(userId: string): Promise<boolean> {
+  const entitlement = await resolveEntitlement(userId);
+  return entitlement.tier !== 'free';
+}
+
+/**
+ * List servers available to the caller's subscription tier
+ * GET /api/servers
+ */
+router.get('/', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const premium = await hasPremiumAccess(req.auth!.userId);
+
+    const serverModel = new VpnServer();
+    const servers = await serverModel.findAvailable(premium);
+
+    res.json({
+      success: true,
+      data: {
+        tier: premium ? 'premium' : 'free',
+        servers: servers.map((server) => ({
+          id: server.id,
+          name: server.name,
+          region: server.region,
+          country: server.country,
+          city: server.city,
+          hostname: server.hostname,
+          port: server.port,
+          protocol: server.protocol,
+          publicKey: server.publicKey,
+          premiumOnly: server.premiumOnly
+        }))
+      }
+    } as ApiResponse);
+
+  } catch (error) {
+    console.error('❌ List servers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list servers'
+    } as ApiResponse);
+  }
+});
+
+/**
+ * Issue a WireGuard profile for the caller's device on a server
+ * POST /api/servers/:id/config?format=conf
+ * Returns JSON by default, or a ready-to-import .conf file with format=conf.
+ * The private key is only returned here and is never stored.
+ */
+router.post('/:id/config', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const serverModel = new VpnServer();
+    const server = await serverModel.findById(req.params.id!);
+
+    if (!server || server.status !== 'online') {
+      res.status(404).json({
+        success: false,
+        error: 'Server not found'
+      } as ApiResponse);
+      return;
+    }
+
+    if (server.premiumOnly && !(await hasPremiumAccess(req.auth!.userId))) {
+      res.status(403).json({
+        success: false,
+        error: 'This server requires an active subscription',
+        code: 'PREMIUM_REQUIRED'
+      } as ApiResponse);
+      return;
+    }
+
+    // Peers are issued per device; sessions without one share a single unbound peer per server
+    // until the migration window closes, after which they have to sign in again with a deviceId
+    const deviceId = req.auth!.deviceId;
+    if (!deviceId && isDeviceIdRequired()) {
+      res.status(400).json({
+        ...deviceIdRequiredResponse(),
+        error: 'This session is not bound to a device, please sign in again'
+      } as ApiResponse);
+      return;
+    }
+
+    const profile = await issueWireGuardProfile(req.auth!.userId, server, deviceId);
+
+    if (req.query.format === 'conf') {
+      const filename = `${server.name.replace(/[^a-zA-Z0-9_-]+/g, '-').toLowerCase()}.conf`;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(profile.config);
+      return;
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: profile
+    } as ApiResponse);
+
+  } catch (error) {
+    if (error instanceof ServerFullError) {
+      res.status(503).json({
+        success: false,
+        error: 'Server is at capacity, please choose another location',
+        code: 'SERVER_FULL'
+      } as ApiResponse);
+      return;
+    }
+
+    console.error('❌ Issue server config error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate server configuration'
+    } as ApiResponse);
+  }
+});
+
+export default router;
@@ -2,35 +2,124 @@ import express, { Request, Response } from 'express';
 import stripe from '../config/stripe.js';
 import User from '../models/User.js';
 import Subscription from '../models/Subscription.js';
-import { verifyPermanentSessionToken } from '../utils/auth.js';
+import Plan from '../models/Plan.js';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveEntitlement, serializeEntitlement } from '../utils/entitlements.js';
+import type Stripe from 'stripe';
+import type { Plan as PrismaPlan } from '@prisma/client';
 import type { ApiResponse } from '../types/index.js';
 
 const router = express.Router();
 
-const PRICE_ID = process.env.STRIPE_PRICE_ID || 'price_1Rf5jFJ63Mu2b1BhLuEaYEB7';
+const DEFAULT_PLAN_CODE = process.env.DEFAULT_PLAN_CODE || 'premium_yearly';
 const SUCCESS_URL = process.env.CHECKOUT_SUCCESS_URL || 'https://vpnkeen.com/success';
 const CANCEL_URL = process.env.CHECKOUT_CANCEL_URL || 'https://vpnkeen.com/cancel';
 
-// Get available subscription plans
+type CheckoutPlan = Pick<PrismaPlan, 'code' | 'stripePriceId' | 'trialDays'>;
+
+type CheckoutOptions =
+  | { ok: true; plan: CheckoutPlan; params: Stripe.Checkout.SessionCreateParams }
+  | { ok: false; error: string; code: string };
+
+/**
+ * Find the plan to check out
+ * Until the catalog is seeded (npm run plans:seed), the default plan falls back to the
+ * STRIPE_PRICE_ID checkout used before the catalog existed.
+ */
+async function findCheckoutPlan(planCode: string): Promise<CheckoutPlan | null> {
+  const planModel = new Plan();
+  const plan = await planModel.findByCode(planCode);
+
+  if (plan) {
+    return plan.active && plan.stripePriceId ? plan : null;
+  }
+
+  const legacyPriceId = process.env.STRIPE_PRICE_ID;
+  if (planCode !== DEFAULT_PLAN_CODE || !legacyPriceId || (await planModel.findAll()).length > 0) {
+    return null;
+  }
+
+  console.log(`⚠️ Plan catalog is empty, checking out STRIPE_PRICE_ID as ${planCode}`);
+  return { code: planCode, stripePriceId: legacyPriceId, trialDays: 0 };
+}
+
+/**
+ * Resolve the catalog plan, trial and promo code for a Stripe Checkout session
+ * Trials are only offered to users who have never held a subscription.
+ * Without a promo code the Checkout page lets the user enter one.
+ */
+async function buildCheckoutOptions(userId: string, planCode: unknown, promoCode: unknown): Promise<CheckoutOptions> {
+  const plan = await findCheckoutPlan(typeof planCode === 'string' && planCode ? planCode : DEFAULT_PLAN_CODE);
+
+  if (!plan || !plan.stripePriceId) {
+    return { ok: false, error: 'Unknown or unavailable plan', code: 'INVALID_PLAN' };
+  }
+
+  const params: Stripe.Checkout.SessionCreateParams = {
+    mode: 'subscription',
+    line_items: [
+      {
+        price: plan.stripePriceId,
+        quantity: 1,
+      },
+    ],
+    subscription_data: {
+      metadata: {
+        userId,
+        plan: plan.code
+      }
+    }
+  };
+
+  if (typeof promoCode === 'string' && promoCode.trim() !== '') {
+    const promotionCodes = await stripe.promotionCodes.list({ code: promoCode.trim(), active: true, limit: 1 });
+    const promotionCode = promotionCodes.data[0];
+
+    if (!promotionCode) {
+      return { ok: false, error: 'Promo code is invalid or has expired', code: 'INVALID_PROMO_CODE' };
+    }
+
+    params.discounts = [{ promotion_code: promotionCode.id }];
+  } else {
+    params.allow_promotion_codes = true;
+  }
+
+  if (plan.trialDays > 0) {
+    const subscriptionModel = new Subscription();
+    const previousSubscriptions = await subscriptionModel.findAllByUserId(userId);
+
+    if (previousSubscriptions.length === 0) {
+      params.subscription_data!.trial_period_days = plan.trialDays;
+    }
+  }
+
+  return { ok: true, plan, params };
+}
+
+// Get available subscription plans from the catalog
 router.get('/plans', async (_req: Request, res: Response): Promise<void> => {
   try {
-    // Updated to reflect single yearly plan at $100
-    const planPrice = parseFloat(process.env.PLAN_PRICE || '100.00');
-    const planName = process.env.PLAN_NAME || 'Premium VPN - Annual';
-    const planFeatures = process.env.PLAN_FEATURES 
-      ? process.env.PLAN_FEATURES.split(',')
-      : ['Unlimited bandwidth', 'Global servers', 'Premium support', 'No logs policy'];
-    const stripeCheckoutLink = process.env.STRIPE_CHECKOUT_LINK || '';
-
-    const plans = [{
-      id: 'premium_yearly',
-      name: planName,
-      price: planPrice,
-      period: 'year',
-      interval: 'year',
-      features: planFeatures,
-      checkoutLink: stripeCheckoutLink
-    }];
+    const planModel = new Plan();
+    const catalog = await planModel.findActive();
+
+    const plans = catalog.map((plan) => ({
+      id: plan.code,
+      name: plan.name,
+      tier: plan.tier,
+      price: Number(plan.priceAmount),
+      currency: plan.priceCurrency,
+      period: plan.billingPeriod,
+      interval: plan.billingPeriod,
+      trialDays: plan.trialDays,
+      features: plan.features,
+      limits: {
+        maxDevices: plan.maxDevices,
+        maxConcurrentSessions: plan.maxConcurrentSessions
+      },
+      // Web checkout needs a Stripe price; the iOS app buys appleProductId through StoreKit
+      webCheckout: plan.stripePriceId !== null,
+      appleProductId: plan.appleProductId
+    }));
 
     const response: ApiResponse = {
       success: true,
@@ -48,36 +137,14 @@ router.get('/plans', async (_req: Request, res: Response): Promise<void> => {
 });
 
 // Get subscription status with permanent session token
-router.post('/status-session', async (req: Request, res: Response): Promise<void> => {
+router.post('/status-session', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken } = req.body;
-
-    if (!sessionToken) {
-      res.status(400).json({
-        success: false,
-        error: 'Session token is required'
-      } as ApiResponse);
-      return;
-    }
-
     console.log('Getting subscription status with session token');
 
-    // Verify the session token
-    const userInfo = verifyPermanentSessionToken(sessionToken);
-
-    if (!userInfo) {
-      res.status(401).json({
-        success: false,
-        error: 'Invalid session token'
-      } as ApiResponse);
-      return;
-    }
-
     const userModel = new User();
-    const subscriptionModel = new Subscription();
 
     // Get user by ID
-    const user = await userModel.findById(userInfo.userId);
+    const user = await userModel.findById(req.auth!.userId);
 
     if (!user) {
       res.status(404).json({
@@ -87,23 +154,22 @@ router.post('/status-session', async (req: Request, res: Response): Promise<void
       return;
     }
 
-    // Get active subscription from new subscriptions table
-    const activeSubscription = await subscriptionModel.findActiveByUserId(user.id);
-
-    // Check if subscription is active
-    const hasActiveSubscription = activeSubscription !== null && activeSubscription.status === 'active';
+    // Merge Stripe and Apple subscriptions into one answer
+    const entitlement = await resolveEntitlement(user.id);
+    const activeSubscription = entitlement.hasAccess ? entitlement.subscription : null;
 
     res.json({
       success: true,
       subscription: {
         status: activeSubscription?.status || 'inactive',
-        plan: activeSubscription?.planName || '',
+        plan: entitlement.plan?.name || activeSubscription?.planName || '',
         endDate: activeSubscription?.currentPeriodEnd || '',
         customerId: activeSubscription?.stripeCustomerId || '',
         cancelAtPeriodEnd: activeSubscription?.cancelAtPeriodEnd || false,
         subscriptionType: activeSubscription?.subscriptionType || 'stripe'
       },
-      hasActiveSubscription
+      hasActiveSubscription: entitlement.hasAccess,
+      entitlement: serializeEntitlement(entitlement)
     } as ApiResponse);
   } catch (error) {
     console.error('Error getting subscription status with session:', error);
@@ -115,37 +181,13 @@ router.post('/status-session', async (req: Request, res: Response): Promise<void
 });
 
 // Cancel subscription
-router.post('/cancel', async (req: Request, res: Response): Promise<void> => {
+router.post('/cancel', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken } = req.body;
-    const authHeader = req.headers.authorization;
-
-    let userInfo = null;
-
-    // Try session token first
-    if (sessionToken) {
-      userInfo = verifyPermanentSessionToken(sessionToken);
-    }
-
-    // Try auth header if session token failed
-    if (!userInfo && authHeader) {
-      const token = authHeader.replace('Bearer ', '');
-      userInfo = verifyPermanentSessionToken(token);
-    }
-
-    if (!userInfo) {
-      res.status(401).json({
-        success: false,
-        error: 'No valid authentication token provided'
-      } as ApiResponse);
-      return;
-    }
-
     const userModel = new User();
     const subscriptionModel = new Subscription();
 
     // Get user
-    const user = await userModel.findById(userInfo.userId);
+    const user = await userModel.findById(req.auth!.userId);
 
     if (!user) {
       res.status(404).json({
@@ -155,8 +197,9 @@ router.post('/cancel', async (req: Request, res: Response): Promise<void> => {
       return;
     }
 
-    // Get active subscription
-    const activeSubscription = await subscriptionModel.findActiveByUserId(user.id);
+    // Cancel the subscription that is granting access (merged across Stripe and Apple)
+    const entitlement = await resolveEntitlement(user.id);
+    const activeSubscription = entitlement.hasAccess ? entitlement.subscription : null;
 
     if (!activeSubscription) {
       res.status(404).json({
@@ -205,33 +248,12 @@ router.post('/cancel', async (req: Request, res: Response): Promise<void> => {
 });
 
 // Create Stripe Checkout Session
-router.post('/create-checkout-session', async (req: Request, res: Response): Promise<void> => {
+router.post('/create-checkout-session', requireAuth, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { sessionToken } = req.body;
-
-    if (!sessionToken) {
-      res.status(400).json({
-        success: false,
-        error: 'Session token is required'
-      } as ApiResponse);
-      return;
-    }
-
-    // Verify the session token
-    const userInfo = verifyPermanentSessionToken(sessionToken);
-
-    if (!userInfo) {
-      res.status(401).json({
-        success: false,
-        error: 'Invalid session token'
-      } as ApiResponse);
-      return;
-    }
-
     const userModel = new User();
 
     // Get user by ID from session token
-    const user = await userModel.findById(userInfo.userId);
+    const user = await userModel.findById(req.auth!.userId);
 
     if (!user) {
       res.status(404).json({
@@ -249,34 +271,27 @@ router.post('/create-checkout-session', async (req: Request, res: Response): Pro
       return;
     }
 
-    // Get plan info
-    const planName = process.env.PLAN_NAME || 'Premium VPN - Annual';
-    const stripePriceId = process.env.STRIPE_PRICE_ID;
+    const checkout = await buildCheckoutOptions(user.id, req.body?.plan, req.body?.promoCode);
 
-    if (!stripePriceId) {
-      res.status(500).json({ 
-        success: false, 
-        error: 'Stripe price ID not configured' 
+    if (!checkout.ok) {
+      res.status(400).json({
+        success: false,
+        error: checkout.error,
+        code: checkout.code
       } as ApiResponse);
       return;
     }
 
     // Create Stripe Checkout Session
     const session = await stripe.checkout.sessions.create({
+      ...checkout.params,
       payment_method_types: ['card'],
-      mode: 'subscription',
       customer_email: user.email,
-      line_items: [
-        {
-          price: stripePriceId,
-          quantity: 1,
-        },
-      ],
       success_url: process.env.CHECKOUT_SUCCESS_URL!,
       cancel_url: process.env.CHECKOUT_CANCEL_URL!,
       metadata: {
         userId: user.id,
-        plan: planName
+        plan: checkout.plan.code
       }
     });
 
@@ -296,7 +311,7 @@ router.post('/create-checkout-session', async (req: Request, res: Response): Pro
 // Create Stripe Checkout Session for Website (uses Firebase idToken instead of sessionToken)
 router.post('/create-checkout', async (req: Request, res: Response): Promise<void> => {
   try {
-    const { idToken, email } = req.body;
+    const { idToken, email, plan, promoCode } = req.body;
 
     if (!idToken || !email) {
       res.status(400).json({
@@ -321,11 +336,10 @@ router.post('/create-checkout', async (req: Request, res: Response): Promise<voi
       return;
     }
 
-    // Check if user already has an active subscription
-    const subscriptionModel = new Subscription();
-    const activeSubscription = await subscriptionModel.findActiveByUserId(user.id);
+    // Check if user already has access through any store
+    const entitlement = await resolveEntitlement(user.id);
 
-    if (activeSubscription) {
+    if (entitlement.hasAccess) {
       console.log('⚠️ User already has active subscription');
       res.status(400).json({
         success: false,
@@ -334,6 +348,17 @@ router.post('/create-checkout', async (req: Request, res: Response): Promise<voi
       return;
     }
 
+    const checkout = await buildCheckoutOptions(user.id, plan, promoCode);
+
+    if (!checkout.ok) {
+      res.status(400).json({
+        success: false,
+        error: checkout.error,
+        code: checkout.code
+      } as ApiResponse);
+      return;
+    }
+
     // Create or retrieve Stripe customer
     let stripeCustomerId = user.stripeCustomerId;
 
@@ -354,26 +379,23 @@ router.post('/create-checkout', async (req: Request, res: Response): Promise<voi
 
     // Create checkout session
     const session = await stripe.checkout.sessions.create({
+      ...checkout.params,
       customer: stripeCustomerId,
-      mode: 'subscription',
       payment_method_types: ['card'],
-      line_items: [
-        {
-          price: PRICE_ID,
-          quantity: 1,
-        },
-      ],
       success_url: `${SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: CANCEL_URL,
       metadata: {
         userId: user.id,
         email: user.email,
+        plan: checkout.plan.code
       },
       subscription_data: {
+        ...checkout.params.subscription_data,
         metadata: {
           userId: user.id,
           email: user.email,
-        },
+          plan: checkout.plan.code
+        }
       },
     });
 
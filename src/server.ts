@@ -12,10 +12,14 @@ import subscriptionRoutes from './routes/subscription.js';
 import connectionRoutes from './routes/connection.js';
 import desktopAuthRoutes from './routes/desktop-auth.js';
 import appleIAPRoutes from './routes/apple-iap.js';
+import deviceRoutes from './routes/devices.js';
+import serverRoutes from './routes/servers.js';
+import adminRoutes from './routes/admin.js';
+import accountRoutes from './routes/account.js';
+import entitlementRoutes from './routes/entitlements.js';
 import stripe from './config/stripe.js';
 import './config/firebase.js'; // Initialize Firebase
-import User from './models/User.js';
-import Subscription from './models/Subscription.js';
+import { processStripeEvent } from './utils/stripe-webhook.js';
 import type Stripe from 'stripe';
 
 const app = express();
@@ -109,49 +113,27 @@ app.post('/api/subscription/webhook', async (req: Request, res: Response): Promi
       setTimeout(() => reject(new Error('Webhook processing timeout')), 8000);
     });
 
-    const webhookPromise = (async () => {
-      switch (event.type) {
-        case 'checkout.session.completed':
-          await handleCheckoutSessionCompleted(event.data.object as Stripe.Checkout.Session);
-          break;
+    // Events are logged and deduplicated by Stripe event ID before being applied
+    const result = await Promise.race([processStripeEvent(event), timeoutPromise]);
 
-        case 'customer.subscription.created':
-          await handleSubscriptionCreated(event.data.object as Stripe.Subscription);
-          break;
-
-        case 'customer.subscription.updated':
-          await handleSubscriptionUpdated(event.data.object as Stripe.Subscription);
-          break;
-
-        case 'customer.subscription.deleted':
-          await handleSubscriptionDeleted(event.data.object as Stripe.Subscription);
-          break;
-
-        case 'invoice.payment_succeeded':
-          await handlePaymentSucceeded(event.data.object as Stripe.Invoice);
-          break;
-
-        case 'invoice.payment_failed':
-          await handlePaymentFailed(event.data.object as Stripe.Invoice);
-          break;
-
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
-      }
-    })();
-
-    // Race between webhook processing and timeout
-    await Promise.race([webhookPromise, timeoutPromise]);
+    if (result === 'in_progress') {
+      // Another delivery of this event is still running - ask Stripe to retry later
+      res.status(409).json({ received: true, status: result });
+      return;
+    }
 
-    res.json({ received: true });
+    res.json({ received: true, status: result });
   } catch (error) {
     const err = error as Error;
     console.error('Error handling webhook:', err);
 
-    // If it's a timeout error, still return 200 to prevent Stripe retries
+    // The event stays recorded in webhook_events, so a non-2xx is safe:
+    // Stripe's retry (or scripts/replay-webhooks.ts) will pick it up without double-applying.
+    // On timeout the handler keeps running and keeps its claim, so retries get 409 until it
+    // finishes - the event is never marked failed or replayed while it is still running.
     if (err.message === 'Webhook processing timeout') {
-      console.error('Webhook timed out, but returning 200 to prevent retries');
-      res.status(200).json({ received: true, warning: 'Processing timeout' });
+      console.error('Webhook timed out, Stripe will retry');
+      res.status(503).json({ error: 'Webhook processing timeout' });
       return;
     }
 
@@ -159,152 +141,6 @@ app.post('/api/subscription/webhook', async (req: Request, res: Response): Promi
   }
 });
 
-// Webhook handlers
-async function handleCheckoutSessionCompleted(session: Stripe.Checkout.Session): Promise<void> {
-  console.log('Checkout session completed:', session.id);
-  // Implementation here
-}
-
-async function handleSubscriptionCreated(subscription: Stripe.Subscription): Promise<void> {
-  try {
-    const customerId = subscription.customer as string;
-
-    console.log(`🔄 Processing subscription creation for customer: ${customerId}`);
-
-    // Get customer details from Stripe
-    const customer = await stripe.customers.retrieve(customerId) as Stripe.Customer;
-    const userEmail = customer.email;
-    
-    if (!userEmail) {
-      console.error('❌ Customer has no email');
-      return;
-    }
-
-    console.log(`📧 Found customer email: ${userEmail}`);
-
-    // Find user by email
-    const userModel = new User();
-    const user = await userModel.findByEmail(userEmail);
-    if (!user) {
-      console.error('❌ User not found for email:', userEmail);
-      return;
-    }
-    console.log(`👤 Found user: ${user.id}`);
-
-    // Create or update subscription
-    const subscriptionModel = new Subscription();
-    const existingSubscription = await subscriptionModel.findByStripeSubscriptionId(subscription.id);
-    
-    // Map Stripe status to our status (Stripe uses "canceled", we use "cancelled")
-    const mappedStatus = subscription.status === 'canceled' ? 'cancelled' : subscription.status;
-
-    if (existingSubscription) {
-      await subscriptionModel.update(existingSubscription.id, {
-        status: mappedStatus as 'active' | 'inactive' | 'cancelled' | 'past_due' | 'trialing',
-        currentPeriodStart: new Date(subscription.current_period_start * 1000),
-        currentPeriodEnd: new Date(subscription.current_period_end * 1000)
-      });
-    } else {
-      await subscriptionModel.create({
-        userId: user.id,
-        stripeCustomerId: customerId,
-        stripeSubscriptionId: subscription.id,
-        status: mappedStatus as 'active' | 'inactive' | 'cancelled' | 'past_due' | 'trialing',
-        planId: 'premium_yearly',
-        planName: 'Premium VPN - Annual',
-        priceAmount: 100.00,
-        priceCurrency: 'USD',
-        billingPeriod: 'year',
-        currentPeriodStart: new Date(subscription.current_period_start * 1000),
-        currentPeriodEnd: new Date(subscription.current_period_end * 1000)
-      });
-    }
-
-    console.log('✅ Subscription creation processed successfully');
-  } catch (error) {
-    console.error('❌ Error processing subscription creation:', error);
-    throw error;
-  }
-}
-
-async function handleSubscriptionUpdated(subscription: Stripe.Subscription): Promise<void> {
-  try {
-    const customerId = subscription.customer as string;
-    const mappedStatus = subscription.status === 'canceled' ? 'cancelled' : subscription.status;
-
-    console.log(`🔄 Processing subscription update for customer: ${customerId}, status: ${mappedStatus}`);
-
-    const subscriptionModel = new Subscription();
-    const existingSubscription = await subscriptionModel.findByStripeSubscriptionId(subscription.id);
-
-    if (!existingSubscription) {
-      console.error('❌ Subscription not found:', subscription.id);
-      return;
-    }
-
-    await subscriptionModel.update(existingSubscription.id, {
-      status: mappedStatus as 'active' | 'inactive' | 'cancelled' | 'past_due' | 'trialing',
-      currentPeriodStart: new Date(subscription.current_period_start * 1000),
-      currentPeriodEnd: new Date(subscription.current_period_end * 1000),
-      cancelAtPeriodEnd: subscription.cancel_at_period_end
-    });
-
-    console.log('✅ Subscription update processed successfully');
-  } catch (error) {
-    console.error('❌ Error processing subscription update:', error);
-    throw error;
-  }
-}
-
-async function handleSubscriptionDeleted(subscription: Stripe.Subscription): Promise<void> {
-  try {
-    const customerId = subscription.customer as string;
-
-    console.log(`🔄 Processing subscription deletion for customer: ${customerId}`);
-
-    const subscriptionModel = new Subscription();
-    const existingSubscription = await subscriptionModel.findByStripeSubscriptionId(subscription.id);
-
-    if (!existingSubscription) {
-      console.error('❌ Subscription not found:', subscription.id);
-      return;
-    }
-
-    await subscriptionModel.update(existingSubscription.id, {
-      status: 'cancelled',
-      cancelledAt: new Date()
-    });
-
-    console.log('✅ Subscription deletion processed successfully');
-  } catch (error) {
-    console.error('❌ Error processing subscription deletion:', error);
-    throw error;
-  }
-}
-
-async function handlePaymentSucceeded(invoice: Stripe.Invoice): Promise<void> {
-  try {
-    console.log(`💰 Payment succeeded for invoice: ${invoice.id}`);
-
-    if (invoice.subscription) {
-      console.log(`📋 This payment is for subscription: ${invoice.subscription}`);
-      
-      const subscription = await stripe.subscriptions.retrieve(invoice.subscription as string);
-      console.log(`📊 Subscription status after payment: ${subscription.status}`);
-
-      if (subscription.status === 'active') {
-        console.log(`✅ Subscription is now active after successful payment`);
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error processing payment succeeded:', error);
-  }
-}
-
-async function handlePaymentFailed(invoice: Stripe.Invoice): Promise<void> {
-  console.log('Payment failed for invoice:', invoice.id);
-}
-
 // Body parsing middleware (for all other routes)
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -315,6 +151,11 @@ app.use('/api/subscription', subscriptionRoutes);
 app.use('/api/connection', connectionRoutes);
 app.use('/api/desktop-auth', desktopAuthRoutes);
 app.use('/api/apple-iap', appleIAPRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/servers', serverRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/entitlements', entitlementRoutes);
 
 // Health check endpoint
 app.get('/health', async (_req: Request, res: Response): Promise<void> => {
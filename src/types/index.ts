@@ -21,6 +21,7 @@ export interface UpdateUserData {
   provider?: string;
   emailVerified?: boolean;
   stripeCustomerId?: string;
+  sessionsRevokedAt?: Date | null;
 }
 
 // Subscription related types
@@ -84,6 +85,25 @@ export interface UpdateConnectionSessionData {
   bytesTransferred?: bigint | number;
 }
 
+export interface StartConnectionSessionData {
+  userId: string;
+  serverLocation?: string | null;
+  serverAddress?: string | null;
+  platform: string;
+  appVersion?: string | null;
+  subscriptionTier?: string | null;
+}
+
+export type SessionEndReason = 'client' | 'timeout';
+
+export interface ActiveConnectionsSummary {
+  total_active: number;
+  by_location: Record<string, { sessions: number; platforms: Record<string, number> }>;
+  by_platform: Record<string, number>;
+  heartbeat_timeout_seconds: number;
+  generated_at: Date;
+}
+
 export interface ConnectionSessionQueryOptions {
   limit?: number;
   offset?: number;
@@ -91,6 +111,20 @@ export interface ConnectionSessionQueryOptions {
   ascending?: boolean;
 }
 
+export interface ConnectionSessionPageOptions {
+  limit: number;
+  cursor?: string;
+  from?: Date;
+  to?: Date;
+  platform?: string;
+  location?: string;
+}
+
+export interface StatsPeriod {
+  from?: Date;
+  to?: Date;
+}
+
 export interface ConnectionStats {
   total_sessions: number;
   total_duration_seconds: number;
@@ -106,6 +140,11 @@ export interface ConnectionStats {
     duration: number;
     bytes: number;
   }>;
+  daily_breakdown: Record<string, {
+    sessions: number;
+    duration: number;
+    bytes: number;
+  }>;
   most_recent_session: {
     date: Date;
     duration: number;
@@ -113,11 +152,149 @@ export interface ConnectionStats {
   } | null;
 }
 
+// Device related types
+export interface RegisterDeviceData {
+  deviceIdentifier: string;
+  platform?: string | null;
+  appVersion?: string | null;
+  name?: string | null;
+}
+
+export interface PlanLimits {
+  maxDevices: number;
+  maxConcurrentSessions: number;
+}
+
+export type LimitCheckResult =
+  | { allowed: true }
+  | { allowed: false; code: 'DEVICE_LIMIT_REACHED' | 'SESSION_LIMIT_REACHED'; limits: PlanLimits; current: number };
+
+// Plan catalog & entitlement types
+export type PlanTier = 'free' | 'premium';
+export type BillingPeriod = 'month' | 'year';
+
+export interface CreatePlanData {
+  code: string;
+  name: string;
+  tier?: Exclude<PlanTier, 'free'>;
+  billingPeriod: BillingPeriod;
+  priceAmount: number;
+  priceCurrency?: string;
+  stripePriceId?: string | null;
+  appleProductId?: string | null;
+  trialDays?: number;
+  features?: string[];
+  maxDevices?: number;
+  maxConcurrentSessions?: number;
+  active?: boolean;
+  sortOrder?: number;
+}
+
+export type UpdatePlanData = Partial<CreatePlanData>;
+
+export type SubscriptionSource = 'stripe' | 'apple_iap';
+
+// grace: payment failed but the store is retrying and access continues until the period end
+// billing_retry: the store is still retrying but access has ended
+export type EntitlementState = 'active' | 'trial' | 'grace' | 'billing_retry' | 'expired' | 'none';
+
+export interface Entitlement {
+  tier: PlanTier;
+  hasAccess: boolean;
+  state: EntitlementState;
+  source: SubscriptionSource | null;
+  subscriptionId: string | null;
+  plan: { code: string; name: string; billingPeriod: string } | null;
+  expiresAt: Date | null;
+  willRenew: boolean;
+  features: string[];
+  limits: PlanLimits;
+  // Every store currently granting access - more than one means the user is paying twice
+  activeSources: SubscriptionSource[];
+}
+
+// Scheduled job types
+export type JobTrigger = 'cli' | 'scheduled';
+
+export interface DailyJobsResult {
+  staleSessionsClosed: number;
+  lapsedPeersRevoked: number;
+  aggregatedDates: string[];
+  aggregatedThrough: string | null;
+  aggregateGroups: number;
+  anonymizedSessions: number;
+  deletedSessions: number;
+  anonymizeAfterDays: number;
+  deleteAfterDays: number;
+}
+
+// Admin analytics types
+export type AnalyticsInterval = 'day' | 'week' | 'month';
+export type AnalyticsDimension = 'platform' | 'location' | 'tier';
+
+export interface AnalyticsQueryOptions {
+  from: Date;
+  to: Date;
+  interval: AnalyticsInterval;
+  groupBy: AnalyticsDimension[];
+  platform?: string;
+  location?: string;
+  tier?: string;
+}
+
+export interface AnalyticsPoint {
+  period: string;
+  platform?: string;
+  location?: string;
+  tier?: string;
+  sessions: number;
+  durationSeconds: number;
+  avgDurationSeconds: number;
+  bytesTransferred: number;
+  // Sum of daily unique users - a user active on 3 days counts 3 times
+  userDays: number;
+}
+
+// VPN server catalog types
+export type VpnServerStatus = 'online' | 'offline' | 'maintenance';
+
+export interface CreateVpnServerData {
+  name: string;
+  region: string;
+  country: string;
+  city: string;
+  hostname: string;
+  port?: number;
+  protocol?: 'wireguard';
+  publicKey: string;
+  addressPool: string;
+  dns?: string | null;
+  capacity?: number;
+  status?: VpnServerStatus;
+  premiumOnly?: boolean;
+}
+
+export type UpdateVpnServerData = Partial<CreateVpnServerData>;
+
+export interface WireGuardProfile {
+  serverId: string;
+  peerId: string;
+  privateKey: string;
+  publicKey: string;
+  address: string;
+  dns: string | null;
+  serverPublicKey: string;
+  endpoint: string;
+  allowedIps: string;
+  config: string;
+}
+
 // API Response types
 export interface ApiResponse<T = any> {
   success: boolean;
   data?: T;
   error?: string;
+  code?: string;
   message?: string;
 }
 
@@ -142,6 +319,12 @@ export interface AppleSignInData {
   userIdentifier: string;
   email: string;
   fullName?: string;
+  deviceId?: string;
+  platform?: string;
+  appVersion?: string;
+  deviceName?: string;
+  // Clients that refresh send false to skip the legacy 30-day sessionToken
+  legacySessionToken?: boolean;
 }
 
 export interface SessionTokenPayload {
@@ -150,6 +333,45 @@ export interface SessionTokenPayload {
   provider: 'google' | 'apple' | 'firebase' | 'demo';
 }
 
+// Legacy 30-day token; newer ones carry the session (refresh token family) and device they were issued with
+export interface LegacySessionTokenPayload extends SessionTokenPayload {
+  sid?: string;
+  deviceId?: string;
+}
+
+// Short-lived access token; sid ties it to a refresh token family so logout revokes it
+export interface AccessTokenPayload extends SessionTokenPayload {
+  type: 'access';
+  sid: string;
+  deviceId?: string;
+}
+
+export interface AuthContext {
+  userId: string;
+  email: string;
+  provider: SessionTokenPayload['provider'];
+  sessionId: string | null;
+  deviceId: string | null;
+  legacy: boolean;
+}
+
+export interface AuthTokens {
+  accessToken: string;
+  refreshToken: string;
+  expiresIn: number;
+  tokenType: 'Bearer';
+  // Legacy 30-day token, issued until LEGACY_TOKEN_CUTOFF unless the client opts out
+  sessionToken?: string;
+}
+
+export interface CreateRefreshTokenData {
+  userId: string;
+  tokenHash: string;
+  familyId: string;
+  deviceId?: string | null;
+  expiresAt: Date;
+}
+
 // Apple IAP types
 export interface AppleIAPReceipt {
   transactionId: string;
@@ -162,13 +384,69 @@ export interface AppleIAPReceipt {
 }
 
 export interface LinkAppleIAPRequest {
-  sessionToken: string;
+  sessionToken?: string;
   receiptData: string; // Base64 encoded receipt
   transactionId: string;
   originalTransactionId: string;
   productId: string;
 }
 
+// App Store Server Notifications V2 types
+export type AppleNotificationStatus = 'received' | 'processing' | 'processed' | 'ignored' | 'skipped' | 'unlinked' | 'failed';
+
+export interface AppleNotificationPayload {
+  notificationType: string;
+  subtype?: string;
+  notificationUUID: string;
+  version?: string;
+  signedDate?: number;
+  data?: {
+    appAppleId?: number;
+    bundleId?: string;
+    bundleVersion?: string;
+    environment?: 'Sandbox' | 'Production';
+    signedTransactionInfo?: string;
+    signedRenewalInfo?: string;
+    status?: number;
+  };
+}
+
+export interface AppleTransactionInfo {
+  transactionId: string;
+  originalTransactionId: string;
+  bundleId?: string;
+  productId: string;
+  purchaseDate?: number;
+  originalPurchaseDate?: number;
+  expiresDate?: number;
+  revocationDate?: number;
+  revocationReason?: number;
+  environment?: 'Sandbox' | 'Production';
+  type?: string;
+}
+
+export interface AppleRenewalInfo {
+  originalTransactionId: string;
+  autoRenewProductId?: string;
+  autoRenewStatus?: number;
+  expirationIntent?: number;
+  gracePeriodExpiresDate?: number;
+  isInBillingRetryPeriod?: boolean;
+  environment?: 'Sandbox' | 'Production';
+}
+
+export interface RecordAppleNotificationData {
+  notificationUuid: string;
+  notificationType: string;
+  subtype?: string | null;
+  originalTransactionId?: string | null;
+  environment?: string | null;
+  signedDate?: Date | null;
+  status: AppleNotificationStatus;
+  error?: string | null;
+  subscriptionId?: string | null;
+}
+
 // Stripe webhook event types
 export interface StripeWebhookEvent {
   id: string;
@@ -178,3 +456,29 @@ export interface StripeWebhookEvent {
   };
 }
 
+export interface RecordWebhookEventData {
+  stripeEventId: string;
+  type: string;
+  payload: unknown;
+  stripeSubscriptionId?: string | null;
+  eventCreatedAt: Date;
+}
+
+export type WebhookProcessResult = 'processed' | 'duplicate' | 'skipped' | 'in_progress';
+
+export interface ClaimWebhookEventOptions {
+  force?: boolean;
+  // Subscription state events are applied in Stripe's order, one at a time per subscription
+  ordering?: {
+    stripeSubscriptionId: string;
+    eventCreatedAt: Date;
+  };
+}
+
+export interface WebhookEventClaim {
+  // attempts value written by the claim - later status writes only apply while it still holds
+  attempts: number;
+  // A newer event for the subscription was already applied; the event was marked skipped instead
+  superseded: boolean;
+}
+
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import stripe from '../config/stripe.js';
+import User from '../models/User.js';
+import Subscription from '../models/Subscription.js';
+import AccountDeletion from '../models/AccountDeletion.js';
+import DataExport from '../models/DataExport.js';
+import VpnPeer from '../models/VpnPeer.js';
+import JobRun from '../models/JobRun.js';
+import type { JobTrigger } from '../types/index.js';
+
+// Ensure environment variables are loaded
+dotenv.config();
+
+export const ACCOUNT_JOBS_NAME = 'account-deletions';
+
+// Days between a deletion request and the actual deletion; 0 deletes immediately
+export const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+
+// Deleted identities can't be re-created for this long (stops clients silently signing straight back in)
+export const BLACKLIST_DURATION_MS = 5 * 60 * 1000;
+
+// Stripe statuses that will still bill the customer
+const LIVE_STRIPE_STATUSES = ['active', 'trialing', 'past_due', 'incomplete', 'unpaid'];
+
+type PrismaUser = NonNullable<Awaited<ReturnType<User['findById']>>>;
+type PrismaAccountDeletion = NonNullable<Awaited<ReturnType<AccountDeletion['findPendingByUserId']>>>;
+
+/**
+ * Hash a provider identifier for storage in the deletion audit trail
+ */
+export function hashIdentifier(identifier: string): string {
+  return crypto.createHash('sha256').update(identifier).digest('hex');
+}
+
+function getIdentifierHashes(user: PrismaUser): string[] {
+  return [user.firebaseUid, user.appleUserId, user.googleUserId]
+    .filter((identifier): identifier is string => !!identifier)
+    .map(hashIdentifier);
+}
+
+/**
+ * Add a deleted user's identifiers to this instance's in-memory blacklist
+ */
+function blacklistDeletedUser(user: PrismaUser): void {
+  const deletedUserInfo = {
+    userId: user.id,
+    appleUserId: user.appleUserId,
+    googleUserId: user.googleUserId,
+    firebaseUid: user.firebaseUid,
+    email: user.email,
+    deletedAt: new Date().toISOString()
+  };
+
+  if (user.appleUserId) {
+    global.deletedAppleUsers = global.deletedAppleUsers || new Map();
+    global.deletedAppleUsers.set(user.appleUserId, deletedUserInfo);
+  }
+  if (user.googleUserId) {
+    global.deletedGoogleUsers = global.deletedGoogleUsers || new Map();
+    global.deletedGoogleUsers.set(user.googleUserId, deletedUserInfo);
+  }
+  if (user.firebaseUid) {
+    global.deletedFirebaseUsers = global.deletedFirebaseUsers || new Map();
+    global.deletedFirebaseUsers.set(user.firebaseUid, deletedUserInfo);
+  }
+
+  console.log('✅ Blacklisted identifiers:', {
+    appleUserId: user.appleUserId,
+    googleUserId: user.googleUserId,
+    firebaseUid: user.firebaseUid
+  });
+}
+
+/**
+ * Check the deletion audit trail for a recently deleted identity
+ * Covers deletions run by other instances (e.g. the scheduled job), which the in-memory blacklist can't see.
+ * Returns the minutes left on the blacklist, or null if not blacklisted.
+ */
+export async function getRecentDeletionMinutesRemaining(identifiers: (string | null | undefined)[]): Promise<number | null> {
+  const hashes = identifiers.filter((identifier): identifier is string => !!identifier).map(hashIdentifier);
+
+  if (hashes.length === 0) {
+    return null;
+  }
+
+  const deletionModel = new AccountDeletion();
+  const deletion = await deletionModel.findRecentlyCompletedByIdentifiers(hashes, new Date(Date.now() - BLACKLIST_DURATION_MS));
+
+  if (!deletion?.completedAt) {
+    return null;
+  }
+
+  const timeRemaining = BLACKLIST_DURATION_MS - (Date.now() - deletion.completedAt.getTime());
+  return Math.max(1, Math.ceil(timeRemaining / 60000));
+}
+
+/**
+ * Cancel the user's Stripe subscriptions that would keep billing after deletion
+ * Apple subscriptions can only be cancelled by the user, so they are just counted for the audit entry
+ */
+async function cancelLiveSubscriptions(userId: string): Promise<{ stripeCancelled: number; appleActive: number }> {
+  const subscriptionModel = new Subscription();
+  const subscriptions = await subscriptionModel.findAllByUserId(userId);
+  let stripeCancelled = 0;
+
+  for (const subscription of subscriptions) {
+    if (subscription.subscriptionType !== 'stripe' || !subscription.stripeSubscriptionId) {
+      continue;
+    }
+
+    if (!LIVE_STRIPE_STATUSES.includes(subscription.status)) {
+      continue;
+    }
+
+    try {
+      await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+      stripeCancelled++;
+      console.log(`✅ Cancelled Stripe subscription ${subscription.stripeSubscriptionId} for deleted user ${userId}`);
+    } catch (error) {
+      // Already gone on Stripe's side - nothing left to cancel
+      if ((error as { code?: string }).code === 'resource_missing') {
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  const appleActive = subscriptions.filter((subscription) =>
+    subscription.subscriptionType === 'apple_iap' && subscription.status === 'active'
+  ).length;
+
+  return { stripeCancelled, appleActive };
+}
+
+/**
+ * Delete the account behind a due deletion: cancel billing, delete the user and its data,
+ * blacklist the identifiers and complete the audit entry
+ * The deletion is claimed first, so it only runs once even if several runs (or a cancellation)
+ * race for it. A failed attempt releases the claim and rethrows.
+ * Returns false if the deletion was cancelled, completed or claimed by another run.
+ */
+export async function executeAccountDeletion(deletion: PrismaAccountDeletion): Promise<boolean> {
+  const userModel = new User();
+  const deletionModel = new AccountDeletion();
+
+  if (!(await deletionModel.claim(deletion.id))) {
+    console.log(`⚠️ Account deletion ${deletion.id} is no longer scheduled, skipping`);
+    return false;
+  }
+
+  try {
+    const user = await userModel.findById(deletion.userId);
+
+    if (!user) {
+      console.log(`⚠️ User ${deletion.userId} already deleted, completing deletion ${deletion.id}`);
+      await deletionModel.markCompleted(deletion.id, 0, 0);
+      return true;
+    }
+
+    const { stripeCancelled, appleActive } = await cancelLiveSubscriptions(user.id);
+
+    // Revoke first so the server agents drop the peers even if the delete below fails and is retried
+    const peerModel = new VpnPeer();
+    await peerModel.revokeAllForUser(user.id, 'account_deleted');
+
+    // Cascades to subscriptions, sessions, devices, tokens, VPN peers and exports
+    await userModel.deleteAccount(user.id);
+    blacklistDeletedUser(user);
+
+    await deletionModel.markCompleted(deletion.id, stripeCancelled, appleActive);
+    console.log(`✅ Account deletion ${deletion.id} completed for user ${user.id}`);
+    return true;
+  } catch (error) {
+    await deletionModel.markAttemptFailed(deletion.id, (error as Error).message);
+    throw error;
+  }
+}
+
+/**
+ * Schedule deletion of a user's account after the grace period
+ * With no grace period the account is deleted right away.
+ */
+export async function scheduleAccountDeletion(user: PrismaUser): Promise<{ deletion: PrismaAccountDeletion; deleted: boolean }> {
+  const deletionModel = new AccountDeletion();
+  const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  const deletion = await deletionModel.schedule(user.id, getIdentifierHashes(user), scheduledFor);
+
+  if (DELETION_GRACE_DAYS > 0) {
+    return { deletion, deleted: false };
+  }
+
+  const deleted = await executeAccountDeletion(deletion);
+  return { deletion, deleted };
+}
+
+/**
+ * Account jobs: run deletions whose grace period has ended and remove expired data exports
+ * A failed deletion stays scheduled and is retried on the next run.
+ * Each run is recorded in job_runs; returns null if another run is still in progress.
+ */
+export async function runAccountJobs(trigger: JobTrigger): Promise<{ deleted: number; failed: number; expiredExports: number } | null> {
+  const jobRunModel = new JobRun();
+  const run = await jobRunModel.start(ACCOUNT_JOBS_NAME, trigger);
+
+  if (!run) {
+    return null;
+  }
+
+  const result = { deleted: 0, failed: 0, expiredExports: 0 };
+
+  try {
+    const deletionModel = new AccountDeletion();
+    const dueDeletions = await deletionModel.findDue();
+
+    for (const deletion of dueDeletions) {
+      try {
+        if (await executeAccountDeletion(deletion)) {
+          result.deleted++;
+        }
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Account deletion ${deletion.id} failed:`, error);
+      }
+    }
+
+    const exportModel = new DataExport();
+    result.expiredExports = await exportModel.deleteExpired();
+
+    if (result.failed > 0) {
+      await jobRunModel.markFailed(run.id, `${result.failed} account deletions failed`, result);
+    } else {
+      await jobRunModel.markSucceeded(run.id, result);
+    }
+
+    console.log(`✅ ${ACCOUNT_JOBS_NAME} finished:`, result);
+    return result;
+  } catch (error) {
+    await jobRunModel.markFailed(run.id, (error as Error).message, result);
+    throw error;
+  }
+}
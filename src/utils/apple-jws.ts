@@ -0,0 +1,151 @@
+import crypto, { X509Certificate } from 'crypto';
+import type {
+  AppleNotificationPayload,
+  AppleRenewalInfo,
+  AppleTransactionInfo
+} from '../types/index.js';
+
+// Marker extensions Apple puts on its App Store signing certificates (DER-encoded OIDs)
+const APPLE_LEAF_OID = Buffer.from('060a2a864886f76364060b01', 'hex'); // 1.2.840.113635.100.6.11.1
+const APPLE_INTERMEDIATE_OID = Buffer.from('060a2a864886f76364060201', 'hex'); // 1.2.840.113635.100.6.2.1
+
+export interface AppleJWSVerifyOptions {
+  trustedRoots: X509Certificate[];
+  now?: Date;
+}
+
+export interface DecodedAppleNotification {
+  payload: AppleNotificationPayload;
+  transaction: AppleTransactionInfo | null;
+  renewal: AppleRenewalInfo | null;
+}
+
+/**
+ * Load trusted Apple root certificates from APPLE_ROOT_CA_CERTS
+ * Accepts one or more PEM blocks, or comma-separated base64 DER certificates
+ * (download Apple Root CA - G3 from https://www.apple.com/certificateauthority/)
+ */
+export function loadAppleRootCertificates(raw: string | undefined = process.env.APPLE_ROOT_CA_CERTS): X509Certificate[] {
+  if (!raw || raw.trim() === '') {
+    return [];
+  }
+
+  const value = raw.replace(/\\n/g, '\n');
+  const pemBlocks = value.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+
+  if (pemBlocks) {
+    return pemBlocks.map((pem) => new X509Certificate(pem));
+  }
+
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .map((entry) => new X509Certificate(Buffer.from(entry, 'base64')));
+}
+
+function isValidAt(certificate: X509Certificate, date: Date): boolean {
+  return new Date(certificate.validFrom) <= date && date <= new Date(certificate.validTo);
+}
+
+/**
+ * Verify an App Store signed JWS (ES256 with an x5c chain) and return its payload
+ * The chain must be leaf -> Apple intermediate -> one of the trusted roots
+ */
+export function verifyAppleSignedData<T>(jws: string, options: AppleJWSVerifyOptions): T {
+  const parts = jws.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Invalid JWS format');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts as [string, string, string];
+
+  let header: { alg?: string; x5c?: string[] };
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid JWS header');
+  }
+
+  if (header.alg !== 'ES256') {
+    throw new Error(`Unsupported JWS algorithm: ${header.alg}`);
+  }
+
+  if (!Array.isArray(header.x5c) || header.x5c.length !== 3) {
+    throw new Error('JWS header must contain a 3-certificate x5c chain');
+  }
+
+  if (options.trustedRoots.length === 0) {
+    throw new Error('No trusted Apple root certificates configured');
+  }
+
+  const [leaf, intermediate, root] = header.x5c.map(
+    (der) => new X509Certificate(Buffer.from(der, 'base64'))
+  ) as [X509Certificate, X509Certificate, X509Certificate];
+
+  // Root must be pinned - never trust the root embedded in the payload on its own
+  const isTrustedRoot = options.trustedRoots.some((trusted) => trusted.raw.equals(root.raw));
+  if (!isTrustedRoot) {
+    throw new Error('JWS certificate chain does not end in a trusted Apple root');
+  }
+
+  if (!intermediate.ca || !intermediate.checkIssued(root) || !intermediate.verify(root.publicKey)) {
+    throw new Error('Intermediate certificate was not issued by the Apple root');
+  }
+
+  if (!leaf.checkIssued(intermediate) || !leaf.verify(intermediate.publicKey)) {
+    throw new Error('Leaf certificate was not issued by the intermediate');
+  }
+
+  if (!leaf.raw.includes(APPLE_LEAF_OID) || !intermediate.raw.includes(APPLE_INTERMEDIATE_OID)) {
+    throw new Error('Certificate chain is missing Apple App Store markers');
+  }
+
+  const now = options.now || new Date();
+  if (![leaf, intermediate, root].every((certificate) => isValidAt(certificate, now))) {
+    throw new Error('Certificate in JWS chain is expired or not yet valid');
+  }
+
+  // JWS ES256 signatures are raw r||s, not DER
+  const isSignatureValid = crypto.verify(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    { key: leaf.publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(encodedSignature, 'base64url')
+  );
+
+  if (!isSignatureValid) {
+    throw new Error('Invalid JWS signature');
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8')) as T;
+  } catch {
+    throw new Error('Invalid JWS payload');
+  }
+}
+
+/**
+ * Verify an App Store Server Notification V2 signedPayload and its nested
+ * signedTransactionInfo / signedRenewalInfo
+ */
+export function decodeAppleNotification(
+  signedPayload: string,
+  options: AppleJWSVerifyOptions
+): DecodedAppleNotification {
+  const payload = verifyAppleSignedData<AppleNotificationPayload>(signedPayload, options);
+
+  if (!payload.notificationUUID || !payload.notificationType) {
+    throw new Error('Notification payload is missing notificationUUID or notificationType');
+  }
+
+  const transaction = payload.data?.signedTransactionInfo
+    ? verifyAppleSignedData<AppleTransactionInfo>(payload.data.signedTransactionInfo, options)
+    : null;
+
+  const renewal = payload.data?.signedRenewalInfo
+    ? verifyAppleSignedData<AppleRenewalInfo>(payload.data.signedRenewalInfo, options)
+    : null;
+
+  return { payload, transaction, renewal };
+}
@@ -0,0 +1,73 @@
+import type { UpdateSubscriptionData } from '../types/index.js';
+import type { DecodedAppleNotification } from './apple-jws.js';
+
+/**
+ * Map an App Store Server Notification V2 onto a subscription update
+ * Returns null for notification types we don't act on (e.g. TEST, CONSUMPTION_REQUEST)
+ */
+export function mapAppleNotificationToUpdate(
+  notification: DecodedAppleNotification
+): UpdateSubscriptionData | null {
+  const { payload, transaction, renewal } = notification;
+  const update: UpdateSubscriptionData = {};
+
+  // Keep the latest transaction details on the subscription
+  if (transaction) {
+    update.appleTransactionId = transaction.transactionId;
+    update.appleProductId = transaction.productId;
+    if (transaction.environment) {
+      update.appleEnvironment = transaction.environment;
+    }
+  }
+
+  switch (payload.notificationType) {
+    case 'DID_RENEW':
+      // Also sent with subtype BILLING_RECOVERY when a billing retry succeeds
+      update.status = 'active';
+      if (transaction?.purchaseDate) {
+        update.currentPeriodStart = new Date(transaction.purchaseDate);
+      }
+      if (transaction?.expiresDate) {
+        update.currentPeriodEnd = new Date(transaction.expiresDate);
+      }
+      return update;
+
+    case 'EXPIRED':
+      update.status = 'inactive';
+      return update;
+
+    case 'DID_FAIL_TO_RENEW':
+      if (payload.subtype === 'GRACE_PERIOD' && renewal?.gracePeriodExpiresDate) {
+        // past_due keeps access until the period end, so the grace expiry becomes the period end
+        update.status = 'past_due';
+        update.currentPeriodEnd = new Date(renewal.gracePeriodExpiresDate);
+      } else {
+        update.status = 'past_due';
+      }
+      return update;
+
+    case 'GRACE_PERIOD_EXPIRED':
+      // Apple keeps retrying billing, but access ends
+      update.status = 'past_due';
+      return update;
+
+    case 'REFUND':
+    case 'REVOKE':
+      update.status = 'cancelled';
+      update.cancelledAt = transaction?.revocationDate ? new Date(transaction.revocationDate) : new Date();
+      return update;
+
+    case 'DID_CHANGE_RENEWAL_STATUS':
+      if (payload.subtype === 'AUTO_RENEW_DISABLED') {
+        update.cancelAtPeriodEnd = true;
+        update.cancelledAt = new Date(payload.signedDate || Date.now());
+      } else if (payload.subtype === 'AUTO_RENEW_ENABLED') {
+        update.cancelAtPeriodEnd = false;
+        update.cancelledAt = null;
+      }
+      return update;
+
+    default:
+      return null;
+  }
+}
@@ -1,7 +1,48 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import type { SessionTokenPayload } from '../types/index.js';
+import RefreshToken from '../models/RefreshToken.js';
+import type {
+  AccessTokenPayload,
+  AuthTokens,
+  LegacySessionTokenPayload,
+  SessionTokenPayload
+} from '../types/index.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Ensure environment variables are loaded
+dotenv.config();
+
+if (!process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET is required');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10); // 15 minutes
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '60', 10);
+export const LEGACY_SESSION_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+// Legacy session tokens stop being accepted or issued on this date unless LEGACY_TOKEN_CUTOFF says otherwise
+const DEFAULT_LEGACY_TOKEN_CUTOFF = '2027-01-01T00:00:00Z';
+
+/**
+ * Legacy 30-day session tokens are accepted and issued until LEGACY_TOKEN_CUTOFF
+ */
+export function isLegacyTokenAllowed(now: Date = new Date()): boolean {
+  return now < new Date(process.env.LEGACY_TOKEN_CUTOFF || DEFAULT_LEGACY_TOKEN_CUTOFF);
+}
+
+/**
+ * Check whether a token was issued before a revocation
+ * JWT iat only has one-second resolution, so a token from the same second as the
+ * revocation counts as revoked (as does a token without iat)
+ */
+export function wasIssuedBefore(iat: number | undefined, revokedAt: Date | null): boolean {
+  if (!revokedAt) {
+    return false;
+  }
+  return !iat || iat <= Math.floor(revokedAt.getTime() / 1000);
+}
 
 /**
  * Verify permanent session token
@@ -23,9 +64,116 @@ export function verifyPermanentSessionToken(sessionToken: string): SessionTokenP
  * @param payload - User data to encode
  * @returns JWT session token
  */
-export function generatePermanentSessionToken(payload: SessionTokenPayload): string {
+export function generatePermanentSessionToken(payload: LegacySessionTokenPayload): string {
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: '30d'
+    expiresIn: LEGACY_SESSION_TOKEN_TTL_SECONDS
+  });
+}
+
+/**
+ * Generate short-lived access token
+ * @param payload - User data plus the session (refresh token family) it belongs to
+ * @returns JWT access token
+ */
+export function generateAccessToken(payload: Omit<AccessTokenPayload, 'type'>): string {
+  return jwt.sign({ ...payload, type: 'access' }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
   });
 }
 
+/**
+ * Verify a bearer token (access token, or legacy session token during migration)
+ * @returns Decoded payload and whether it is a legacy token, or null if invalid
+ */
+export function verifyAuthToken(
+  token: string
+): { payload: (SessionTokenPayload & Partial<AccessTokenPayload>) & { iat?: number }; legacy: boolean } | null {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET) as SessionTokenPayload & Partial<AccessTokenPayload> & { iat?: number };
+
+    if (decoded.type === 'access' && decoded.sid) {
+      return { payload: decoded, legacy: false };
+    }
+
+    if (!isLegacyTokenAllowed()) {
+      console.log('⚠️ Legacy session token rejected (migration window closed)');
+      return null;
+    }
+
+    return { payload: decoded, legacy: true };
+  } catch (error) {
+    console.error('❌ Auth token verification failed:', (error as Error).message);
+    return null;
+  }
+}
+
+/**
+ * Hash an opaque refresh token for storage
+ * Tokens are 384-bit random values, so a plain SHA-256 is sufficient
+ */
+export function hashRefreshToken(refreshToken: string): string {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Generate an opaque refresh token and its expiry
+ */
+export function generateRefreshToken(): { token: string; tokenHash: string; expiresAt: Date } {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return {
+    token,
+    tokenHash: hashRefreshToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Start a new signed-in session: access token + refresh token in a new family
+ * @param payload - User data to encode
+ * @param deviceId - Client device identifier, if known
+ * @param options.legacySessionToken - Also issue a legacy session token (default; clients that refresh opt out)
+ */
+export async function issueAuthTokens(
+  payload: SessionTokenPayload,
+  deviceId?: string | null,
+  options: { legacySessionToken?: boolean } = {}
+): Promise<AuthTokens> {
+  const familyId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken();
+
+  const refreshTokenModel = new RefreshToken();
+  await refreshTokenModel.create({
+    userId: payload.userId,
+    tokenHash: refreshToken.tokenHash,
+    familyId,
+    deviceId,
+    expiresAt: refreshToken.expiresAt
+  });
+
+  const tokens: AuthTokens = {
+    accessToken: generateAccessToken({
+      userId: payload.userId,
+      email: payload.email,
+      provider: payload.provider,
+      sid: familyId,
+      ...(deviceId ? { deviceId } : {})
+    }),
+    refreshToken: refreshToken.token,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    tokenType: 'Bearer'
+  };
+
+  // Shipped clients only know the legacy token, so it is issued until the cutoff unless the client
+  // opts out. It is bound to this session, so logout and device revoke end it with the refresh token family.
+  if (options.legacySessionToken !== false && isLegacyTokenAllowed()) {
+    tokens.sessionToken = generatePermanentSessionToken({
+      userId: payload.userId,
+      email: payload.email,
+      provider: payload.provider,
+      sid: familyId,
+      ...(deviceId ? { deviceId } : {})
+    });
+  }
+
+  return tokens;
+}
@@ -0,0 +1,144 @@
+import dotenv from 'dotenv';
+import type { Prisma } from '@prisma/client';
+import ConnectionSession from '../models/ConnectionSession.js';
+import JobRun from '../models/JobRun.js';
+import VpnPeer from '../models/VpnPeer.js';
+import { sweepStaleSessions } from './session-heartbeat.js';
+import type { DailyJobsResult, JobTrigger } from '../types/index.js';
+
+// Ensure environment variables are loaded
+dotenv.config();
+
+export const DAILY_JOBS_NAME = 'daily-maintenance';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention windows (GDPR): strip server addresses, then delete sessions entirely
+const ANONYMIZE_AFTER_DAYS = parseInt(process.env.RETENTION_ANONYMIZE_AFTER_DAYS || '90', 10);
+const DELETE_AFTER_DAYS = parseInt(process.env.RETENTION_DELETE_AFTER_DAYS || '365', 10);
+
+// How many missed days a single run will catch up on
+const MAX_BACKFILL_DAYS = parseInt(process.env.AGGREGATION_MAX_BACKFILL_DAYS || '30', 10);
+
+function startOfUtcDay(date: Date): Date {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function formatDay(date: Date): string {
+  return date.toISOString().split('T')[0]!;
+}
+
+/**
+ * Clamp an aggregation start to the days whose raw sessions are all still retained
+ * Sessions are deleted DELETE_AFTER_DAYS after they were created, so the day that many days
+ * before today is already partly gone - re-aggregating it (or anything older) would overwrite
+ * its aggregates with incomplete counts.
+ */
+export function clampToRetentionWindow(start: Date, today: Date, deleteAfterDays: number = DELETE_AFTER_DAYS): Date {
+  const earliestRetained = new Date(startOfUtcDay(today).getTime() - (deleteAfterDays - 1) * DAY_MS);
+  return start < earliestRetained ? earliestRetained : startOfUtcDay(start);
+}
+
+/**
+ * Work out the first day that still needs aggregating
+ * Resumes after the last successful run, capped to MAX_BACKFILL_DAYS before yesterday
+ * (the first run backfills the whole window) and never earlier than the retention window
+ */
+async function getAggregationStart(today: Date, from?: Date): Promise<{ start: Date; previousThrough: string | null }> {
+  const jobRunModel = new JobRun();
+  const lastRun = await jobRunModel.findLastSucceeded(DAILY_JOBS_NAME);
+  const previousThrough = (lastRun?.result as DailyJobsResult | null)?.aggregatedThrough || null;
+  const yesterday = new Date(today.getTime() - DAY_MS);
+
+  if (from) {
+    const start = clampToRetentionWindow(from, today);
+    if (start > startOfUtcDay(from)) {
+      console.log(`⚠️ Sessions before ${formatDay(start)} have been deleted; re-aggregating from ${formatDay(start)} instead of ${formatDay(from)}`);
+    }
+    return { start, previousThrough };
+  }
+
+  const earliest = clampToRetentionWindow(new Date(yesterday.getTime() - (MAX_BACKFILL_DAYS - 1) * DAY_MS), today);
+
+  if (!previousThrough) {
+    return { start: earliest, previousThrough };
+  }
+
+  const resumeFrom = new Date(new Date(`${previousThrough}T00:00:00.000Z`).getTime() + DAY_MS);
+
+  if (resumeFrom < earliest) {
+    console.log(`⚠️ Last aggregation was ${previousThrough}; only backfilling from ${formatDay(earliest)}`);
+    return { start: earliest, previousThrough };
+  }
+
+  return { start: resumeFrom, previousThrough };
+}
+
+/**
+ * Daily maintenance: close stale live sessions, revoke VPN peers of lapsed subscriptions, aggregate every day not yet aggregated,
+ * then apply the anonymize/delete retention windows.
+ * Sessions are only deleted once the days they belong to have been aggregated.
+ * Each run is recorded in job_runs; returns null if another run is still in progress.
+ *
+ * @param options.from - Re-aggregate from this day (UTC), ignoring the backfill cap but not the retention window
+ */
+export async function runDailyJobs(trigger: JobTrigger, options: { from?: Date } = {}): Promise<DailyJobsResult | null> {
+  const jobRunModel = new JobRun();
+  const run = await jobRunModel.start(DAILY_JOBS_NAME, trigger);
+
+  if (!run) {
+    return null;
+  }
+
+  console.log(`🗓️ Starting ${DAILY_JOBS_NAME} (${trigger}, run ${run.id})`);
+
+  const result: DailyJobsResult = {
+    staleSessionsClosed: 0,
+    lapsedPeersRevoked: 0,
+    aggregatedDates: [],
+    aggregatedThrough: null,
+    aggregateGroups: 0,
+    anonymizedSessions: 0,
+    deletedSessions: 0,
+    anonymizeAfterDays: ANONYMIZE_AFTER_DAYS,
+    deleteAfterDays: DELETE_AFTER_DAYS
+  };
+
+  try {
+    const sessionModel = new ConnectionSession();
+    const today = startOfUtcDay(new Date());
+    const yesterday = new Date(today.getTime() - DAY_MS);
+
+    // Close sessions that stopped heartbeating so their durations are final before aggregating
+    result.staleSessionsClosed = await sweepStaleSessions();
+
+    // Catch subscriptions that simply ran past their period end without a store notification
+    const peerModel = new VpnPeer();
+    result.lapsedPeersRevoked = await peerModel.revokeLapsedPeers();
+
+    const { start, previousThrough } = await getAggregationStart(today, options.from);
+    result.aggregatedThrough = previousThrough;
+
+    for (let day = start; day <= yesterday; day = new Date(day.getTime() + DAY_MS)) {
+      result.aggregateGroups += await sessionModel.aggregateSessionsForDate(day);
+      result.aggregatedDates.push(formatDay(day));
+      result.aggregatedThrough = formatDay(day);
+    }
+
+    result.anonymizedSessions = await sessionModel.anonymizeOldSessions(ANONYMIZE_AFTER_DAYS);
+
+    const deleteCutoff = formatDay(new Date(today.getTime() - DELETE_AFTER_DAYS * DAY_MS));
+    if (result.aggregatedThrough && result.aggregatedThrough >= deleteCutoff) {
+      result.deletedSessions = await sessionModel.deleteOldSessions(DELETE_AFTER_DAYS);
+    } else {
+      console.log(`⚠️ Skipping session deletion: aggregation has not reached ${deleteCutoff}`);
+    }
+
+    await jobRunModel.markSucceeded(run.id, result as unknown as Prisma.InputJsonValue);
+    console.log(`✅ ${DAILY_JOBS_NAME} finished:`, result);
+    return result;
+  } catch (error) {
+    await jobRunModel.markFailed(run.id, (error as Error).message, result as unknown as Prisma.InputJsonValue);
+    throw error;
+  }
+}
@@ -0,0 +1,151 @@
+import User from '../models/User.js';
+import Subscription from '../models/Subscription.js';
+import Device from '../models/Device.js';
+import ConnectionSession from '../models/ConnectionSession.js';
+import VpnPeer from '../models/VpnPeer.js';
+import { createZip } from './zip.js';
+
+type ExportRow = Record<string, string | number | boolean | null>;
+
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Convert Prisma values (Date, BigInt, Decimal) to plain JSON/CSV values
+ */
+function toExportValue(value: unknown): string | number | boolean | null {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'bigint') {
+    return Number(value);
+  }
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  return String(value);
+}
+
+function toExportRow(record: Record<string, unknown>, columns: string[]): ExportRow {
+  const row: ExportRow = {};
+  for (const column of columns) {
+    row[column] = toExportValue(record[column]);
+  }
+  return row;
+}
+
+/**
+ * Render rows as RFC 4180 CSV
+ * Text starting with = + - @ is prefixed with ' so spreadsheets don't evaluate it as a formula
+ */
+export function toCsv(rows: ExportRow[], columns: string[]): string {
+  const escape = (value: string | number | boolean | null): string => {
+    if (value === null) {
+      return '';
+    }
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escape(row[column] ?? null)).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+const PROFILE_COLUMNS = ['id', 'email', 'displayName', 'provider', 'emailVerified', 'createdAt', 'updatedAt'];
+const PROVIDER_COLUMNS = ['provider', 'externalId'];
+const SUBSCRIPTION_COLUMNS = [
+  'id', 'subscriptionType', 'status', 'planId', 'planName', 'priceAmount', 'priceCurrency', 'billingPeriod',
+  'currentPeriodStart', 'currentPeriodEnd', 'cancelAtPeriodEnd', 'cancelledAt', 'stripeCustomerId',
+  'stripeSubscriptionId', 'appleProductId', 'appleOriginalTransactionId', 'appleTransactionId',
+  'appleEnvironment', 'createdAt', 'updatedAt'
+];
+const DEVICE_COLUMNS = ['id', 'deviceIdentifier', 'name', 'platform', 'appVersion', 'firstSeenAt', 'lastSeenAt', 'revokedAt'];
+const SESSION_COLUMNS = [
+  'id', 'sessionStart', 'sessionEnd', 'durationSeconds', 'platform', 'appVersion', 'serverLocation',
+  'serverAddress', 'bytesTransferred', 'subscriptionTier', 'endReason', 'isAnonymized', 'createdAt'
+];
+const VPN_PROFILE_COLUMNS = ['id', 'serverName', 'serverHostname', 'deviceId', 'publicKey', 'address', 'createdAt', 'revokedAt', 'revokedReason'];
+
+/**
+ * Build a machine-readable archive of everything stored about a user
+ * The ZIP contains data.json (all sections) and one CSV per section.
+ */
+export async function buildAccountExport(userId: string): Promise<{ fileName: string; archive: Buffer }> {
+  const userModel = new User();
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const subscriptionModel = new Subscription();
+  const deviceModel = new Device();
+  const sessionModel = new ConnectionSession();
+  const peerModel = new VpnPeer();
+
+  const [subscriptions, devices, sessions, peers] = await Promise.all([
+    subscriptionModel.findAllByUserId(userId),
+    deviceModel.findAllByUserId(userId, true),
+    sessionModel.findAllByUserId(userId),
+    peerModel.findAllByUserId(userId)
+  ]);
+
+  const linkedProviders: ExportRow[] = [
+    { provider: 'firebase', externalId: user.firebaseUid },
+    { provider: 'apple', externalId: user.appleUserId },
+    { provider: 'google', externalId: user.googleUserId },
+    { provider: 'stripe', externalId: user.stripeCustomerId }
+  ].filter((row) => row.externalId);
+
+  const sections: Record<string, { columns: string[]; rows: ExportRow[] }> = {
+    profile: { columns: PROFILE_COLUMNS, rows: [toExportRow(user, PROFILE_COLUMNS)] },
+    linked_providers: { columns: PROVIDER_COLUMNS, rows: linkedProviders },
+    subscriptions: { columns: SUBSCRIPTION_COLUMNS, rows: subscriptions.map((s) => toExportRow(s, SUBSCRIPTION_COLUMNS)) },
+    devices: { columns: DEVICE_COLUMNS, rows: devices.map((d) => toExportRow(d, DEVICE_COLUMNS)) },
+    connection_sessions: { columns: SESSION_COLUMNS, rows: sessions.map((s) => toExportRow(s, SESSION_COLUMNS)) },
+    vpn_profiles: {
+      columns: VPN_PROFILE_COLUMNS,
+      rows: peers.map((peer) => toExportRow({
+        ...peer,
+        serverName: peer.server.name,
+        serverHostname: peer.server.hostname
+      }, VPN_PROFILE_COLUMNS))
+    }
+  };
+
+  const exportedAt = new Date();
+  const data: Record<string, unknown> = {
+    format_version: EXPORT_FORMAT_VERSION,
+    exported_at: exportedAt.toISOString(),
+    profile: sections.profile!.rows[0]
+  };
+  for (const [name, section] of Object.entries(sections)) {
+    if (name !== 'profile') {
+      data[name] = section.rows;
+    }
+  }
+
+  const archive = createZip([
+    { name: 'data.json', content: JSON.stringify(data, null, 2) },
+    ...Object.entries(sections).map(([name, section]) => ({
+      name: `${name}.csv`,
+      content: toCsv(section.rows, section.columns)
+    }))
+  ], exportedAt);
+
+  return {
+    fileName: `keenvpn-export-${exportedAt.toISOString().split('T')[0]}.zip`,
+    archive
+  };
+}
@@ -0,0 +1,123 @@
+import Device from '../models/Device.js';
+import ConnectionSession from '../models/ConnectionSession.js';
+import { resolveEntitlement } from './entitlements.js';
+import { getHeartbeatStaleBefore } from './session-heartbeat.js';
+import { isLegacyTokenAllowed } from './auth.js';
+import type {
+  ApiResponse,
+  CreateConnectionSessionData,
+  LimitCheckResult,
+  PlanLimits,
+  RegisterDeviceData,
+  StartConnectionSessionData
+} from '../types/index.js';
+
+type SessionLimitResult<T> = { allowed: true; session: T } | Exclude<LimitCheckResult, { allowed: true }>;
+
+// The session a ConnectionSession *WithinLimit method returns once it is allowed
+type ConnectionSessionRecord<M extends 'startWithinLimit' | 'createWithinLimit'> =
+  NonNullable<Awaited<ReturnType<ConnectionSession[M]>>['session']>;
+
+/**
+ * Get device/session limits for the user's current plan
+ */
+export async function getUserPlanLimits(userId: string): Promise<PlanLimits> {
+  const entitlement = await resolveEntitlement(userId);
+  return entitlement.limits;
+}
+
+/**
+ * Register a device sign-in, enforcing the plan's max-devices limit
+ * Devices that are already registered (and not revoked) are always allowed.
+ * The count and the insert happen atomically, so parallel sign-ins can't exceed the limit.
+ */
+export async function registerDeviceSignIn(userId: string, deviceData: RegisterDeviceData): Promise<LimitCheckResult> {
+  const deviceModel = new Device();
+  const limits = await getUserPlanLimits(userId);
+  const { device, activeDevices } = await deviceModel.registerSignInWithinLimit(userId, deviceData, limits.maxDevices);
+
+  if (!device) {
+    console.log(`🚫 Device limit reached for user ${userId}: ${activeDevices}/${limits.maxDevices}`);
+    return { allowed: false, code: 'DEVICE_LIMIT_REACHED', limits, current: activeDevices };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Start a live VPN session, enforcing the plan's max-concurrent-sessions limit
+ * The count and the insert happen atomically, so parallel starts can't exceed the limit.
+ */
+export async function startSessionWithinLimit(
+  sessionData: StartConnectionSessionData
+): Promise<SessionLimitResult<ConnectionSessionRecord<'startWithinLimit'>>> {
+  return withinSessionLimit(sessionData.userId, (sessionModel, limit, staleBefore) =>
+    sessionModel.startWithinLimit(sessionData, limit, staleBefore)
+  );
+}
+
+/**
+ * Record a session reported without an end (still running), enforcing the same limit as startSessionWithinLimit
+ */
+export async function createOpenSessionWithinLimit(
+  sessionData: CreateConnectionSessionData
+): Promise<SessionLimitResult<ConnectionSessionRecord<'createWithinLimit'>>> {
+  return withinSessionLimit(sessionData.userId, (sessionModel, limit, staleBefore) =>
+    sessionModel.createWithinLimit(sessionData, limit, staleBefore)
+  );
+}
+
+async function withinSessionLimit<T>(
+  userId: string,
+  insert: (sessionModel: ConnectionSession, limit: number, staleBefore: Date) => Promise<{ session: T | null; openSessions: number }>
+): Promise<SessionLimitResult<T>> {
+  const limits = await getUserPlanLimits(userId);
+  const { session, openSessions } = await insert(new ConnectionSession(), limits.maxConcurrentSessions, getHeartbeatStaleBefore());
+
+  if (!session) {
+    console.log(`🚫 Session limit reached for user ${userId}: ${openSessions}/${limits.maxConcurrentSessions}`);
+    return { allowed: false, code: 'SESSION_LIMIT_REACHED', limits, current: openSessions };
+  }
+
+  return { allowed: true, session };
+}
+
+/**
+ * Build the 403 response body for a failed limit check
+ */
+export function limitExceededResponse(result: Exclude<LimitCheckResult, { allowed: true }>): ApiResponse {
+  const isDeviceLimit = result.code === 'DEVICE_LIMIT_REACHED';
+
+  return {
+    success: false,
+    error: isDeviceLimit
+      ? `Device limit reached (${result.limits.maxDevices}). Remove a device to sign in on this one.`
+      : `Simultaneous connection limit reached (${result.limits.maxConcurrentSessions}). Disconnect another device first.`,
+    code: result.code,
+    data: {
+      limit: isDeviceLimit ? result.limits.maxDevices : result.limits.maxConcurrentSessions,
+      current: result.current
+    }
+  };
+}
+
+/**
+ * Whether sign-ins and config requests must identify their device
+ * Shipped apps don't send a deviceId yet, so until LEGACY_TOKEN_CUTOFF they get sessions (and VPN
+ * peers) that are not bound to a device and don't count against the device limit.
+ */
+export function isDeviceIdRequired(now: Date = new Date()): boolean {
+  return !isLegacyTokenAllowed(now);
+}
+
+/**
+ * 400 response body for sign-ins and config requests that don't identify their device
+ * once the migration window has closed (see isDeviceIdRequired)
+ */
+export function deviceIdRequiredResponse(): ApiResponse {
+  return {
+    success: false,
+    error: 'Missing required field: deviceId',
+    code: 'DEVICE_ID_REQUIRED'
+  };
+}
@@ -0,0 +1,139 @@
+import Plan from '../models/Plan.js';
+import Subscription from '../models/Subscription.js';
+import { DEFAULT_PLAN_LIMITS, FREE_LIMITS, getSubscriptionAccess } from '../config/plans.js';
+import type { Plan as PrismaPlan, Subscription as PrismaSubscription } from '@prisma/client';
+import type { Entitlement, EntitlementState, PlanTier, SubscriptionSource } from '../types/index.js';
+
+/**
+ * Entitlement resolver
+ * Merges every subscription a user holds (Stripe and Apple) into one answer,
+ * so routes never interpret store status strings themselves
+ */
+
+export interface ResolvedEntitlement extends Entitlement {
+  // The subscription the answer is based on (the entitling one, or the latest lapsed one)
+  subscription: PrismaSubscription | null;
+}
+
+// Higher tiers win when a user holds several entitling subscriptions
+const TIER_RANK: Record<PlanTier, number> = { free: 0, premium: 1 };
+
+// Full access beats grace when tiers are equal
+const STATE_RANK: Partial<Record<EntitlementState, number>> = { active: 2, trial: 2, grace: 1 };
+
+/**
+ * Find the catalog plan a subscription belongs to
+ * Apple rows match on product ID; Stripe rows store the plan code (or the price ID for prices not in the catalog)
+ */
+function findPlanForSubscription(plans: PrismaPlan[], subscription: PrismaSubscription): PrismaPlan | null {
+  if (subscription.appleProductId) {
+    const applePlan = plans.find((plan) => plan.appleProductId === subscription.appleProductId);
+    if (applePlan) {
+      return applePlan;
+    }
+  }
+
+  if (!subscription.planId) {
+    return null;
+  }
+
+  return plans.find((plan) => plan.code === subscription.planId || plan.stripePriceId === subscription.planId) || null;
+}
+
+function toTier(plan: PrismaPlan | null): PlanTier {
+  // Paid subscriptions without a catalog plan still grant the paid tier
+  if (!plan) {
+    return 'premium';
+  }
+
+  // A tier this code doesn't know can't be trusted to grant anything - fall back to the lowest
+  if (!(plan.tier in TIER_RANK)) {
+    console.log(`⚠️ Plan ${plan.code} has unknown tier "${plan.tier}", treating it as free`);
+    return 'free';
+  }
+
+  return plan.tier as PlanTier;
+}
+
+// Open-ended subscriptions sort as the latest expiry
+function expiryTime(subscription: PrismaSubscription): number {
+  return subscription.currentPeriodEnd ? subscription.currentPeriodEnd.getTime() : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Resolve a user's entitlement from all of their subscriptions
+ */
+export async function resolveEntitlement(userId: string, now: Date = new Date()): Promise<ResolvedEntitlement> {
+  const subscriptionModel = new Subscription();
+  const planModel = new Plan();
+
+  const subscriptions = await subscriptionModel.findAllByUserId(userId);
+  const plans = subscriptions.length > 0 ? await planModel.findAll() : [];
+
+  const candidates = subscriptions.map((subscription) => {
+    const plan = findPlanForSubscription(plans, subscription);
+    return {
+      subscription,
+      plan,
+      tier: toTier(plan),
+      ...getSubscriptionAccess(subscription, now)
+    };
+  });
+
+  const entitling = candidates
+    .filter((candidate) => candidate.hasAccess)
+    .sort((a, b) =>
+      TIER_RANK[b.tier] - TIER_RANK[a.tier] ||
+      (STATE_RANK[b.state] || 0) - (STATE_RANK[a.state] || 0) ||
+      expiryTime(b.subscription) - expiryTime(a.subscription)
+    );
+
+  const best = entitling[0];
+
+  if (best) {
+    const { subscription, plan } = best;
+
+    return {
+      tier: best.tier,
+      hasAccess: true,
+      state: best.state,
+      source: subscription.subscriptionType as SubscriptionSource,
+      subscriptionId: subscription.id,
+      plan: plan ? { code: plan.code, name: plan.name, billingPeriod: plan.billingPeriod } : null,
+      expiresAt: subscription.currentPeriodEnd,
+      willRenew: !subscription.cancelAtPeriodEnd,
+      features: plan ? plan.features : [],
+      limits: plan
+        ? { maxDevices: plan.maxDevices, maxConcurrentSessions: plan.maxConcurrentSessions }
+        : DEFAULT_PLAN_LIMITS,
+      activeSources: [...new Set(entitling.map((candidate) => candidate.subscription.subscriptionType as SubscriptionSource))],
+      subscription
+    };
+  }
+
+  // No access - report a pending billing retry first (the user can still fix it), otherwise the latest subscription
+  const lapsed = candidates.find((candidate) => candidate.state === 'billing_retry') || candidates[0];
+
+  return {
+    tier: 'free',
+    hasAccess: false,
+    state: lapsed ? lapsed.state : 'none',
+    source: lapsed ? lapsed.subscription.subscriptionType as SubscriptionSource : null,
+    subscriptionId: lapsed ? lapsed.subscription.id : null,
+    plan: lapsed?.plan ? { code: lapsed.plan.code, name: lapsed.plan.name, billingPeriod: lapsed.plan.billingPeriod } : null,
+    expiresAt: lapsed ? lapsed.subscription.currentPeriodEnd : null,
+    willRenew: false,
+    features: [],
+    limits: FREE_LIMITS,
+    activeSources: [],
+    subscription: lapsed ? lapsed.subscription : null
+  };
+}
+
+/**
+ * Public JSON shape of an entitlement (drops the raw subscription row)
+ */
+export function serializeEntitlement(entitlement: ResolvedEntitlement): Entitlement {
+  const { subscription: _subscription, ...publicEntitlement } = entitlement;
+  return publicEntitlement;
+}
@@ -0,0 +1,62 @@
+import Plan from '../models/Plan.js';
+import type { BillingPeriod, CreatePlanData } from '../types/index.js';
+
+type PrismaPlan = Awaited<ReturnType<Plan['create']>>;
+
+const BILLING_PERIODS: BillingPeriod[] = ['month', 'year'];
+
+/**
+ * Read the plan to seed from SEED_PLAN_* variables
+ * Store IDs and prices differ per environment, so they are never hard-coded in migrations.
+ * Unset variables fall back to the pre-catalog STRIPE_PRICE_ID / PLAN_PRICE / PLAN_NAME / PLAN_FEATURES,
+ * so existing deployments can seed from the environment they already have.
+ */
+export function readSeedPlan(env: NodeJS.ProcessEnv = process.env): CreatePlanData {
+  const priceInput = env.SEED_PLAN_PRICE_AMOUNT || env.PLAN_PRICE;
+  const priceAmount = parseFloat(priceInput || '');
+  if (isNaN(priceAmount) || priceAmount < 0) {
+    throw new Error(`SEED_PLAN_PRICE_AMOUNT must be a non-negative number, got: ${priceInput || '(unset)'}`);
+  }
+
+  const trialDays = Number(env.SEED_PLAN_TRIAL_DAYS || '0');
+  if (!Number.isInteger(trialDays) || trialDays < 0) {
+    throw new Error(`SEED_PLAN_TRIAL_DAYS must be a non-negative whole number, got: ${env.SEED_PLAN_TRIAL_DAYS}`);
+  }
+
+  const billingPeriod = (env.SEED_PLAN_BILLING_PERIOD || 'year') as BillingPeriod;
+  if (!BILLING_PERIODS.includes(billingPeriod)) {
+    throw new Error(`SEED_PLAN_BILLING_PERIOD must be month or year, got: ${billingPeriod}`);
+  }
+
+  const stripePriceId = env.SEED_PLAN_STRIPE_PRICE_ID || env.STRIPE_PRICE_ID || null;
+  const appleProductId = env.SEED_PLAN_APPLE_PRODUCT_ID || null;
+  if (!stripePriceId && !appleProductId) {
+    throw new Error('Set SEED_PLAN_STRIPE_PRICE_ID and/or SEED_PLAN_APPLE_PRODUCT_ID');
+  }
+
+  return {
+    code: env.SEED_PLAN_CODE || env.DEFAULT_PLAN_CODE || 'premium_yearly',
+    name: env.SEED_PLAN_NAME || env.PLAN_NAME || 'Premium VPN - Annual',
+    billingPeriod,
+    priceAmount,
+    priceCurrency: env.SEED_PLAN_PRICE_CURRENCY || 'USD',
+    stripePriceId,
+    appleProductId,
+    trialDays,
+    features: (env.SEED_PLAN_FEATURES || env.PLAN_FEATURES || '').split(',').map((feature) => feature.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Create the plan, or update the existing plan with the same code
+ */
+export async function seedPlan(planData: CreatePlanData): Promise<{ plan: PrismaPlan; created: boolean }> {
+  const planModel = new Plan();
+  const existing = await planModel.findByCode(planData.code);
+
+  if (existing) {
+    return { plan: await planModel.update(existing.id, planData), created: false };
+  }
+
+  return { plan: await planModel.create(planData), created: true };
+}
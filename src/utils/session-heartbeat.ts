@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+import ConnectionSession from '../models/ConnectionSession.js';
+import type { ActiveConnectionsSummary } from '../types/index.js';
+
+// Ensure environment variables are loaded
+dotenv.config();
+
+// How often clients should send heartbeats for a live session
+export const HEARTBEAT_INTERVAL_SECONDS = parseInt(process.env.SESSION_HEARTBEAT_INTERVAL_SECONDS || '60', 10);
+
+// A live session with no heartbeat for this long is considered disconnected
+export const HEARTBEAT_TIMEOUT_SECONDS = parseInt(process.env.SESSION_HEARTBEAT_TIMEOUT_SECONDS || '180', 10);
+
+/**
+ * Cutoff before which a session's last heartbeat means it is no longer live
+ */
+export function getHeartbeatStaleBefore(now: Date = new Date()): Date {
+  return new Date(now.getTime() - HEARTBEAT_TIMEOUT_SECONDS * 1000);
+}
+
+/**
+ * Close sessions that stopped heartbeating, ending them at their last heartbeat
+ */
+export async function sweepStaleSessions(): Promise<number> {
+  const sessionModel = new ConnectionSession();
+  return await sessionModel.closeStaleSessions(getHeartbeatStaleBefore());
+}
+
+/**
+ * Summarize live sessions per server location and platform
+ */
+export async function getActiveConnectionsSummary(): Promise<ActiveConnectionsSummary> {
+  const sessionModel = new ConnectionSession();
+  const counts = await sessionModel.getActiveCounts(getHeartbeatStaleBefore());
+
+  const summary: ActiveConnectionsSummary = {
+    total_active: 0,
+    by_location: {},
+    by_platform: {},
+    heartbeat_timeout_seconds: HEARTBEAT_TIMEOUT_SECONDS,
+    generated_at: new Date()
+  };
+
+  for (const { serverLocation, platform, sessions } of counts) {
+    const location = serverLocation || 'Unknown';
+
+    if (!summary.by_location[location]) {
+      summary.by_location[location] = { sessions: 0, platforms: {} };
+    }
+
+    summary.by_location[location].sessions += sessions;
+    summary.by_location[location].platforms[platform] = (summary.by_location[location].platforms[platform] || 0) + sessions;
+    summary.by_platform[platform] = (summary.by_platform[platform] || 0) + sessions;
+    summary.total_active += sessions;
+  }
+
+  return summary;
+}
@@ -0,0 +1,313 @@
+import stripe from '../config/stripe.js';
+import User from '../models/User.js';
+import Subscription from '../models/Subscription.js';
+import WebhookEvent, { CLAIM_RENEW_MS } from '../models/WebhookEvent.js';
+import VpnPeer from '../models/VpnPeer.js';
+import Plan from '../models/Plan.js';
+import type Stripe from 'stripe';
+import type { UpdateSubscriptionData, WebhookProcessResult } from '../types/index.js';
+
+/**
+ * Stripe webhook processing
+ * Events are persisted in webhook_events before they are applied, so Stripe retries
+ * are deduplicated and failed events can be replayed (see scripts/replay-webhooks.ts)
+ */
+
+/**
+ * Get the Stripe subscription ID an event belongs to (used for per-subscription ordering)
+ */
+export function getEventSubscriptionId(event: Stripe.Event): string | null {
+  const object = event.data.object as { object?: string; id?: string; subscription?: string | { id: string } | null };
+
+  if (object.object === 'subscription') {
+    return object.id || null;
+  }
+
+  if (!object.subscription) {
+    return null;
+  }
+
+  return typeof object.subscription === 'string' ? object.subscription : object.subscription.id;
+}
+
+/**
+ * Apply a Stripe event to our database
+ */
+export async function handleStripeEvent(event: Stripe.Event): Promise<void> {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutSessionCompleted(event.data.object as Stripe.Checkout.Session);
+      break;
+
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event.data.object as Stripe.Subscription);
+      break;
+
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object as Stripe.Subscription);
+      break;
+
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object as Stripe.Subscription);
+      break;
+
+    case 'invoice.payment_succeeded':
+      await handlePaymentSucceeded(event.data.object as Stripe.Invoice);
+      break;
+
+    case 'invoice.payment_failed':
+      await handlePaymentFailed(event.data.object as Stripe.Invoice);
+      break;
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+  }
+}
+
+/**
+ * Record and apply a Stripe event exactly once
+ * - Already processed events are reported as duplicates
+ * - Subscription state events older than one already applied for the same
+ *   subscription are skipped, so a late update cannot overwrite newer state;
+ *   they are applied one at a time per subscription (in_progress otherwise)
+ * - The claim is renewed while the handler runs, so a slow handler is never
+ *   replayed alongside itself, and it is only marked failed once it has finished
+ * - Failures are recorded with the error and rethrown
+ */
+export async function processStripeEvent(
+  event: Stripe.Event,
+  options: { force?: boolean } = {}
+): Promise<WebhookProcessResult> {
+  const webhookEventModel = new WebhookEvent();
+  const stripeSubscriptionId = getEventSubscriptionId(event);
+  const eventCreatedAt = new Date(event.created * 1000);
+
+  const storedEvent = await webhookEventModel.findOrCreate({
+    stripeEventId: event.id,
+    type: event.type,
+    payload: event,
+    stripeSubscriptionId,
+    eventCreatedAt
+  });
+
+  if (!options.force && (storedEvent.status === 'processed' || storedEvent.status === 'skipped')) {
+    console.log(`📦 Stripe event ${event.id} already ${storedEvent.status}`);
+    return 'duplicate';
+  }
+
+  // customer.subscription.deleted is terminal and always applies
+  const isOrderedEvent = event.type === 'customer.subscription.created' || event.type === 'customer.subscription.updated';
+
+  const claim = await webhookEventModel.claim(event.id, {
+    force: options.force,
+    ordering: isOrderedEvent && stripeSubscriptionId ? { stripeSubscriptionId, eventCreatedAt } : undefined
+  });
+
+  if (!claim) {
+    console.log(`⏳ Stripe event ${event.id} (or another event for its subscription) is already being processed`);
+    return 'in_progress';
+  }
+
+  if (claim.superseded) {
+    console.log(`⏭️ Skipping ${event.type} ${event.id}: newer event already applied for ${stripeSubscriptionId}`);
+    return 'skipped';
+  }
+
+  const renewal = setInterval(() => {
+    webhookEventModel.renewClaim(event.id, claim.attempts).catch(() => {
+      // Logged by the model - the next renewal tries again
+    });
+  }, CLAIM_RENEW_MS);
+  renewal.unref();
+
+  try {
+    await handleStripeEvent(event);
+  } catch (error) {
+    await webhookEventModel.markFailed(event.id, claim.attempts, (error as Error).message);
+    throw error;
+  } finally {
+    clearInterval(renewal);
+  }
+
+  await webhookEventModel.markProcessed(event.id, claim.attempts);
+  return 'processed';
+}
+
+/**
+ * Map the subscription's Stripe price onto our plan fields via the plan catalog
+ * Prices that are not in the catalog keep their price ID as planId so they can be added later
+ */
+async function getPlanFields(subscription: Stripe.Subscription): Promise<UpdateSubscriptionData> {
+  const price = subscription.items.data[0]?.price;
+  if (!price) {
+    return {};
+  }
+
+  const planModel = new Plan();
+  const plan = await planModel.findByStripePriceId(price.id);
+
+  if (!plan) {
+    console.log(`⚠️ Stripe price ${price.id} is not in the plan catalog`);
+  }
+
+  return {
+    planId: plan ? plan.code : price.id,
+    planName: plan ? plan.name : price.nickname || 'Premium VPN',
+    priceAmount: price.unit_amount !== null ? price.unit_amount / 100 : undefined,
+    priceCurrency: price.currency.toUpperCase(),
+    billingPeriod: price.recurring?.interval === 'month' ? 'month' : 'year'
+  };
+}
+
+// Webhook handlers
+async function handleCheckoutSessionCompleted(session: Stripe.Checkout.Session): Promise<void> {
+  console.log('Checkout session completed:', session.id);
+  // Implementation here
+}
+
+async function handleSubscriptionCreated(subscription: Stripe.Subscription): Promise<void> {
+  try {
+    const customerId = subscription.customer as string;
+
+    console.log(`🔄 Processing subscription creation for customer: ${customerId}`);
+
+    // Get customer details from Stripe
+    const customer = await stripe.customers.retrieve(customerId) as Stripe.Customer;
+    const userEmail = customer.email;
+    
+    if (!userEmail) {
+      console.error('❌ Customer has no email');
+      return;
+    }
+
+    console.log(`📧 Found customer email: ${userEmail}`);
+
+    // Find user by email
+    const userModel = new User();
+    const user = await userModel.findByEmail(userEmail);
+    if (!user) {
+      console.error('❌ User not found for email:', userEmail);
+      return;
+    }
+    console.log(`👤 Found user: ${user.id}`);
+
+    // Create or update subscription
+    const subscriptionModel = new Subscription();
+    const existingSubscription = await subscriptionModel.findByStripeSubscriptionId(subscription.id);
+    
+    // Map Stripe status to our status (Stripe uses "canceled", we use "cancelled")
+    const mappedStatus = subscription.status === 'canceled' ? 'cancelled' : subscription.status;
+
+    const planFields = await getPlanFields(subscription);
+
+    if (existingSubscription) {
+      await subscriptionModel.update(existingSubscription.id, {
+        ...planFields,
+        status: mappedStatus as 'active' | 'inactive' | 'cancelled' | 'past_due' | 'trialing',
+        currentPeriodStart: new Date(subscription.current_period_start * 1000),
+        currentPeriodEnd: new Date(subscription.current_period_end * 1000)
+      });
+    } else {
+      await subscriptionModel.create({
+        ...planFields,
+        userId: user.id,
+        stripeCustomerId: customerId,
+        stripeSubscriptionId: subscription.id,
+        status: mappedStatus as 'active' | 'inactive' | 'cancelled' | 'past_due' | 'trialing',
+        currentPeriodStart: new Date(subscription.current_period_start * 1000),
+        currentPeriodEnd: new Date(subscription.current_period_end * 1000)
+      });
+    }
+
+    console.log('✅ Subscription creation processed successfully');
+  } catch (error) {
+    console.error('❌ Error processing subscription creation:', error);
+    throw error;
+  }
+}
+
+async function handleSubscriptionUpdated(subscription: Stripe.Subscription): Promise<void> {
+  try {
+    const customerId = subscription.customer as string;
+    const mappedStatus = subscription.status === 'canceled' ? 'cancelled' : subscription.status;
+
+    console.log(`🔄 Processing subscription update for customer: ${customerId}, status: ${mappedStatus}`);
+
+    const subscriptionModel = new Subscription();
+    const existingSubscription = await subscriptionModel.findByStripeSubscriptionId(subscription.id);
+
+    if (!existingSubscription) {
+      // Update arrived before (or instead of) the created event - create the row from this newer state
+      console.log('⚠️ Subscription not found, creating it from update event:', subscription.id);
+      await handleSubscriptionCreated(subscription);
+      return;
+    }
+
+    // Plan fields follow upgrades/downgrades (e.g. monthly to yearly)
+    await subscriptionModel.update(existingSubscription.id, {
+      ...(await getPlanFields(subscription)),
+      status: mappedStatus as 'active' | 'inactive' | 'cancelled' | 'past_due' | 'trialing',
+      currentPeriodStart: new Date(subscription.current_period_start * 1000),
+      currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+      cancelAtPeriodEnd: subscription.cancel_at_period_end
+    });
+
+    console.log('✅ Subscription update processed successfully');
+  } catch (error) {
+    console.error('❌ Error processing subscription update:', error);
+    throw error;
+  }
+}
+
+async function handleSubscriptionDeleted(subscription: Stripe.Subscription): Promise<void> {
+  try {
+    const customerId = subscription.customer as string;
+
+    console.log(`🔄 Processing subscription deletion for customer: ${customerId}`);
+
+    const subscriptionModel = new Subscription();
+    const existingSubscription = await subscriptionModel.findByStripeSubscriptionId(subscription.id);
+
+    if (!existingSubscription) {
+      console.error('❌ Subscription not found:', subscription.id);
+      return;
+    }
+
+    await subscriptionModel.update(existingSubscription.id, {
+      status: 'cancelled',
+      cancelledAt: new Date()
+    });
+
+    // Drop premium server profiles now rather than on the next peer sync
+    const peerModel = new VpnPeer();
+    await peerModel.revokeLapsedPeers();
+
+    console.log('✅ Subscription deletion processed successfully');
+  } catch (error) {
+    console.error('❌ Error processing subscription deletion:', error);
+    throw error;
+  }
+}
+
+async function handlePaymentSucceeded(invoice: Stripe.Invoice): Promise<void> {
+  try {
+    console.log(`💰 Payment succeeded for invoice: ${invoice.id}`);
+
+    if (invoice.subscription) {
+      console.log(`📋 This payment is for subscription: ${invoice.subscription}`);
+      
+      const subscription = await stripe.subscriptions.retrieve(invoice.subscription as string);
+      console.log(`📊 Subscription status after payment: ${subscription.status}`);
+
+      if (subscription.status === 'active') {
+        console.log(`✅ Subscription is now active after successful payment`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error processing payment succeeded:', error);
+  }
+}
+
+async function handlePaymentFailed(invoice: Stripe.Invoice): Promise<void> {
+  console.log('Payment failed for invoice:', invoice.id);
+}
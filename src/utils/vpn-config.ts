@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import VpnPeer from '../models/VpnPeer.js';
+import type { VpnServer } from '@prisma/client';
+import type { WireGuardProfile } from '../types/index.js';
+
+// Full tunnel: route all IPv4 and IPv6 traffic through the server
+const ALLOWED_IPS = '0.0.0.0/0, ::/0';
+const PERSISTENT_KEEPALIVE_SECONDS = 25;
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+/**
+ * Thrown when a server has no free addresses or has reached its capacity
+ */
+export class ServerFullError extends Error {
+  constructor(serverId: string) {
+    super(`VPN server ${serverId} is full`);
+    this.name = 'ServerFullError';
+  }
+}
+
+/**
+ * Generate a WireGuard (Curve25519) keypair, base64-encoded
+ * The raw 32-byte keys are the tail of the DER encodings
+ */
+export function generateWireGuardKeyPair(): { privateKey: string; publicKey: string } {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('x25519');
+
+  const rawPrivate = privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(-32);
+  const rawPublic = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+
+  return {
+    privateKey: rawPrivate.toString('base64'),
+    publicKey: rawPublic.toString('base64')
+  };
+}
+
+function ipToInt(ip: string): number {
+  const octets = ip.split('.').map((octet) => parseInt(octet, 10));
+
+  if (octets.length !== 4 || octets.some((octet) => isNaN(octet) || octet < 0 || octet > 255)) {
+    throw new Error(`Invalid IPv4 address: ${ip}`);
+  }
+
+  return ((octets[0]! << 24) >>> 0) + (octets[1]! << 16) + (octets[2]! << 8) + octets[3]!;
+}
+
+function intToIp(value: number): string {
+  return [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.');
+}
+
+/**
+ * Parse an IPv4 CIDR into the range of addresses assignable to clients
+ * Skips the network address, the first host (the server's own tunnel address) and broadcast
+ */
+export function parseAddressPool(cidr: string): { first: number; last: number } {
+  const [network, prefixText] = cidr.split('/');
+  const prefix = parseInt(prefixText || '', 10);
+
+  if (!network || isNaN(prefix) || prefix < 8 || prefix > 30) {
+    throw new Error(`Invalid address pool: ${cidr}`);
+  }
+
+  const size = 2 ** (32 - prefix);
+  const base = ipToInt(network) - (ipToInt(network) % size);
+
+  return { first: base + 2, last: base + size - 2 };
+}
+
+/**
+ * Pick the lowest free address in the pool, or null if it is exhausted
+ */
+function findFreeAddress(addressPool: string, allocated: string[]): string | null {
+  const { first, last } = parseAddressPool(addressPool);
+  const taken = new Set(allocated);
+
+  for (let candidate = first; candidate <= last; candidate++) {
+    const address = intToIp(candidate);
+    if (!taken.has(address)) {
+      return address;
+    }
+  }
+
+  return null;
+}
+
+function isUniqueViolation(error: unknown): boolean {
+  return typeof error === 'object' && error !== null && (error as { code?: string }).code === 'P2002';
+}
+
+/**
+ * Render a wg-quick compatible .conf file
+ */
+export function renderWireGuardConfig(profile: Omit<WireGuardProfile, 'config'>): string {
+  const lines = [
+    '[Interface]',
+    `PrivateKey = ${profile.privateKey}`,
+    `Address = ${profile.address}/32`
+  ];
+
+  if (profile.dns) {
+    lines.push(`DNS = ${profile.dns}`);
+  }
+
+  lines.push(
+    '',
+    '[Peer]',
+    `PublicKey = ${profile.serverPublicKey}`,
+    `AllowedIPs = ${profile.allowedIps}`,
+    `Endpoint = ${profile.endpoint}`,
+    `PersistentKeepalive = ${PERSISTENT_KEEPALIVE_SECONDS}`,
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Issue a WireGuard profile for a user's device on a server
+ * Peers are keyed per device, so each device gets its own address and key (sessions not bound
+ * to a device share one peer per server during the migration window).
+ * A device that already has a peer on the server keeps its address and gets a fresh key
+ * (the previous private key is never stored, so it can't be returned again).
+ * New peers get the lowest free address; concurrent allocations of the same address
+ * are caught by the (serverId, address) unique index and retried.
+ */
+export async function issueWireGuardProfile(userId: string, server: VpnServer, deviceId: string | null): Promise<WireGuardProfile> {
+  const peerModel = new VpnPeer();
+  const keyPair = generateWireGuardKeyPair();
+
+  let peer = await peerModel.findActive(userId, server.id, deviceId);
+
+  if (peer) {
+    peer = await peerModel.updateKey(peer.id, keyPair.publicKey);
+  } else {
+    if (await peerModel.countActiveByServerId(server.id) >= server.capacity) {
+      throw new ServerFullError(server.id);
+    }
+
+    for (let attempt = 1; !peer; attempt++) {
+      const allocated = await peerModel.findAllocatedAddresses(server.id);
+      const address = findFreeAddress(server.addressPool, allocated);
+
+      if (!address) {
+        throw new ServerFullError(server.id);
+      }
+
+      try {
+        peer = await peerModel.create(userId, server.id, deviceId, keyPair.publicKey, address);
+      } catch (error) {
+        if (!isUniqueViolation(error) || attempt >= MAX_ALLOCATION_ATTEMPTS) {
+          throw error;
+        }
+        console.log(`⚠️ Address ${address} on server ${server.id} taken concurrently, retrying`);
+      }
+    }
+  }
+
+  const profile = {
+    serverId: server.id,
+    peerId: peer.id,
+    privateKey: keyPair.privateKey,
+    publicKey: keyPair.publicKey,
+    address: peer.address!,
+    dns: server.dns,
+    serverPublicKey: server.publicKey,
+    endpoint: `${server.hostname}:${server.port}`,
+    allowedIps: ALLOWED_IPS
+  };
+
+  return { ...profile, config: renderWireGuardConfig(profile) };
+}
@@ -0,0 +1,414 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import accountRoutes from '../src/routes/account.js';
+import stripe from '../src/config/stripe.js';
+import DataExport from '../src/models/DataExport.js';
+import JobRun from '../src/models/JobRun.js';
+import { buildAccountExport, toCsv } from '../src/utils/data-export.js';
+import {
+  executeAccountDeletion,
+  getRecentDeletionMinutesRemaining,
+  hashIdentifier,
+  runAccountJobs
+} from '../src/utils/account-deletion.js';
+import { authDelegates, bearer, signIn, type AuthState } from './helpers/auth.js';
+import { startServer, type TestServer } from './helpers/http.js';
+import { matchesWhere, stubPrisma } from './helpers/prisma.js';
+import { createTestDatabase } from './helpers/postgres.js';
+
+const user = {
+  id: 'user-1',
+  email: 'user@example.com',
+  displayName: 'Test User',
+  provider: 'apple',
+  emailVerified: true,
+  appleUserId: 'apple-user-1',
+  googleUserId: null,
+  firebaseUid: null,
+  stripeCustomerId: 'cus_test_1',
+  createdAt: new Date('2025-01-01T00:00:00Z'),
+  updatedAt: new Date('2025-06-01T00:00:00Z')
+};
+
+/**
+ * Read the entries of a ZIP built by createZip (local headers, deflate, no data descriptors)
+ */
+function readZip(archive: Buffer): Map<string, string> {
+  const entries = new Map<string, string>();
+  let offset = 0;
+
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const extraLength = archive.readUInt16LE(offset + 28);
+    const name = archive.subarray(offset + 30, offset + 30 + nameLength).toString('utf8');
+    const dataStart = offset + 30 + nameLength + extraLength;
+
+    entries.set(name, zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize)).toString('utf8'));
+    offset = dataStart + compressedSize;
+  }
+
+  return entries;
+}
+
+describe('toCsv', () => {
+  it('quotes separators and neutralizes spreadsheet formulas', () => {
+    const csv = toCsv(
+      [{ name: 'a,"b"', formula: '=HYPERLINK("x")', count: -1, empty: null }],
+      ['name', 'formula', 'count', 'empty']
+    );
+
+    assert.equal(csv, 'name,formula,count,empty\r\n"a,""b""","\'=HYPERLINK(""x"")",-1,\r\n');
+  });
+});
+
+describe('account data', () => {
+  let state: AuthState;
+  let subscriptions: any[];
+  let exports: any[];
+  let deletions: any[];
+  let restore: () => void;
+
+  beforeEach(() => {
+    state = { users: [{ ...user }], refreshTokens: [] };
+    subscriptions = [];
+    exports = [];
+    deletions = [];
+
+    const auth = authDelegates(state);
+    const findDeletion = ({ where }: any) => deletions.filter((deletion) => matchesWhere(deletion, where));
+
+    restore = stubPrisma({
+      user: {
+        ...auth.user,
+        delete: async ({ where }: any) => {
+          state.users = state.users.filter((candidate) => candidate.id !== where.id);
+          return { id: where.id };
+        }
+      },
+      refreshToken: auth.refreshToken,
+      subscription: { findMany: async ({ where }: any) => subscriptions.filter((row) => row.userId === where.userId) },
+      device: {
+        findMany: async () => [{ id: 'device-1', deviceIdentifier: 'phone', name: 'iPhone', platform: 'ios', revokedAt: null }]
+      },
+      connectionSession: {
+        findMany: async () => [{ id: 'session-1', platform: 'ios', durationSeconds: 60, bytesTransferred: BigInt(2048) }]
+      },
+      vpnPeer: {
+        findMany: async () => [{
+          id: 'peer-1',
+          deviceId: 'phone',
+          publicKey: 'peer-key',
+          address: '10.8.0.2',
+          server: { name: 'Frankfurt 1', hostname: 'fra1.keenvpn.test' }
+        }],
+        updateMany: async () => ({ count: 1 })
+      },
+      dataExport: {
+        findFirst: async ({ where }: any) =>
+          exports.filter((row) => matchesWhere(row, where)).sort((a, b) => b.createdAt - a.createdAt)[0] || null,
+        findUnique: async ({ where }: any) => exports.find((row) => row.id === where.id) || null,
+        create: async ({ data }: any) => {
+          const row = { id: `export-${exports.length + 1}`, createdAt: new Date(), downloadedAt: null, ...data };
+          exports.push(row);
+          return row;
+        },
+        update: async ({ where, data }: any) => Object.assign(exports.find((row) => row.id === where.id), data)
+      },
+      accountDeletion: {
+        findFirst: async (args: any) => findDeletion(args)[0] || null,
+        findMany: async (args: any) => findDeletion(args),
+        create: async ({ data }: any) => {
+          // account_deletions_user_id_pending_key
+          if (deletions.some((row) => row.userId === data.userId && ['scheduled', 'processing'].includes(row.status))) {
+            throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+          }
+          const row = { id: `deletion-${deletions.length + 1}`, requestedAt: new Date(), completedAt: null, attempts: 0, ...data };
+          deletions.push(row);
+          return row;
+        },
+        update: async ({ where, data }: any) => {
+          const row = deletions.find((deletion) => deletion.id === where.id);
+          const { attempts, ...rest } = data;
+          return Object.assign(row, rest, { attempts: row.attempts + (attempts?.increment || 0) });
+        },
+        updateMany: async ({ where, data }: any) => {
+          const rows = findDeletion({ where });
+          rows.forEach((row) => Object.assign(row, data));
+          return { count: rows.length };
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    restore();
+  });
+
+  describe('buildAccountExport', () => {
+    it('archives every section as JSON and CSV', async () => {
+      subscriptions.push({ id: 'sub-1', userId: user.id, subscriptionType: 'stripe', status: 'active', priceAmount: '9.99' });
+
+      const { fileName, archive } = await buildAccountExport(user.id);
+      const entries = readZip(archive);
+
+      assert.match(fileName, /^keenvpn-export-\d{4}-\d{2}-\d{2}\.zip$/);
+      assert.deepEqual([...entries.keys()], [
+        'data.json', 'profile.csv', 'linked_providers.csv', 'subscriptions.csv',
+        'devices.csv', 'connection_sessions.csv', 'vpn_profiles.csv'
+      ]);
+
+      const data = JSON.parse(entries.get('data.json')!);
+      assert.equal(data.format_version, 1);
+      assert.equal(data.profile.email, user.email);
+      assert.equal(data.profile.createdAt, '2025-01-01T00:00:00.000Z');
+      assert.deepEqual(data.linked_providers, [
+        { provider: 'apple', externalId: 'apple-user-1' },
+        { provider: 'stripe', externalId: 'cus_test_1' }
+      ]);
+      assert.equal(data.subscriptions[0].status, 'active');
+      assert.equal(data.connection_sessions[0].bytesTransferred, 2048);
+      assert.equal(data.vpn_profiles[0].serverName, 'Frankfurt 1');
+      assert.match(entries.get('vpn_profiles.csv')!, /^id,serverName,serverHostname,deviceId,/);
+    });
+
+    it('fails for a user that does not exist', async () => {
+      await assert.rejects(buildAccountExport('missing-user'), /User not found/);
+    });
+  });
+
+  describe('routes', () => {
+    let server: TestServer;
+
+    before(async () => {
+      server = await startServer((app) => app.use('/api/account', accountRoutes));
+    });
+
+    after(() => server.close());
+
+    it('POST /export reuses a recent export', async () => {
+      const token = signIn(state, user);
+      const first = await server.request('POST', '/api/account/export', { headers: bearer(token) });
+      const second = await server.request('POST', '/api/account/export', { headers: bearer(token) });
+
+      assert.equal(first.status, 201);
+      assert.equal(second.body.data.export_id, first.body.data.export_id);
+      assert.equal(exports.length, 1);
+      assert.equal(first.body.data.download_url, `/api/account/exports/${first.body.data.export_id}/download`);
+    });
+
+    it('GET /exports/:id/download returns the archive and records the download', async () => {
+      const token = signIn(state, user);
+      const created = await server.request('POST', '/api/account/export', { headers: bearer(token) });
+      const response = await server.request('GET', created.body.data.download_url, { headers: bearer(token) });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'application/zip');
+      assert.equal(response.headers.get('cache-control'), 'no-store');
+      assert.notEqual(exports[0].downloadedAt, null);
+    });
+
+    it('GET /exports/:id/download hides other users\' and expired exports', async () => {
+      exports.push(
+        { id: 'export-other', userId: 'user-2', fileName: 'x.zip', archive: Buffer.alloc(0), expiresAt: new Date(Date.now() + 60000) },
+        { id: 'export-old', userId: user.id, fileName: 'x.zip', archive: Buffer.alloc(0), expiresAt: new Date(Date.now() - 1000) }
+      );
+      const token = signIn(state, user);
+
+      for (const id of ['export-other', 'export-old']) {
+        const response = await server.request('GET', `/api/account/exports/${id}/download`, { headers: bearer(token) });
+        assert.equal(response.status, 404);
+      }
+    });
+
+    it('POST /deletion schedules the deletion once and DELETE /deletion cancels it', async () => {
+      const token = signIn(state, user);
+
+      const scheduled = await server.request('POST', '/api/account/deletion', { headers: bearer(token) });
+      assert.equal(scheduled.status, 202);
+      assert.equal(scheduled.body.data.grace_period_days, 14);
+      assert.deepEqual(deletions[0].identifierHashes, [hashIdentifier('apple-user-1')]);
+
+      const again = await server.request('POST', '/api/account/deletion', { headers: bearer(token) });
+      assert.equal(again.body.data.deletion_id, scheduled.body.data.deletion_id);
+      assert.equal(deletions.length, 1);
+
+      const status = await server.request('GET', '/api/account/deletion', { headers: bearer(token) });
+      assert.equal(status.body.data.scheduled, true);
+
+      const cancelled = await server.request('DELETE', '/api/account/deletion', { headers: bearer(token) });
+      assert.equal(cancelled.status, 200);
+      assert.equal(deletions[0].status, 'cancelled');
+
+      const missing = await server.request('DELETE', '/api/account/deletion', { headers: bearer(token) });
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, 'NO_PENDING_DELETION');
+      assert.equal(state.users.length, 1);
+    });
+
+    it('POST /deletion schedules a single deletion for parallel requests', async () => {
+      const token = signIn(state, user);
+
+      const responses = await Promise.all([1, 2, 3].map(() =>
+        server.request('POST', '/api/account/deletion', { headers: bearer(token) })
+      ));
+
+      assert.deepEqual(responses.map((response) => response.status), [202, 202, 202]);
+      assert.equal(deletions.length, 1);
+      assert.ok(responses.every((response) => response.body.data.deletion_id === deletions[0].id));
+    });
+  });
+
+  describe('executeAccountDeletion', () => {
+    it('cancels live Stripe billing, deletes the user and completes the audit entry', async () => {
+      subscriptions.push(
+        { id: 'sub-1', userId: user.id, subscriptionType: 'stripe', stripeSubscriptionId: 'sub_live', status: 'active' },
+        { id: 'sub-2', userId: user.id, subscriptionType: 'stripe', stripeSubscriptionId: 'sub_gone', status: 'past_due' },
+        { id: 'sub-3', userId: user.id, subscriptionType: 'stripe', stripeSubscriptionId: 'sub_old', status: 'cancelled' },
+        { id: 'sub-4', userId: user.id, subscriptionType: 'apple_iap', status: 'active' }
+      );
+      const cancel = mock.method(stripe.subscriptions, 'cancel', async (id: string) => {
+        if (id === 'sub_gone') {
+          throw Object.assign(new Error('No such subscription'), { code: 'resource_missing' });
+        }
+        return { id, status: 'canceled' };
+      });
+      deletions.push({ id: 'deletion-1', userId: user.id, status: 'scheduled', attempts: 0 });
+
+      await executeAccountDeletion(deletions[0]);
+
+      assert.deepEqual(cancel.mock.calls.map((call) => call.arguments[0]), ['sub_live', 'sub_gone']);
+      assert.equal(state.users.length, 0);
+      assert.equal(deletions[0].status, 'completed');
+      assert.equal(deletions[0].stripeSubscriptionsCancelled, 1);
+      assert.equal(deletions[0].appleSubscriptionsActive, 1);
+      assert.equal(global.deletedAppleUsers?.get('apple-user-1')?.userId, user.id);
+    });
+
+    it('keeps the deletion scheduled when Stripe fails, and the job retries it later', async () => {
+      subscriptions.push({ id: 'sub-1', userId: user.id, subscriptionType: 'stripe', stripeSubscriptionId: 'sub_live', status: 'active' });
+      mock.method(stripe.subscriptions, 'cancel', async () => {
+        throw new Error('Stripe is down');
+      });
+      deletions.push({ id: 'deletion-1', userId: user.id, status: 'scheduled', scheduledFor: new Date(Date.now() - 1000), attempts: 0 });
+      mock.method(JobRun.prototype, 'start', async () => ({ id: 'run-1' }));
+      const markFailed = mock.method(JobRun.prototype, 'markFailed', async () => {});
+      mock.method(DataExport.prototype, 'deleteExpired', async () => 0);
+
+      const result = await runAccountJobs('cli');
+
+      assert.deepEqual(result, { deleted: 0, failed: 1, expiredExports: 0 });
+      assert.equal(deletions[0].status, 'scheduled');
+      assert.equal(deletions[0].attempts, 1);
+      assert.equal(deletions[0].lastError, 'Stripe is down');
+      assert.equal(state.users.length, 1);
+      assert.equal(markFailed.mock.calls[0]!.arguments[1], '1 account deletions failed');
+    });
+
+    it('runs a deletion once when parallel runs pick it up', async () => {
+      const cancel = mock.method(stripe.subscriptions, 'cancel', async (id: string) => ({ id, status: 'canceled' }));
+      subscriptions.push({ id: 'sub-1', userId: user.id, subscriptionType: 'stripe', stripeSubscriptionId: 'sub_live', status: 'active' });
+      deletions.push({ id: 'deletion-1', userId: user.id, status: 'scheduled', attempts: 0 });
+      const snapshot = { ...deletions[0] };
+
+      const results = await Promise.all([executeAccountDeletion(snapshot), executeAccountDeletion(snapshot)]);
+
+      assert.deepEqual(results.sort(), [false, true]);
+      assert.equal(cancel.mock.callCount(), 1);
+      assert.equal(deletions[0].status, 'completed');
+    });
+
+    it('leaves a deletion cancelled after the run picked it up untouched', async () => {
+      const cancel = mock.method(stripe.subscriptions, 'cancel', async (id: string) => ({ id, status: 'canceled' }));
+      subscriptions.push({ id: 'sub-1', userId: user.id, subscriptionType: 'stripe', stripeSubscriptionId: 'sub_live', status: 'active' });
+      deletions.push({ id: 'deletion-1', userId: user.id, status: 'scheduled', attempts: 0 });
+      const snapshot = { ...deletions[0] };
+      deletions[0].status = 'cancelled';
+
+      assert.equal(await executeAccountDeletion(snapshot), false);
+      assert.equal(cancel.mock.callCount(), 0);
+      assert.equal(state.users.length, 1);
+      assert.equal(deletions[0].status, 'cancelled');
+    });
+
+    it('takes over a stale claim left by a run that died', async () => {
+      deletions.push({
+        id: 'deletion-1',
+        userId: user.id,
+        status: 'processing',
+        scheduledFor: new Date(Date.now() - 60 * 60 * 1000),
+        updatedAt: new Date(Date.now() - 60 * 60 * 1000),
+        attempts: 0
+      });
+      mock.method(JobRun.prototype, 'start', async () => ({ id: 'run-1' }));
+      mock.method(JobRun.prototype, 'markSucceeded', async () => {});
+      mock.method(DataExport.prototype, 'deleteExpired', async () => 0);
+
+      const result = await runAccountJobs('cli');
+
+      assert.deepEqual(result, { deleted: 1, failed: 0, expiredExports: 0 });
+      assert.equal(deletions[0].status, 'completed');
+      assert.equal(state.users.length, 0);
+    });
+  });
+
+  describe('getRecentDeletionMinutesRemaining', () => {
+    it('reports the blacklist time left for a recently deleted identity', async () => {
+      deletions.push({
+        id: 'deletion-1',
+        status: 'completed',
+        completedAt: new Date(Date.now() - 60 * 1000),
+        identifierHashes: [hashIdentifier('apple-user-1')]
+      });
+      const restoreFindFirst = stubPrisma({
+        accountDeletion: {
+          findFirst: async ({ where }: any) =>
+            deletions.find((deletion) =>
+              deletion.status === where.status &&
+              deletion.completedAt >= where.completedAt.gte &&
+              deletion.identifierHashes.some((hash: string) => where.identifierHashes.hasSome.includes(hash))
+            ) || null
+        }
+      });
+
+      try {
+        assert.equal(await getRecentDeletionMinutesRemaining(['apple-user-1', null]), 4);
+        assert.equal(await getRecentDeletionMinutesRemaining(['apple-user-2']), null);
+        assert.equal(await getRecentDeletionMinutesRemaining([undefined]), null);
+      } finally {
+        restoreFindFirst();
+      }
+    });
+  });
+});
+
+describe('account_deletions pending index', () => {
+  let db: Awaited<ReturnType<typeof createTestDatabase>>;
+
+  before(async () => {
+    db = await createTestDatabase([
+      '20241014000000_init',
+      '20251027100000_add_account_exports_and_deletions',
+      '20251031090000_add_pending_account_deletion_index'
+    ]);
+  });
+
+  after(() => db.close());
+
+  const insert = (id: string, status: string) => db.query(
+    `INSERT INTO "account_deletions" ("id", "user_id", "status", "scheduled_for", "updated_at")
+     VALUES ($1, 'user-1', $2, now(), now())`,
+    [id, status]
+  );
+
+  it('allows one pending deletion per user next to finished ones', async () => {
+    await insert('deletion-1', 'completed');
+    await insert('deletion-2', 'cancelled');
+    await insert('deletion-3', 'scheduled');
+
+    await assert.rejects(insert('deletion-4', 'scheduled'), /account_deletions_user_id_pending_key/);
+    await assert.rejects(insert('deletion-5', 'processing'), /account_deletions_user_id_pending_key/);
+  });
+});
@@ -0,0 +1,225 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import appleIapRoutes from '../src/routes/apple-iap.js';
+import { createAppleTestChain, signAppleNotification, type AppleNotificationFixture } from './helpers/apple-certs.js';
+import { startServer, type TestServer } from './helpers/http.js';
+import { matchesWhere, stubPrisma } from './helpers/prisma.js';
+
+const fixtures: Record<string, AppleNotificationFixture> = JSON.parse(
+  readFileSync(new URL('./fixtures/apple-notifications.json', import.meta.url), 'utf8')
+);
+
+const chain = createAppleTestChain();
+let linkedTransactionId = '2000000123456789';
+const subscription = { id: 'sub-1', userId: 'user-1', appleOriginalTransactionId: '2000000123456789', status: 'active', currentPeriodEnd: null };
+
+describe('POST /api/apple-iap/notifications', () => {
+  let server: TestServer;
+  let restore: () => void;
+  let stored: Map<string, any>;
+  let updates: any[];
+  let lastSignedDate: Date | null;
+  let peerRevocations: any[];
+
+  before(async () => {
+    process.env.APPLE_ROOT_CA_CERTS = chain.root.pem;
+    process.env.APPLE_BUNDLE_ID = 'com.keenvpn.test';
+    server = await startServer((app) => app.use('/api/apple-iap', appleIapRoutes));
+  });
+
+  after(async () => {
+    await server.close();
+    delete process.env.APPLE_ROOT_CA_CERTS;
+    delete process.env.APPLE_BUNDLE_ID;
+  });
+
+  beforeEach(() => {
+    restore?.();
+    stored = new Map();
+    updates = [];
+    lastSignedDate = null;
+    peerRevocations = [];
+    linkedTransactionId = subscription.appleOriginalTransactionId;
+
+    restore = stubPrisma({
+      appleNotification: {
+        findUnique: async ({ where }: any) => stored.get(where.notificationUuid) || null,
+        // Mirrors the notificationUUID unique index
+        create: async ({ data }: any) => {
+          if (stored.has(data.notificationUuid)) {
+            throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+          }
+          stored.set(data.notificationUuid, { ...data, updatedAt: new Date() });
+          return stored.get(data.notificationUuid);
+        },
+        updateMany: async ({ where, data }: any) => {
+          const row = stored.get(where.notificationUuid);
+          if (!row || !matchesWhere(row, { OR: where.OR })) {
+            return { count: 0 };
+          }
+          Object.assign(row, data);
+          return { count: 1 };
+        },
+        upsert: async ({ where, create, update }: any) => {
+          const row = stored.has(where.notificationUuid) ? { ...stored.get(where.notificationUuid), ...update } : create;
+          stored.set(where.notificationUuid, row);
+          return row;
+        }
+      },
+      subscription: {
+        findFirst: async ({ where }: any) =>
+          where.appleOriginalTransactionId === linkedTransactionId ? subscription : null,
+        // Mirrors the conditional write: only applies when signedDate is not older than the last one applied
+        updateMany: async ({ where, data }: any) => {
+          const signedDate: Date = where.OR[1].appleLastSignedDate.lte;
+          if (lastSignedDate && lastSignedDate > signedDate) {
+            return { count: 0 };
+          }
+          lastSignedDate = data.appleLastSignedDate;
+          updates.push(data);
+          return { count: 1 };
+        },
+        findUnique: async () => Object.assign({ ...subscription }, ...updates)
+      },
+      vpnPeer: {
+        updateMany: async ({ where, data }: any) => {
+          peerRevocations.push({ where, data });
+          return { count: 1 };
+        }
+      }
+    });
+  });
+
+  after(() => restore?.());
+
+  const send = (fixture: AppleNotificationFixture) =>
+    server.request('POST', '/api/apple-iap/notifications', {
+      body: { signedPayload: signAppleNotification(fixture, chain) }
+    });
+
+  it('applies a verified notification and records it as processed', async () => {
+    const fixture = fixtures.DID_RENEW!;
+    const response = await send(fixture);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { success: true });
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].status, 'active');
+    assert.equal(updates[0].appleLastSignedDate.getTime(), fixture.notification.signedDate);
+
+    const record = stored.get(fixture.notification.notificationUUID);
+    assert.equal(record.status, 'processed');
+    assert.equal(record.subscriptionId, subscription.id);
+  });
+
+  it('revokes premium peers when a notification ends access', async () => {
+    await send(fixtures.DID_RENEW!);
+    assert.equal(peerRevocations.length, 0);
+
+    await send(fixtures.EXPIRED!);
+    assert.equal(peerRevocations.length, 1);
+    assert.equal(peerRevocations[0].data.revokedReason, 'subscription_lapsed');
+    assert.deepEqual(peerRevocations[0].where.server, { premiumOnly: true });
+  });
+
+  it('skips a notification signed before the last one applied', async () => {
+    await send(fixtures.REVOKE!);
+    const response = await send(fixtures.DID_RENEW!);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.skipped, true);
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].status, 'cancelled');
+    assert.equal(stored.get(fixtures.DID_RENEW!.notification.notificationUUID).status, 'skipped');
+  });
+
+  it('applies notifications that arrive in order', async () => {
+    await send(fixtures.DID_CHANGE_RENEWAL_STATUS_AUTO_RENEW_DISABLED!);
+    await send(fixtures.DID_CHANGE_RENEWAL_STATUS_AUTO_RENEW_ENABLED!);
+
+    assert.equal(updates.length, 2);
+    assert.equal(updates[1].cancelAtPeriodEnd, false);
+  });
+
+  it('only applies a notificationUUID once', async () => {
+    await send(fixtures.EXPIRED!);
+    const response = await send(fixtures.EXPIRED!);
+
+    assert.equal(response.body.duplicate, true);
+    assert.equal(updates.length, 1);
+  });
+
+  it('rejects payloads that do not verify against the configured root', async () => {
+    const response = await server.request('POST', '/api/apple-iap/notifications', {
+      body: { signedPayload: signAppleNotification(fixtures.DID_RENEW!, createAppleTestChain()) }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(updates.length, 0);
+    assert.equal(stored.size, 0);
+  });
+
+  it('ignores notifications for another bundle', async () => {
+    const fixture = structuredClone(fixtures.DID_RENEW!);
+    fixture.notification.data.bundleId = 'com.example.other';
+    const response = await send(fixture);
+
+    assert.equal(response.body.ignored, true);
+    assert.equal(updates.length, 0);
+    assert.equal(stored.get(fixture.notification.notificationUUID).status, 'ignored');
+  });
+
+  it('asks Apple to retry a notification for a purchase that is not linked yet', async () => {
+    linkedTransactionId = 'not-linked-yet';
+    const first = await send(fixtures.DID_RENEW!);
+
+    assert.equal(first.status, 404);
+    assert.equal(first.body.code, 'SUBSCRIPTION_NOT_LINKED');
+    assert.equal(stored.get(fixtures.DID_RENEW!.notification.notificationUUID).status, 'unlinked');
+
+    // link-purchase has run by the time Apple retries
+    linkedTransactionId = subscription.appleOriginalTransactionId;
+    const retry = await send(fixtures.DID_RENEW!);
+
+    assert.equal(retry.status, 200);
+    assert.equal(updates.length, 1);
+    assert.equal(stored.get(fixtures.DID_RENEW!.notification.notificationUUID).status, 'processed');
+  });
+
+  it('asks Apple to retry while another delivery is processing the notification', async () => {
+    const fixture = fixtures.DID_RENEW!;
+    stored.set(fixture.notification.notificationUUID, {
+      notificationUuid: fixture.notification.notificationUUID,
+      status: 'processing',
+      updatedAt: new Date()
+    });
+
+    const response = await send(fixture);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'NOTIFICATION_IN_PROGRESS');
+    assert.equal(updates.length, 0);
+  });
+
+  it('takes over a claim that went stale', async () => {
+    const fixture = fixtures.DID_RENEW!;
+    stored.set(fixture.notification.notificationUUID, {
+      notificationUuid: fixture.notification.notificationUUID,
+      status: 'processing',
+      updatedAt: new Date(Date.now() - 10 * 60 * 1000)
+    });
+
+    const response = await send(fixture);
+
+    assert.equal(response.status, 200);
+    assert.equal(updates.length, 1);
+  });
+
+  it('ignores notification types without a subscription update', async () => {
+    const response = await send(fixtures.TEST!);
+
+    assert.equal(response.body.ignored, true);
+    assert.equal(updates.length, 0);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  decodeAppleNotification,
+  loadAppleRootCertificates,
+  verifyAppleSignedData
+} from '../src/utils/apple-jws.js';
+import {
+  createAppleTestChain,
+  signAppleJws,
+  signAppleNotification,
+  type AppleNotificationFixture
+} from './helpers/apple-certs.js';
+
+const fixtures: Record<string, AppleNotificationFixture> = JSON.parse(
+  readFileSync(new URL('./fixtures/apple-notifications.json', import.meta.url), 'utf8')
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const chain = createAppleTestChain();
+const trustedRoots = [chain.root.certificate];
+
+describe('verifyAppleSignedData', () => {
+  it('returns the payload of a JWS signed by a trusted chain', () => {
+    const jws = signAppleJws({ hello: 'world' }, chain);
+    assert.deepEqual(verifyAppleSignedData(jws, { trustedRoots }), { hello: 'world' });
+  });
+
+  it('rejects a chain that ends in a different root', () => {
+    const otherChain = createAppleTestChain();
+    const jws = signAppleJws({ hello: 'world' }, otherChain);
+    assert.throws(() => verifyAppleSignedData(jws, { trustedRoots }), /trusted Apple root/);
+  });
+
+  it('rejects a chain with no trusted roots configured', () => {
+    const jws = signAppleJws({ hello: 'world' }, chain);
+    assert.throws(() => verifyAppleSignedData(jws, { trustedRoots: [] }), /No trusted Apple root/);
+  });
+
+  it('rejects an expired leaf certificate', () => {
+    const expiredChain = createAppleTestChain({
+      leaf: { notBefore: new Date(Date.now() - 30 * DAY_MS), notAfter: new Date(Date.now() - DAY_MS) }
+    });
+    const jws = signAppleJws({ hello: 'world' }, expiredChain);
+    assert.throws(
+      () => verifyAppleSignedData(jws, { trustedRoots: [expiredChain.root.certificate] }),
+      /expired or not yet valid/
+    );
+  });
+
+  it('checks validity against the given time', () => {
+    const jws = signAppleJws({ hello: 'world' }, chain);
+    assert.throws(
+      () => verifyAppleSignedData(jws, { trustedRoots, now: new Date(Date.now() + 2 * 365 * DAY_MS) }),
+      /expired or not yet valid/
+    );
+  });
+
+  it('rejects a tampered payload', () => {
+    const [header, , signature] = signAppleJws({ status: 'expired' }, chain).split('.');
+    const tamperedPayload = Buffer.from(JSON.stringify({ status: 'active' })).toString('base64url');
+    assert.throws(
+      () => verifyAppleSignedData(`${header}.${tamperedPayload}.${signature}`, { trustedRoots }),
+      /Invalid JWS signature/
+    );
+  });
+
+  it('rejects a leaf that was not issued by the intermediate', () => {
+    const otherChain = createAppleTestChain();
+    const mixedChain = { ...chain, leaf: otherChain.leaf };
+    assert.throws(
+      () => verifyAppleSignedData(signAppleJws({}, mixedChain), { trustedRoots }),
+      /Leaf certificate was not issued/
+    );
+  });
+
+  it('rejects a chain without the Apple marker extensions', () => {
+    const plainChain = createAppleTestChain({ withoutAppleMarkers: true });
+    assert.throws(
+      () => verifyAppleSignedData(signAppleJws({}, plainChain), { trustedRoots: [plainChain.root.certificate] }),
+      /missing Apple App Store markers/
+    );
+  });
+
+  it('rejects algorithms other than ES256', () => {
+    const [, payload, signature] = signAppleJws({}, chain).split('.');
+    const header = Buffer.from(JSON.stringify({ alg: 'none', x5c: [] })).toString('base64url');
+    assert.throws(() => verifyAppleSignedData(`${header}.${payload}.${signature}`, { trustedRoots }), /Unsupported JWS algorithm/);
+  });
+});
+
+describe('decodeAppleNotification', () => {
+  it('verifies the notification and its nested transaction and renewal info', () => {
+    const fixture = fixtures.DID_RENEW!;
+    const decoded = decodeAppleNotification(signAppleNotification(fixture, chain), { trustedRoots });
+
+    assert.equal(decoded.payload.notificationType, 'DID_RENEW');
+    assert.deepEqual(decoded.transaction, fixture.transaction);
+    assert.deepEqual(decoded.renewal, fixture.renewal);
+  });
+
+  it('rejects nested transaction info signed by an untrusted chain', () => {
+    const fixture = fixtures.DID_RENEW!;
+    const notification = {
+      ...fixture.notification,
+      data: { ...fixture.notification.data, signedTransactionInfo: signAppleJws(fixture.transaction, createAppleTestChain()) }
+    };
+    assert.throws(
+      () => decodeAppleNotification(signAppleJws(notification, chain), { trustedRoots }),
+      /trusted Apple root/
+    );
+  });
+
+  it('rejects a notification without a notificationUUID', () => {
+    const { notificationUUID: _uuid, ...notification } = fixtures.TEST!.notification;
+    assert.throws(
+      () => decodeAppleNotification(signAppleJws(notification, chain), { trustedRoots }),
+      /missing notificationUUID/
+    );
+  });
+});
+
+describe('loadAppleRootCertificates', () => {
+  it('reads PEM blocks, including escaped newlines from env files', () => {
+    const escaped = chain.root.pem.replace(/\n/g, '\\n');
+    const roots = loadAppleRootCertificates(escaped + chain.intermediate.pem);
+    assert.equal(roots.length, 2);
+    assert.ok(roots[0]!.raw.equals(chain.root.certificate.raw));
+  });
+
+  it('reads comma-separated base64 DER certificates', () => {
+    const roots = loadAppleRootCertificates(`${chain.root.base64}, ${chain.intermediate.base64}`);
+    assert.equal(roots.length, 2);
+  });
+
+  it('returns no roots when unset', () => {
+    assert.deepEqual(loadAppleRootCertificates(''), []);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { mapAppleNotificationToUpdate } from '../src/utils/apple-notifications.js';
+import type { DecodedAppleNotification } from '../src/utils/apple-jws.js';
+import type { AppleNotificationFixture } from './helpers/apple-certs.js';
+
+const fixtures: Record<string, AppleNotificationFixture> = JSON.parse(
+  readFileSync(new URL('./fixtures/apple-notifications.json', import.meta.url), 'utf8')
+);
+
+function decoded(name: string): DecodedAppleNotification {
+  const fixture = fixtures[name]!;
+  return {
+    payload: fixture.notification as DecodedAppleNotification['payload'],
+    transaction: (fixture.transaction || null) as DecodedAppleNotification['transaction'],
+    renewal: (fixture.renewal || null) as DecodedAppleNotification['renewal']
+  };
+}
+
+describe('mapAppleNotificationToUpdate', () => {
+  it('DID_RENEW activates the subscription for the new period', () => {
+    const { transaction } = fixtures.DID_RENEW!;
+    const update = mapAppleNotificationToUpdate(decoded('DID_RENEW'));
+
+    assert.equal(update?.status, 'active');
+    assert.equal(update?.appleTransactionId, transaction!.transactionId);
+    assert.equal(update?.appleProductId, transaction!.productId);
+    assert.equal(update?.appleEnvironment, 'Sandbox');
+    assert.equal(update?.currentPeriodStart?.getTime(), transaction!.purchaseDate);
+    assert.equal(update?.currentPeriodEnd?.getTime(), transaction!.expiresDate);
+  });
+
+  it('EXPIRED deactivates the subscription', () => {
+    assert.equal(mapAppleNotificationToUpdate(decoded('EXPIRED'))?.status, 'inactive');
+  });
+
+  it('DID_FAIL_TO_RENEW with GRACE_PERIOD keeps access until the grace expiry', () => {
+    const update = mapAppleNotificationToUpdate(decoded('DID_FAIL_TO_RENEW_GRACE_PERIOD'));
+
+    assert.equal(update?.status, 'past_due');
+    assert.equal(
+      update?.currentPeriodEnd?.getTime(),
+      fixtures.DID_FAIL_TO_RENEW_GRACE_PERIOD!.renewal!.gracePeriodExpiresDate
+    );
+  });
+
+  it('DID_FAIL_TO_RENEW without a grace period leaves the period end alone', () => {
+    const update = mapAppleNotificationToUpdate(decoded('DID_FAIL_TO_RENEW'));
+
+    assert.equal(update?.status, 'past_due');
+    assert.equal(update?.currentPeriodEnd, undefined);
+  });
+
+  it('GRACE_PERIOD_EXPIRED marks the subscription past due', () => {
+    assert.equal(mapAppleNotificationToUpdate(decoded('GRACE_PERIOD_EXPIRED'))?.status, 'past_due');
+  });
+
+  for (const type of ['REFUND', 'REVOKE']) {
+    it(`${type} cancels at the revocation date`, () => {
+      const update = mapAppleNotificationToUpdate(decoded(type));
+
+      assert.equal(update?.status, 'cancelled');
+      assert.equal(update?.cancelledAt?.getTime(), fixtures[type]!.transaction!.revocationDate);
+    });
+  }
+
+  it('DID_CHANGE_RENEWAL_STATUS AUTO_RENEW_DISABLED cancels at period end', () => {
+    const update = mapAppleNotificationToUpdate(decoded('DID_CHANGE_RENEWAL_STATUS_AUTO_RENEW_DISABLED'));
+
+    assert.equal(update?.cancelAtPeriodEnd, true);
+    assert.equal(
+      update?.cancelledAt?.getTime(),
+      fixtures.DID_CHANGE_RENEWAL_STATUS_AUTO_RENEW_DISABLED!.notification.signedDate
+    );
+    assert.equal(update?.status, undefined);
+  });
+
+  it('DID_CHANGE_RENEWAL_STATUS AUTO_RENEW_ENABLED clears the cancellation', () => {
+    const update = mapAppleNotificationToUpdate(decoded('DID_CHANGE_RENEWAL_STATUS_AUTO_RENEW_ENABLED'));
+
+    assert.equal(update?.cancelAtPeriodEnd, false);
+    assert.equal(update?.cancelledAt, null);
+  });
+
+  it('ignores notification types it does not act on', () => {
+    assert.equal(mapAppleNotificationToUpdate(decoded('TEST')), null);
+  });
+});
@@ -0,0 +1,209 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import authRoutes from '../src/routes/auth.js';
+import deviceRoutes from '../src/routes/devices.js';
+import { requireAuth } from '../src/middleware/auth.js';
+import {
+  generatePermanentSessionToken,
+  isLegacyTokenAllowed,
+  issueAuthTokens,
+  wasIssuedBefore
+} from '../src/utils/auth.js';
+import { authDelegates, bearer, signIn, type AuthState } from './helpers/auth.js';
+import { startServer, type TestServer } from './helpers/http.js';
+import { stubPrisma } from './helpers/prisma.js';
+
+const user = { id: 'user-1', email: 'user@example.com', provider: 'apple' };
+const tokenPayload = { userId: user.id, email: user.email, provider: 'apple' as const };
+
+describe('legacy token window', () => {
+  afterEach(() => {
+    delete process.env.LEGACY_TOKEN_CUTOFF;
+  });
+
+  it('closes on the default cutoff when LEGACY_TOKEN_CUTOFF is unset', () => {
+    assert.equal(isLegacyTokenAllowed(new Date('2026-12-31T23:59:59Z')), true);
+    assert.equal(isLegacyTokenAllowed(new Date('2027-01-01T00:00:00Z')), false);
+  });
+
+  it('follows LEGACY_TOKEN_CUTOFF when set', () => {
+    process.env.LEGACY_TOKEN_CUTOFF = '2026-03-01T00:00:00Z';
+    assert.equal(isLegacyTokenAllowed(new Date('2026-02-28T00:00:00Z')), true);
+    assert.equal(isLegacyTokenAllowed(new Date('2026-03-01T00:00:00Z')), false);
+  });
+});
+
+describe('wasIssuedBefore', () => {
+  const revokedAt = new Date('2026-10-01T12:00:00.750Z');
+  const second = Math.floor(revokedAt.getTime() / 1000);
+
+  it('treats a token from the same second as the revocation as revoked', () => {
+    assert.equal(wasIssuedBefore(second, revokedAt), true);
+    assert.equal(wasIssuedBefore(second - 1, revokedAt), true);
+  });
+
+  it('accepts tokens issued after the revocation second', () => {
+    assert.equal(wasIssuedBefore(second + 1, revokedAt), false);
+  });
+
+  it('accepts everything when nothing was revoked', () => {
+    assert.equal(wasIssuedBefore(second, null), false);
+  });
+});
+
+describe('legacy session tokens', () => {
+  let state: AuthState;
+  let restore: () => void;
+  let server: TestServer;
+  let devices: any[];
+
+  before(async () => {
+    server = await startServer((app) => {
+      app.use('/api/auth', authRoutes);
+      app.use('/api/devices', deviceRoutes);
+      app.post('/api/me', requireAuth, (req, res) => res.json({ success: true, auth: req.auth }));
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    process.env.LEGACY_TOKEN_CUTOFF = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    state = { users: [{ ...user, sessionsRevokedAt: null }], refreshTokens: [] };
+    devices = [{ id: 'device-row-1', userId: user.id, deviceIdentifier: 'iphone-1', revokedAt: null }];
+    restore = stubPrisma({
+      ...authDelegates(state),
+      device: {
+        findUnique: async ({ where }: any) => devices.find((device) => device.id === where.id) || null,
+        update: async ({ where, data }: any) => Object.assign(devices.find((device) => device.id === where.id), data)
+      },
+      vpnPeer: { updateMany: async () => ({ count: 0 }) }
+    });
+  });
+
+  afterEach(() => {
+    restore();
+    delete process.env.LEGACY_TOKEN_CUTOFF;
+  });
+
+  const me = (token: string) => server.request('POST', '/api/me', { body: { sessionToken: token } });
+
+  it('are issued by default, bound to the new session', async () => {
+    const tokens = await issueAuthTokens(tokenPayload, 'iphone-1');
+    const payload = jwt.decode(tokens.sessionToken!) as Record<string, unknown>;
+
+    assert.equal(payload.sid, state.refreshTokens[0]!.familyId);
+    assert.equal(payload.deviceId, 'iphone-1');
+  });
+
+  it('are not issued to clients that opt out', async () => {
+    const tokens = await issueAuthTokens(tokenPayload, 'iphone-1', { legacySessionToken: false });
+    assert.equal(tokens.sessionToken, undefined);
+  });
+
+  it('are not issued after the cutoff', async () => {
+    process.env.LEGACY_TOKEN_CUTOFF = new Date(Date.now() - 1000).toISOString();
+    const tokens = await issueAuthTokens(tokenPayload, 'iphone-1');
+    assert.equal(tokens.sessionToken, undefined);
+  });
+
+  it('stop working after logout', async () => {
+    const { sessionToken } = await issueAuthTokens(tokenPayload, 'iphone-1');
+    assert.equal((await me(sessionToken!)).status, 200);
+
+    const logout = await server.request('POST', '/api/auth/logout', { body: { sessionToken } });
+    assert.equal(logout.status, 200);
+
+    const response = await me(sessionToken!);
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'TOKEN_REVOKED');
+  });
+
+  it('stop working when their device is revoked', async () => {
+    const { sessionToken } = await issueAuthTokens(tokenPayload, 'iphone-1');
+    const otherDevice = signIn(state, user, { deviceId: 'macbook-1' });
+
+    const revoke = await server.request('DELETE', '/api/devices/device-row-1', { headers: bearer(otherDevice) });
+    assert.equal(revoke.status, 200);
+
+    assert.equal((await me(sessionToken!)).status, 401);
+    assert.equal((await server.request('POST', '/api/me', { headers: bearer(otherDevice) })).status, 200);
+  });
+
+  it('without a session id are revoked for the whole user on logout', async () => {
+    const issuedAt = Math.floor(Date.now() / 1000) - 60;
+    const oldToken = generatePermanentSessionToken({ userId: user.id, email: user.email, provider: 'apple' });
+    const otherOldToken = jwt.sign({ userId: user.id, email: user.email, provider: 'apple', iat: issuedAt }, process.env.JWT_SECRET!);
+    const accessToken = signIn(state, user);
+
+    assert.equal((await server.request('POST', '/api/auth/logout', { body: { sessionToken: oldToken } })).status, 200);
+
+    assert.ok(state.users[0]!.sessionsRevokedAt);
+    assert.equal((await me(oldToken)).status, 401);
+    assert.equal((await me(otherOldToken)).status, 401);
+    // Session-bound tokens are unaffected
+    assert.equal((await server.request('POST', '/api/me', { headers: bearer(accessToken) })).status, 200);
+  });
+
+  it('without a session id are not signed out by revoking one device', async () => {
+    const oldToken = jwt.sign(
+      { userId: user.id, email: user.email, provider: 'apple', iat: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET!
+    );
+    const accessToken = signIn(state, user);
+
+    await server.request('DELETE', '/api/devices/device-row-1', { headers: bearer(accessToken) });
+
+    assert.equal(state.users[0]!.sessionsRevokedAt, null);
+    assert.equal((await me(oldToken)).status, 200);
+  });
+
+  it('are rejected once the cutoff has passed', async () => {
+    const { sessionToken } = await issueAuthTokens(tokenPayload, 'iphone-1');
+    process.env.LEGACY_TOKEN_CUTOFF = new Date(Date.now() - 1000).toISOString();
+
+    const response = await me(sessionToken!);
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'INVALID_TOKEN');
+  });
+});
+
+describe('logout-all', () => {
+  let state: AuthState;
+  let restore: () => void;
+  let server: TestServer;
+
+  before(async () => {
+    server = await startServer((app) => {
+      app.use('/api/auth', authRoutes);
+      app.post('/api/me', requireAuth, (req, res) => res.json({ success: true }));
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    process.env.LEGACY_TOKEN_CUTOFF = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    state = { users: [{ ...user, sessionsRevokedAt: null }], refreshTokens: [] };
+    restore = stubPrisma(authDelegates(state));
+  });
+
+  afterEach(() => {
+    restore();
+    delete process.env.LEGACY_TOKEN_CUTOFF;
+  });
+
+  it('revokes every session, including legacy tokens from the same second', async () => {
+    const accessToken = signIn(state, user);
+    const otherSession = signIn(state, user, { deviceId: 'macbook-1' });
+    const oldToken = generatePermanentSessionToken({ userId: user.id, email: user.email, provider: 'apple' });
+
+    assert.equal((await server.request('POST', '/api/auth/logout-all', { headers: bearer(accessToken) })).status, 200);
+
+    for (const token of [accessToken, otherSession]) {
+      assert.equal((await server.request('POST', '/api/me', { headers: bearer(token) })).status, 401);
+    }
+    assert.equal((await server.request('POST', '/api/me', { body: { sessionToken: oldToken } })).status, 401);
+  });
+});
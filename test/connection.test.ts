@@ -0,0 +1,236 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import connectionRoutes, { isLegacyLookupAllowed } from '../src/routes/connection.js';
+import ConnectionSession from '../src/models/ConnectionSession.js';
+import { authDelegates, bearer, signIn, type AuthState } from './helpers/auth.js';
+import { startServer, type TestServer } from './helpers/http.js';
+import { stubPrisma } from './helpers/prisma.js';
+
+const user = { id: 'user-1', email: 'user@example.com', provider: 'apple' };
+
+const premiumPlan = {
+  id: 'plan-1',
+  code: 'premium_annual',
+  name: 'Premium Annual',
+  tier: 'premium',
+  billingPeriod: 'year',
+  stripePriceId: 'price_test_annual',
+  appleProductId: 'com.keenvpn.test.annual',
+  features: [],
+  maxDevices: 5,
+  maxConcurrentSessions: 5
+};
+
+describe('legacy lookup window', () => {
+  afterEach(() => {
+    delete process.env.CONNECTION_LEGACY_SUNSET;
+  });
+
+  it('closes on the default sunset when CONNECTION_LEGACY_SUNSET is unset', () => {
+    assert.equal(isLegacyLookupAllowed(new Date('2026-12-31T23:59:59Z')), true);
+    assert.equal(isLegacyLookupAllowed(new Date('2027-01-01T00:00:00Z')), false);
+  });
+
+  it('follows CONNECTION_LEGACY_SUNSET when set', () => {
+    process.env.CONNECTION_LEGACY_SUNSET = '2026-03-01T00:00:00Z';
+    assert.equal(isLegacyLookupAllowed(new Date('2026-02-28T00:00:00Z')), true);
+    assert.equal(isLegacyLookupAllowed(new Date('2026-03-01T00:00:00Z')), false);
+  });
+});
+
+describe('connection routes', () => {
+  let server: TestServer;
+  let state: AuthState;
+  let subscriptions: any[];
+  let restore: () => void;
+  let started: any[];
+  let recorded: any[];
+
+  before(async () => {
+    server = await startServer((app) => app.use('/api/connection', connectionRoutes));
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    state = { users: [{ ...user }], refreshTokens: [] };
+    subscriptions = [];
+    started = [];
+    recorded = [];
+
+    mock.method(ConnectionSession.prototype, 'startWithinLimit', async (data: any) => {
+      started.push(data);
+      return { session: { id: 'session-1', sessionStart: new Date() }, openSessions: 1 };
+    });
+    mock.method(ConnectionSession.prototype, 'create', async (data: any) => {
+      recorded.push(data);
+      return { id: 'session-2' };
+    });
+    mock.method(ConnectionSession.prototype, 'getActiveCounts', async () => [
+      { serverLocation: 'Frankfurt', platform: 'ios', sessions: 3 }
+    ]);
+
+    restore = stubPrisma({
+      ...authDelegates(state),
+      subscription: { findMany: async ({ where }: any) => subscriptions.filter((row) => row.userId === where.userId) },
+      plan: { findMany: async () => [premiumPlan] }
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    restore();
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  describe('session tier', () => {
+    it('POST /session/start ignores a client-supplied tier', async () => {
+      const response = await server.request('POST', '/api/connection/session/start', {
+        headers: bearer(signIn(state, user)),
+        body: { platform: 'ios', subscription_tier: 'premium' }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(started[0].subscriptionTier, 'free');
+    });
+
+    it('POST /session/start records the tier from the entitlement', async () => {
+      subscriptions.push({
+        id: 'sub-1',
+        userId: user.id,
+        subscriptionType: 'stripe',
+        status: 'active',
+        planId: premiumPlan.code,
+        currentPeriodEnd: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        cancelAtPeriodEnd: false
+      });
+
+      const response = await server.request('POST', '/api/connection/session/start', {
+        headers: bearer(signIn(state, user)),
+        body: { platform: 'ios', subscription_tier: 'free' }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(started[0].subscriptionTier, 'premium');
+    });
+
+    it('POST /session records the tier from the entitlement', async () => {
+      const response = await server.request('POST', '/api/connection/session', {
+        headers: bearer(signIn(state, user)),
+        body: {
+          session_start: '2026-10-01T10:00:00Z',
+          session_end: '2026-10-01T11:00:00Z',
+          duration_seconds: 3600,
+          platform: 'macos',
+          subscription_tier: 'premium'
+        }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(recorded[0].subscriptionTier, 'free');
+    });
+  });
+
+  describe('deprecated identifier routes', () => {
+    afterEach(() => {
+      delete process.env.CONNECTION_LEGACY_SUNSET;
+    });
+
+    it('advertise the default sunset when CONNECTION_LEGACY_SUNSET is unset', async () => {
+      const response = await server.request('GET', '/api/connection/stats/nobody@example.com');
+
+      assert.equal(response.headers.get('deprecation'), 'true');
+      assert.equal(response.headers.get('sunset'), new Date('2027-01-01T00:00:00Z').toUTCString());
+    });
+
+    it('require a token before the sunset', async () => {
+      const response = await server.request('GET', '/api/connection/sessions/user@example.com');
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'NO_TOKEN');
+    });
+
+    it("return the caller's own history for their email", async () => {
+      let requestedUserId: string | undefined;
+      mock.method(ConnectionSession.prototype, 'getStats', async (userId: string) => {
+        requestedUserId = userId;
+        return { totalSessions: 2 };
+      });
+
+      const response = await server.request('GET', '/api/connection/stats/USER@example.com', {
+        headers: bearer(signIn(state, user))
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(requestedUserId, user.id);
+      assert.equal(response.headers.get('deprecation'), 'true');
+    });
+
+    it("refuse another user's identifier", async () => {
+      state.users.push({ id: 'user-2', email: 'other@example.com', provider: 'google' });
+      const findByUserId = mock.method(ConnectionSession.prototype, 'findByUserId', async () => []);
+
+      const response = await server.request('GET', '/api/connection/sessions/other@example.com', {
+        headers: bearer(signIn(state, user))
+      });
+
+      assert.equal(response.status, 403);
+      assert.equal(findByUserId.mock.callCount(), 0);
+    });
+
+    it('return 410 without a token once the sunset has passed', async () => {
+      process.env.CONNECTION_LEGACY_SUNSET = '2026-01-01T00:00:00Z';
+      const response = await server.request('GET', '/api/connection/sessions/user@example.com');
+
+      assert.equal(response.status, 410);
+      assert.equal(response.body.code, 'ENDPOINT_REMOVED');
+    });
+  });
+
+  describe('POST /session', () => {
+    it('rejects token-less session recording identified by email', async () => {
+      const response = await server.request('POST', '/api/connection/session', {
+        body: { email: user.email, session_start: '2026-10-01T10:00:00Z', duration_seconds: 60, platform: 'ios' }
+      });
+
+      assert.equal(response.status, 401);
+      assert.equal(recorded.length, 0);
+    });
+
+    it('records the session for the token user, not the body email', async () => {
+      state.users.push({ id: 'user-2', email: 'other@example.com', provider: 'google' });
+
+      const response = await server.request('POST', '/api/connection/session', {
+        headers: bearer(signIn(state, user)),
+        body: {
+          email: 'other@example.com',
+          session_start: '2026-10-01T10:00:00Z',
+          session_end: '2026-10-01T10:01:00Z',
+          duration_seconds: 60,
+          platform: 'ios'
+        }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(recorded[0].userId, user.id);
+    });
+  });
+
+  describe('GET /active', () => {
+    it('rejects user tokens', async () => {
+      process.env.ADMIN_API_KEY = 'admin-key';
+      const response = await server.request('GET', '/api/connection/active', { headers: bearer(signIn(state, user)) });
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'INVALID_ADMIN_KEY');
+    });
+
+    it('returns the summary with the admin key', async () => {
+      process.env.ADMIN_API_KEY = 'admin-key';
+      const response = await server.request('GET', '/api/connection/active', { headers: { 'X-Admin-Key': 'admin-key' } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.total_active, 3);
+    });
+  });
+});
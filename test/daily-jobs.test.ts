@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ConnectionSession from '../src/models/ConnectionSession.js';
+import JobRun from '../src/models/JobRun.js';
+import { clampToRetentionWindow, runDailyJobs } from '../src/utils/daily-jobs.js';
+import { matchesWhere, stubPrisma } from './helpers/prisma.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('clampToRetentionWindow', () => {
+  const today = new Date('2026-10-18T00:00:00Z');
+
+  it('moves a start before the retention window to its first fully retained day', () => {
+    assert.deepEqual(clampToRetentionWindow(new Date('2025-01-01T00:00:00Z'), today, 365), new Date('2025-10-19T00:00:00Z'));
+  });
+
+  it('treats the day that is being deleted as outside the window', () => {
+    assert.deepEqual(clampToRetentionWindow(new Date('2025-10-18T00:00:00Z'), today, 365), new Date('2025-10-19T00:00:00Z'));
+  });
+
+  it('keeps a start inside the window, truncated to the UTC day', () => {
+    assert.deepEqual(clampToRetentionWindow(new Date('2026-10-01T15:30:00Z'), today, 365), new Date('2026-10-01T00:00:00Z'));
+  });
+});
+
+describe('JobRun.start', () => {
+  let runs: any[];
+  let locks: string[];
+  let restore: () => void;
+
+  beforeEach(() => {
+    runs = [];
+    locks = [];
+
+    // Transactions run one at a time, like the per-job advisory lock they take
+    let queue: Promise<unknown> = Promise.resolve();
+    const tx = {
+      $executeRaw: async (_strings: TemplateStringsArray, ...values: unknown[]) => {
+        locks.push(String(values[0]));
+        return 1;
+      },
+      jobRun: {
+        findFirst: async ({ where }: any) => runs.find((run) => matchesWhere(run, where)) || null,
+        create: async ({ data }: any) => {
+          // Let the other start run between the check and the insert, as a real database would
+          await new Promise((resolve) => setImmediate(resolve));
+          const run = { id: `run-${runs.length + 1}`, startedAt: new Date(), ...data };
+          runs.push(run);
+          return run;
+        }
+      }
+    };
+
+    restore = stubPrisma({
+      $transaction: (fn: (client: typeof tx) => Promise<unknown>) => {
+        const run = queue.then(() => fn(tx));
+        queue = run.catch(() => {});
+        return run;
+      }
+    });
+  });
+
+  afterEach(() => restore());
+
+  it('lets only one of two simultaneous runs start', async () => {
+    const results = await Promise.all([new JobRun().start('daily', 'cli'), new JobRun().start('daily', 'scheduled')]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(runs.length, 1);
+    assert.deepEqual(locks, ['job_runs:daily', 'job_runs:daily']);
+  });
+
+  it('starts over a run that went stale', async () => {
+    runs.push({ id: 'run-stale', jobName: 'daily', status: 'running', startedAt: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+    assert.ok(await new JobRun().start('daily', 'cli'));
+  });
+});
+
+describe('runDailyJobs', () => {
+  let peerRevocations: any[];
+  let restore: () => void;
+
+  beforeEach(() => {
+    peerRevocations = [];
+
+    mock.method(JobRun.prototype, 'start', async () => ({ id: 'run-1' }));
+    mock.method(JobRun.prototype, 'findLastSucceeded', async () => null);
+    mock.method(JobRun.prototype, 'markSucceeded', async () => {});
+    mock.method(JobRun.prototype, 'markFailed', async () => {});
+    mock.method(ConnectionSession.prototype, 'closeStaleSessions', async () => 0);
+    mock.method(ConnectionSession.prototype, 'aggregateSessionsForDate', async () => 0);
+    mock.method(ConnectionSession.prototype, 'anonymizeOldSessions', async () => 0);
+    mock.method(ConnectionSession.prototype, 'deleteOldSessions', async () => 0);
+
+    restore = stubPrisma({
+      vpnPeer: {
+        updateMany: async ({ where, data }: any) => {
+          peerRevocations.push({ where, data });
+          return { count: 2 };
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    restore();
+  });
+
+  it('revokes premium peers whose subscription has lapsed', async () => {
+    const result = await runDailyJobs('cli');
+
+    assert.equal(result!.lapsedPeersRevoked, 2);
+    assert.equal(peerRevocations.length, 1);
+    assert.deepEqual(peerRevocations[0].where.server, { premiumOnly: true });
+    assert.equal(peerRevocations[0].data.revokedReason, 'subscription_lapsed');
+  });
+
+  it('never re-aggregates days whose sessions were already deleted', async () => {
+    const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+    const from = new Date(today.getTime() - 400 * DAY_MS);
+
+    const result = await runDailyJobs('cli', { from });
+    const aggregated = (ConnectionSession.prototype.aggregateSessionsForDate as any).mock.calls.map((call: any) => call.arguments[0]);
+
+    assert.deepEqual(aggregated[0], new Date(today.getTime() - 364 * DAY_MS));
+    assert.equal(result!.aggregatedDates.length, 364);
+    assert.equal(result!.aggregatedThrough, new Date(today.getTime() - DAY_MS).toISOString().split('T')[0]);
+  });
+});
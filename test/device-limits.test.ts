@@ -0,0 +1,261 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import authRoutes from '../src/routes/auth.js';
+import desktopAuthRoutes from '../src/routes/desktop-auth.js';
+import { registerDeviceSignIn, startSessionWithinLimit } from '../src/utils/device-limits.js';
+import { FREE_LIMITS } from '../src/config/plans.js';
+import { authDelegates, bearer, signIn, type AuthState } from './helpers/auth.js';
+import { startServer, type TestServer } from './helpers/http.js';
+import { matchesWhere, stubPrisma } from './helpers/prisma.js';
+
+const user = { id: 'user-1', email: 'user@example.com', provider: 'google' };
+
+describe('device limits', () => {
+  let state: AuthState;
+  let devices: any[];
+  let locks: string[];
+  let restore: () => void;
+
+  beforeEach(() => {
+    state = { users: [{ ...user }], refreshTokens: [] };
+    devices = [];
+    locks = [];
+
+    // Transactions run one at a time, like the per-user advisory lock they take
+    let queue: Promise<unknown> = Promise.resolve();
+    const tx = {
+      $executeRaw: async (_strings: TemplateStringsArray, ...values: unknown[]) => {
+        locks.push(String(values[0]));
+        return 1;
+      },
+      device: {
+        count: async ({ where }: any) =>
+          devices.filter((device) => device.userId === where.userId && device.revokedAt === null).length,
+        findUnique: async ({ where }: any) => {
+          const { userId, deviceIdentifier } = where.userId_deviceIdentifier;
+          return devices.find((device) => device.userId === userId && device.deviceIdentifier === deviceIdentifier) || null;
+        },
+        upsert: async ({ where, create, update }: any) => {
+          // Let other sign-ins run between the count and the write, as a real database would
+          await new Promise((resolve) => setImmediate(resolve));
+          const existing = await tx.device.findUnique({ where });
+          if (existing) {
+            return Object.assign(existing, update);
+          }
+          const device = { id: `device-${devices.length + 1}`, revokedAt: null, ...create };
+          devices.push(device);
+          return device;
+        }
+      }
+    };
+
+    restore = stubPrisma({
+      ...authDelegates(state),
+      device: tx.device,
+      subscription: { findMany: async () => [] },
+      $transaction: (fn: (client: typeof tx) => Promise<unknown>) => {
+        const run = queue.then(() => fn(tx));
+        queue = run.catch(() => {});
+        return run;
+      }
+    });
+  });
+
+  afterEach(() => restore());
+
+  it('never lets parallel sign-ins exceed the limit', async () => {
+    assert.equal(FREE_LIMITS.maxDevices, 1);
+
+    const results = await Promise.all(
+      ['phone', 'laptop', 'tablet'].map((deviceIdentifier) => registerDeviceSignIn(user.id, { deviceIdentifier }))
+    );
+
+    assert.equal(results.filter((result) => result.allowed).length, 1);
+    assert.equal(devices.length, 1);
+    assert.deepEqual(locks, ['devices:user-1', 'devices:user-1', 'devices:user-1']);
+
+    const rejected = results.find((result) => !result.allowed);
+    assert.deepEqual(rejected, { allowed: false, code: 'DEVICE_LIMIT_REACHED', limits: FREE_LIMITS, current: 1 });
+  });
+
+  it('always lets an active device sign in again', async () => {
+    await registerDeviceSignIn(user.id, { deviceIdentifier: 'phone' });
+    assert.deepEqual(await registerDeviceSignIn(user.id, { deviceIdentifier: 'phone', appVersion: '2.0' }), { allowed: true });
+    assert.equal(devices[0].appVersion, '2.0');
+  });
+
+  it('counts a revoked device signing in again as a new device', async () => {
+    devices.push(
+      { id: 'device-1', userId: user.id, deviceIdentifier: 'laptop', revokedAt: null },
+      { id: 'device-2', userId: user.id, deviceIdentifier: 'phone', revokedAt: new Date() }
+    );
+
+    const result = await registerDeviceSignIn(user.id, { deviceIdentifier: 'phone' });
+    assert.equal(result.allowed, false);
+    assert.notEqual(devices[1].revokedAt, null);
+  });
+
+  describe('sign-in routes', () => {
+    let server: TestServer;
+
+    before(async () => {
+      server = await startServer((app) => {
+        app.use('/api/auth', authRoutes);
+        app.use('/api/desktop-auth', desktopAuthRoutes);
+      });
+    });
+
+    after(() => server.close());
+
+    afterEach(() => {
+      delete process.env.LEGACY_TOKEN_CUTOFF;
+    });
+
+    for (const [path, body] of [
+      ['/api/auth/apple/signin', { identityToken: 'token', userIdentifier: 'apple-user' }],
+      ['/api/auth/google/signin', { idToken: 'token' }]
+    ] as const) {
+      it(`${path} requires a device ID after the cutoff`, async () => {
+        process.env.LEGACY_TOKEN_CUTOFF = new Date(Date.now() - 1000).toISOString();
+        const response = await server.request('POST', path, { body });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'DEVICE_ID_REQUIRED');
+      });
+    }
+
+    async function desktopCode(deviceId?: string): Promise<{ code: string; codeVerifier: string }> {
+      const codeVerifier = crypto.randomBytes(32).toString('base64url');
+      const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+      const response = await server.request('POST', '/api/desktop-auth/generate-code', {
+        headers: bearer(signIn(state, user)),
+        body: { codeChallenge, deviceId }
+      });
+      return { code: response.body.code, codeVerifier };
+    }
+
+    it('desktop exchange without a device ID issues an unbound session during migration', async () => {
+      devices.push({ id: 'device-1', userId: user.id, deviceIdentifier: 'phone', revokedAt: null });
+
+      const response = await server.request('POST', '/api/desktop-auth/exchange', { body: await desktopCode() });
+
+      assert.equal(response.status, 200);
+      assert.equal(devices.length, 1);
+      assert.equal((jwt.decode(response.body.access_token) as Record<string, unknown>).deviceId, undefined);
+    });
+
+    it('desktop exchange requires a device ID after the cutoff', async () => {
+      const body = await desktopCode();
+      process.env.LEGACY_TOKEN_CUTOFF = new Date(Date.now() - 1000).toISOString();
+      const response = await server.request('POST', '/api/desktop-auth/exchange', { body });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'DEVICE_ID_REQUIRED');
+      assert.equal(devices.length, 0);
+    });
+
+    it('desktop exchange registers the device against the limit', async () => {
+      devices.push({ id: 'device-1', userId: user.id, deviceIdentifier: 'phone', revokedAt: null });
+
+      const response = await server.request('POST', '/api/desktop-auth/exchange', {
+        body: { ...(await desktopCode()), deviceId: 'desktop-1' }
+      });
+
+      assert.equal(response.status, 403);
+      assert.equal(response.body.code, 'DEVICE_LIMIT_REACHED');
+    });
+
+    it('desktop exchange uses the device ID sent with generate-code', async () => {
+      const response = await server.request('POST', '/api/desktop-auth/exchange', { body: await desktopCode('desktop-1') });
+
+      assert.equal(response.status, 200);
+      assert.equal(devices[0].deviceIdentifier, 'desktop-1');
+    });
+
+    it('desktop exchange returns the long-lived legacy token as access_token by default', async () => {
+      const response = await server.request('POST', '/api/desktop-auth/exchange', { body: await desktopCode('desktop-1') });
+      const payload = jwt.decode(response.body.access_token) as Record<string, unknown>;
+
+      assert.equal(response.body.access_token, response.body.session_token);
+      assert.equal(response.body.expires_in, 30 * 24 * 60 * 60);
+      assert.equal(payload.type, undefined);
+      assert.equal(payload.deviceId, 'desktop-1');
+      assert.ok(response.body.refresh_token);
+    });
+
+    it('desktop exchange returns a short-lived access token to builds that refresh', async () => {
+      const response = await server.request('POST', '/api/desktop-auth/exchange', {
+        body: { ...(await desktopCode('desktop-1')), legacySessionToken: false }
+      });
+
+      assert.equal(response.body.session_token, undefined);
+      assert.equal((jwt.decode(response.body.access_token) as Record<string, unknown>).type, 'access');
+      assert.equal(response.body.expires_in, 900);
+    });
+  });
+});
+
+describe('session limits', () => {
+  let sessions: any[];
+  let locks: string[];
+  let restore: () => void;
+
+  beforeEach(() => {
+    sessions = [];
+    locks = [];
+
+    // Transactions run one at a time, like the per-user advisory lock they take
+    let queue: Promise<unknown> = Promise.resolve();
+    const tx = {
+      $executeRaw: async (_strings: TemplateStringsArray, ...values: unknown[]) => {
+        locks.push(String(values[0]));
+        return 1;
+      },
+      connectionSession: {
+        count: async ({ where }: any) => sessions.filter((session) => matchesWhere(session, where)).length,
+        create: async ({ data }: any) => {
+          // Let other starts run between the count and the insert, as a real database would
+          await new Promise((resolve) => setImmediate(resolve));
+          const session = { id: `session-${sessions.length + 1}`, sessionEnd: null, ...data };
+          sessions.push(session);
+          return session;
+        }
+      }
+    };
+
+    restore = stubPrisma({
+      connectionSession: tx.connectionSession,
+      subscription: { findMany: async () => [] },
+      $transaction: (fn: (client: typeof tx) => Promise<unknown>) => {
+        const run = queue.then(() => fn(tx));
+        queue = run.catch(() => {});
+        return run;
+      }
+    });
+  });
+
+  afterEach(() => restore());
+
+  it('never lets parallel session starts exceed the limit', async () => {
+    assert.equal(FREE_LIMITS.maxConcurrentSessions, 1);
+
+    const results = await Promise.all(
+      ['ios', 'macos', 'android'].map((platform) => startSessionWithinLimit({ userId: user.id, platform }))
+    );
+
+    assert.equal(results.filter((result) => result.allowed).length, 1);
+    assert.equal(sessions.length, 1);
+    assert.deepEqual(locks, ['sessions:user-1', 'sessions:user-1', 'sessions:user-1']);
+
+    const rejected = results.find((result) => !result.allowed);
+    assert.deepEqual(rejected, { allowed: false, code: 'SESSION_LIMIT_REACHED', limits: FREE_LIMITS, current: 1 });
+  });
+
+  it('does not count sessions that stopped heartbeating', async () => {
+    sessions.push({ id: 'stale', userId: user.id, sessionEnd: null, sessionStart: new Date(0), lastHeartbeatAt: new Date(0) });
+
+    const result = await startSessionWithinLimit({ userId: user.id, platform: 'ios' });
+    assert.equal(result.allowed, true);
+  });
+});
@@ -0,0 +1,228 @@
+import crypto, { KeyObject, X509Certificate } from 'crypto';
+
+/**
+ * Local App Store certificate chains for tests
+ * Builds root -> intermediate -> leaf ECDSA P-256 certificates carrying the same
+ * marker extensions Apple uses, so verifyAppleSignedData can be exercised end to
+ * end without Apple's real keys. Certificates are DER-encoded by hand (no openssl).
+ */
+
+const OID = {
+  commonName: '2.5.4.3',
+  organization: '2.5.4.10',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  basicConstraints: '2.5.29.19',
+  keyUsage: '2.5.29.15',
+  appleLeaf: '1.2.840.113635.100.6.11.1',
+  appleIntermediate: '1.2.840.113635.100.6.2.1'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---- Minimal DER encoding ----
+
+function encodeLength(length: number): Buffer {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes: number[] = [];
+  for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+    bytes.unshift(remaining % 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag: number, content: Buffer): Buffer {
+  return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+}
+
+const sequence = (...items: Buffer[]) => tlv(0x30, Buffer.concat(items));
+const set = (...items: Buffer[]) => tlv(0x31, Buffer.concat(items));
+const explicit = (tagNumber: number, content: Buffer) => tlv(0xa0 + tagNumber, content);
+const octetString = (content: Buffer) => tlv(0x04, content);
+const utf8String = (value: string) => tlv(0x0c, Buffer.from(value, 'utf8'));
+const bitString = (content: Buffer, unusedBits = 0) => tlv(0x03, Buffer.concat([Buffer.from([unusedBits]), content]));
+const booleanTrue = () => tlv(0x01, Buffer.from([0xff]));
+const nullValue = () => tlv(0x05, Buffer.alloc(0));
+
+function integer(value: Buffer): Buffer {
+  // DER integers are signed - keep serials positive
+  return tlv(0x02, value[0]! & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value);
+}
+
+function objectIdentifier(dotted: string): Buffer {
+  const [first, second, ...rest] = dotted.split('.').map(Number) as [number, number, ...number[]];
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let remaining = arc >> 7; remaining > 0; remaining >>= 7) {
+      chunk.unshift((remaining & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+function time(date: Date): Buffer {
+  // UTCTime YYMMDDHHMMSSZ (valid for 1950-2049)
+  const iso = date.toISOString();
+  const value = iso.slice(2, 4) + iso.slice(5, 7) + iso.slice(8, 10) + iso.slice(11, 13) + iso.slice(14, 16) + iso.slice(17, 19) + 'Z';
+  return tlv(0x17, Buffer.from(value, 'ascii'));
+}
+
+function name(commonName: string): Buffer {
+  return sequence(
+    set(sequence(objectIdentifier(OID.organization), utf8String('KeenVPN Test'))),
+    set(sequence(objectIdentifier(OID.commonName), utf8String(commonName)))
+  );
+}
+
+function extension(oid: string, value: Buffer, critical = false): Buffer {
+  return critical
+    ? sequence(objectIdentifier(oid), booleanTrue(), octetString(value))
+    : sequence(objectIdentifier(oid), octetString(value));
+}
+
+// ---- Certificates ----
+
+export interface TestCertificate {
+  certificate: X509Certificate;
+  privateKey: KeyObject;
+  base64: string;
+  pem: string;
+}
+
+export interface CertificateOptions {
+  notBefore?: Date;
+  notAfter?: Date;
+}
+
+interface BuildCertificateInput extends CertificateOptions {
+  subject: string;
+  isCA: boolean;
+  markerOid?: string;
+  issuer?: { subject: string; privateKey: KeyObject };
+}
+
+const subjects = new WeakMap<TestCertificate, string>();
+
+function buildCertificate(input: BuildCertificateInput): TestCertificate {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const now = Date.now();
+  const notBefore = input.notBefore || new Date(now - DAY_MS);
+  const notAfter = input.notAfter || new Date(now + 365 * DAY_MS);
+  const signatureAlgorithm = sequence(objectIdentifier(OID.ecdsaWithSha256));
+
+  const extensions = [
+    extension(OID.basicConstraints, input.isCA ? sequence(booleanTrue()) : sequence(), true),
+    // keyCertSign + cRLSign for CAs, digitalSignature for the leaf
+    extension(OID.keyUsage, input.isCA ? bitString(Buffer.from([0x06]), 1) : bitString(Buffer.from([0x80]), 7), true)
+  ];
+  if (input.markerOid) {
+    extensions.push(extension(input.markerOid, nullValue()));
+  }
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(Buffer.from([2]))),
+    integer(crypto.randomBytes(8)),
+    signatureAlgorithm,
+    name(input.issuer ? input.issuer.subject : input.subject),
+    sequence(time(notBefore), time(notAfter)),
+    name(input.subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions))
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, input.issuer ? input.issuer.privateKey : privateKey);
+  const der = sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+  const base64 = der.toString('base64');
+
+  const result: TestCertificate = {
+    certificate: new X509Certificate(der),
+    privateKey,
+    base64,
+    pem: `-----BEGIN CERTIFICATE-----\n${base64.match(/.{1,64}/g)!.join('\n')}\n-----END CERTIFICATE-----\n`
+  };
+  subjects.set(result, input.subject);
+  return result;
+}
+
+export interface AppleTestChain {
+  root: TestCertificate;
+  intermediate: TestCertificate;
+  leaf: TestCertificate;
+}
+
+export interface AppleTestChainOptions {
+  root?: CertificateOptions;
+  intermediate?: CertificateOptions;
+  leaf?: CertificateOptions;
+  // Leave Apple's marker extensions off (looks like an ordinary CA chain)
+  withoutAppleMarkers?: boolean;
+}
+
+/**
+ * Generate a fresh root -> intermediate -> leaf chain shaped like Apple's App Store chain
+ */
+export function createAppleTestChain(options: AppleTestChainOptions = {}): AppleTestChain {
+  const root = buildCertificate({ subject: 'Test Apple Root CA', isCA: true, ...options.root });
+  const intermediate = buildCertificate({
+    subject: 'Test Apple Worldwide Developer Relations CA',
+    isCA: true,
+    markerOid: options.withoutAppleMarkers ? undefined : OID.appleIntermediate,
+    issuer: { subject: subjects.get(root)!, privateKey: root.privateKey },
+    ...options.intermediate
+  });
+  const leaf = buildCertificate({
+    subject: 'Test Prod ECC Mac App Store and iTunes Store Receipt Signing',
+    isCA: false,
+    markerOid: options.withoutAppleMarkers ? undefined : OID.appleLeaf,
+    issuer: { subject: subjects.get(intermediate)!, privateKey: intermediate.privateKey },
+    ...options.leaf
+  });
+
+  return { root, intermediate, leaf };
+}
+
+/**
+ * Sign a payload as an App Store JWS (ES256, x5c = leaf, intermediate, root)
+ */
+export function signAppleJws(payload: unknown, chain: AppleTestChain): string {
+  const header = {
+    alg: 'ES256',
+    x5c: [chain.leaf.base64, chain.intermediate.base64, chain.root.base64]
+  };
+  const encodedHeader = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    { key: chain.leaf.privateKey, dsaEncoding: 'ieee-p1363' }
+  );
+
+  return `${encodedHeader}.${encodedPayload}.${signature.toString('base64url')}`;
+}
+
+export interface AppleNotificationFixture {
+  notification: Record<string, any>;
+  transaction?: Record<string, unknown>;
+  renewal?: Record<string, unknown>;
+}
+
+/**
+ * Build a signedPayload the way Apple sends it: transaction and renewal info are
+ * signed on their own and nested inside the signed notification
+ */
+export function signAppleNotification(fixture: AppleNotificationFixture, chain: AppleTestChain): string {
+  const notification = structuredClone(fixture.notification);
+  notification.data = { ...notification.data };
+
+  if (fixture.transaction) {
+    notification.data.signedTransactionInfo = signAppleJws(fixture.transaction, chain);
+  }
+  if (fixture.renewal) {
+    notification.data.signedRenewalInfo = signAppleJws(fixture.renewal, chain);
+  }
+
+  return signAppleJws(notification, chain);
+}
@@ -0,0 +1,85 @@
+import { generateAccessToken } from '../../src/utils/auth.js';
+import { matchesWhere } from './prisma.js';
+
+export interface FakeUser {
+  id: string;
+  email: string;
+  provider?: string;
+  sessionsRevokedAt?: Date | null;
+  [key: string]: unknown;
+}
+
+export interface FakeRefreshToken {
+  id: string;
+  userId: string;
+  tokenHash: string;
+  familyId: string;
+  deviceId: string | null;
+  expiresAt: Date;
+  revokedAt: Date | null;
+  revokedReason?: string | null;
+  rotatedAt?: Date | null;
+}
+
+export interface AuthState {
+  users: FakeUser[];
+  refreshTokens: FakeRefreshToken[];
+}
+
+/**
+ * In-memory `user` and `refreshToken` delegates - enough for requireAuth and the session routes
+ */
+export function authDelegates(state: AuthState) {
+  return {
+    user: {
+      findUnique: async ({ where }: any) => state.users.find((user) => matchesWhere(user, where)) || null,
+      update: async ({ where, data }: any) => {
+        const user = state.users.find((candidate) => candidate.id === where.id);
+        if (!user) {
+          throw new Error(`User ${where.id} not found`);
+        }
+        return Object.assign(user, data);
+      }
+    },
+    refreshToken: {
+      create: async ({ data }: any) => {
+        const token: FakeRefreshToken = { id: `rt-${state.refreshTokens.length + 1}`, revokedAt: null, rotatedAt: null, ...data };
+        state.refreshTokens.push(token);
+        return token;
+      },
+      findUnique: async ({ where }: any) => state.refreshTokens.find((token) => matchesWhere(token, where)) || null,
+      findFirst: async ({ where }: any) => state.refreshTokens.find((token) => matchesWhere(token, where)) || null,
+      updateMany: async ({ where, data }: any) => {
+        const tokens = state.refreshTokens.filter((token) => matchesWhere(token, where));
+        tokens.forEach((token) => Object.assign(token, data));
+        return { count: tokens.length };
+      }
+    }
+  };
+}
+
+/**
+ * Start a session for a fake user and return its access token
+ */
+export function signIn(state: AuthState, user: FakeUser, options: { deviceId?: string } = {}): string {
+  const familyId = `family-${state.refreshTokens.length + 1}`;
+  state.refreshTokens.push({
+    id: `rt-${state.refreshTokens.length + 1}`,
+    userId: user.id,
+    tokenHash: `hash-${familyId}`,
+    familyId,
+    deviceId: options.deviceId || null,
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    revokedAt: null
+  });
+
+  return generateAccessToken({
+    userId: user.id,
+    email: user.email,
+    provider: 'apple',
+    sid: familyId,
+    ...(options.deviceId ? { deviceId: options.deviceId } : {})
+  });
+}
+
+export const bearer = (token: string) => ({ Authorization: `Bearer ${token}` });
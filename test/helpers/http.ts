@@ -0,0 +1,47 @@
+import express, { Express } from 'express';
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+
+export interface TestResponse {
+  status: number;
+  headers: Headers;
+  body: any;
+}
+
+export interface TestServer {
+  request(method: string, path: string, options?: { body?: unknown; headers?: Record<string, string> }): Promise<TestResponse>;
+  close(): Promise<void>;
+}
+
+/**
+ * Start an Express app on an ephemeral port with routers mounted by the caller
+ */
+export async function startServer(mount: (app: Express) => void): Promise<TestServer> {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+
+  const server: Server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    async request(method, path, options = {}) {
+      const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+        body: options.body === undefined ? undefined : JSON.stringify(options.body)
+      });
+      const text = await response.text();
+      return {
+        status: response.status,
+        headers: response.headers,
+        body: response.headers.get('content-type')?.includes('application/json') ? JSON.parse(text) : text
+      };
+    },
+    close() {
+      return new Promise((resolve, reject) => server.close((error) => (error ? reject(error) : resolve())));
+    }
+  };
+}
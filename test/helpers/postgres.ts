@@ -0,0 +1,44 @@
+import { readFileSync } from 'fs';
+import { PGlite, type Transaction } from '@electric-sql/pglite';
+import { Prisma } from '@prisma/client';
+
+type Queryable = PGlite | Transaction;
+
+/**
+ * In-process Postgres (PGlite) with the given migrations applied
+ * For code whose semantics live in raw SQL, which in-memory delegate stubs can't check.
+ */
+export async function createTestDatabase(migrations: string[]): Promise<PGlite> {
+  const db = new PGlite();
+
+  for (const migration of migrations) {
+    const sql = readFileSync(new URL(`../../prisma/migrations/${migration}/migration.sql`, import.meta.url), 'utf8');
+    await db.exec(sql);
+  }
+
+  return db;
+}
+
+/**
+ * Prisma raw-query stubs ($queryRaw, $executeRaw, $transaction) that run against a PGlite database
+ * Every statement is also pushed onto `statements` so tests can assert what was sent.
+ */
+export function rawQueryStubs(db: PGlite, statements: { sql: string; values: unknown[] }[] = []) {
+  const run = (client: Queryable) => {
+    const query = async (strings: TemplateStringsArray, ...values: unknown[]) => {
+      const sql = Prisma.sql(strings, ...values);
+      statements.push({ sql: sql.text, values: sql.values });
+      return client.query(sql.text, sql.values);
+    };
+
+    return {
+      $queryRaw: async (strings: TemplateStringsArray, ...values: unknown[]) => (await query(strings, ...values)).rows,
+      $executeRaw: async (strings: TemplateStringsArray, ...values: unknown[]) => (await query(strings, ...values)).affectedRows ?? 0
+    };
+  };
+
+  return {
+    ...run(db),
+    $transaction: async (fn: (tx: ReturnType<typeof run>) => unknown) => db.transaction((tx) => fn(run(tx)))
+  };
+}
@@ -0,0 +1,82 @@
+import prisma from '../../src/config/prisma.js';
+
+type StubMethods = Record<string, (...args: any[]) => unknown>;
+type Stubs = Record<string, StubMethods | ((...args: any[]) => unknown)>;
+
+/**
+ * Replace Prisma model delegates (and $-methods) with in-memory stubs
+ * Delegates are proxies, so node:test's mock.method can't wrap them - the whole
+ * delegate is swapped instead. Methods that aren't stubbed are undefined, so an
+ * unexpected query fails the test rather than reaching for a database.
+ * Returns a function that restores the real client.
+ */
+export function stubPrisma(stubs: Stubs): () => void {
+  const client = prisma as unknown as Record<string, unknown>;
+  const originals = new Map<string, unknown>();
+
+  for (const [key, value] of Object.entries(stubs)) {
+    originals.set(key, client[key]);
+    Object.defineProperty(client, key, { value, configurable: true, writable: true });
+  }
+
+  return () => {
+    for (const [key, value] of originals) {
+      Object.defineProperty(client, key, { value, configurable: true, writable: true });
+    }
+  };
+}
+
+/**
+ * $transaction stub that runs interactive transactions against the stubbed client
+ * and resolves batch transactions in order
+ */
+export async function fakeTransaction(arg: unknown): Promise<unknown> {
+  if (typeof arg === 'function') {
+    return arg(prisma);
+  }
+  return Promise.all(arg as Promise<unknown>[]);
+}
+
+export { prisma };
+
+/**
+ * Minimal Prisma `where` matcher for in-memory stubs
+ * Supports equality (including null), gt/gte/lt/lte, in/notIn, not, OR and AND
+ */
+export function matchesWhere(row: Record<string, any>, where: Record<string, any> = {}): boolean {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') {
+      return (condition as Record<string, any>[]).some((part) => matchesWhere(row, part));
+    }
+    if (key === 'AND') {
+      return (condition as Record<string, any>[]).every((part) => matchesWhere(row, part));
+    }
+
+    const value = row[key];
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return compare(value, condition) === 0;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case 'gt': return value != null && compare(value, operand) > 0;
+        case 'gte': return value != null && compare(value, operand) >= 0;
+        case 'lt': return value != null && compare(value, operand) < 0;
+        case 'lte': return value != null && compare(value, operand) <= 0;
+        case 'in': return (operand as unknown[]).some((option) => compare(value, option) === 0);
+        case 'notIn': return !(operand as unknown[]).some((option) => compare(value, option) === 0);
+        case 'not': return compare(value, operand) !== 0;
+        default: throw new Error(`matchesWhere: unsupported operator ${operator}`);
+      }
+    });
+  });
+}
+
+function compare(a: unknown, b: unknown): number {
+  if (a == null || b == null) {
+    return a == null && b == null ? 0 : 1;
+  }
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  return left === right ? 0 : (left as number) < (right as number) ? -1 : 1;
+}
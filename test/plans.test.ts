@@ -0,0 +1,328 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import appleIapRoutes from '../src/routes/apple-iap.js';
+import authRoutes from '../src/routes/auth.js';
+import subscriptionRoutes from '../src/routes/subscription.js';
+import stripe from '../src/config/stripe.js';
+import { resolveEntitlement } from '../src/utils/entitlements.js';
+import { readSeedPlan, seedPlan } from '../src/utils/plan-seed.js';
+import { authDelegates, bearer, signIn, type AuthState } from './helpers/auth.js';
+import { startServer, type TestServer } from './helpers/http.js';
+import { matchesWhere, stubPrisma } from './helpers/prisma.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const user = { id: 'user-1', email: 'user@example.com', provider: 'apple' };
+
+const annualPlan = {
+  id: 'plan-1',
+  code: 'premium_annual',
+  name: 'Premium Annual',
+  tier: 'premium',
+  billingPeriod: 'year',
+  // Prisma returns Decimal columns as Decimal objects, not numbers
+  priceAmount: { toString: () => '79.99', valueOf: () => 79.99 },
+  priceCurrency: 'EUR',
+  stripePriceId: 'price_test_annual',
+  appleProductId: 'com.keenvpn.test.annual',
+  features: ['Global servers'],
+  trialDays: 0,
+  maxDevices: 5,
+  maxConcurrentSessions: 5,
+  active: true
+};
+
+describe('readSeedPlan', () => {
+  it('builds the plan from SEED_PLAN_* variables', () => {
+    assert.deepEqual(readSeedPlan({
+      SEED_PLAN_CODE: 'premium_monthly',
+      SEED_PLAN_NAME: 'Premium Monthly',
+      SEED_PLAN_BILLING_PERIOD: 'month',
+      SEED_PLAN_PRICE_AMOUNT: '9.99',
+      SEED_PLAN_STRIPE_PRICE_ID: 'price_test_monthly',
+      SEED_PLAN_TRIAL_DAYS: '7',
+      SEED_PLAN_FEATURES: 'Global servers, No logs policy,'
+    }), {
+      code: 'premium_monthly',
+      name: 'Premium Monthly',
+      billingPeriod: 'month',
+      priceAmount: 9.99,
+      priceCurrency: 'USD',
+      stripePriceId: 'price_test_monthly',
+      appleProductId: null,
+      trialDays: 7,
+      features: ['Global servers', 'No logs policy']
+    });
+  });
+
+  it('defaults the code to DEFAULT_PLAN_CODE', () => {
+    const plan = readSeedPlan({ DEFAULT_PLAN_CODE: 'premium_yearly', SEED_PLAN_PRICE_AMOUNT: '99', SEED_PLAN_APPLE_PRODUCT_ID: 'com.keenvpn.test.annual' });
+    assert.equal(plan.code, 'premium_yearly');
+    assert.equal(plan.billingPeriod, 'year');
+  });
+
+  it('requires a price and a store ID', () => {
+    assert.throws(() => readSeedPlan({ SEED_PLAN_STRIPE_PRICE_ID: 'price_test' }), /SEED_PLAN_PRICE_AMOUNT/);
+    assert.throws(() => readSeedPlan({ SEED_PLAN_PRICE_AMOUNT: '9.99' }), /SEED_PLAN_STRIPE_PRICE_ID/);
+    assert.throws(
+      () => readSeedPlan({ SEED_PLAN_PRICE_AMOUNT: '9.99', SEED_PLAN_STRIPE_PRICE_ID: 'price_test', SEED_PLAN_BILLING_PERIOD: 'week' }),
+      /SEED_PLAN_BILLING_PERIOD/
+    );
+  });
+
+  it('rejects trial days that are not a whole number', () => {
+    const env = { SEED_PLAN_PRICE_AMOUNT: '9.99', SEED_PLAN_STRIPE_PRICE_ID: 'price_test' };
+    assert.throws(() => readSeedPlan({ ...env, SEED_PLAN_TRIAL_DAYS: 'seven' }), /SEED_PLAN_TRIAL_DAYS/);
+    assert.throws(() => readSeedPlan({ ...env, SEED_PLAN_TRIAL_DAYS: '-1' }), /SEED_PLAN_TRIAL_DAYS/);
+    assert.equal(readSeedPlan({ ...env, SEED_PLAN_TRIAL_DAYS: '7' }).trialDays, 7);
+  });
+
+  it('falls back to the pre-catalog plan variables', () => {
+    const plan = readSeedPlan({
+      STRIPE_PRICE_ID: 'price_legacy',
+      PLAN_PRICE: '100',
+      PLAN_NAME: 'Premium VPN Service',
+      PLAN_FEATURES: 'Unlimited bandwidth, Premium support'
+    });
+
+    assert.equal(plan.stripePriceId, 'price_legacy');
+    assert.equal(plan.priceAmount, 100);
+    assert.equal(plan.name, 'Premium VPN Service');
+    assert.deepEqual(plan.features, ['Unlimited bandwidth', 'Premium support']);
+  });
+});
+
+describe('plan catalog', () => {
+  let state: AuthState;
+  let plans: any[];
+  let subscriptions: any[];
+  let restore: () => void;
+
+  beforeEach(() => {
+    state = { users: [{ ...user }], refreshTokens: [] };
+    plans = [{ ...annualPlan }];
+    subscriptions = [];
+
+    restore = stubPrisma({
+      ...authDelegates(state),
+      plan: {
+        findMany: async () => plans,
+        findUnique: async ({ where }: any) => plans.find((plan) => matchesWhere(plan, where)) || null,
+        create: async ({ data }: any) => {
+          const plan = { id: `plan-${plans.length + 1}`, ...data };
+          plans.push(plan);
+          return plan;
+        },
+        update: async ({ where, data }: any) => Object.assign(plans.find((plan) => plan.id === where.id), data)
+      },
+      subscription: {
+        findMany: async ({ where }: any) => subscriptions.filter((row) => row.userId === where.userId),
+        findUnique: async ({ where }: any) => subscriptions.find((row) => matchesWhere(row, where)) || null,
+        findFirst: async ({ where }: any) => subscriptions.find((row) => matchesWhere(row, where)) || null,
+        create: async ({ data }: any) => {
+          const subscription = { id: `sub-${subscriptions.length + 1}`, ...data };
+          subscriptions.push(subscription);
+          return subscription;
+        },
+        update: async ({ where, data }: any) => Object.assign(subscriptions.find((row) => row.id === where.id), data)
+      }
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    restore();
+  });
+
+  const activeSubscription = (fields: Record<string, unknown>) => ({
+    userId: user.id,
+    status: 'active',
+    currentPeriodEnd: new Date(Date.now() + 30 * DAY_MS),
+    cancelAtPeriodEnd: false,
+    createdAt: new Date(),
+    ...fields
+  });
+
+  describe('seedPlan', () => {
+    it('creates the plan, then updates it by code', async () => {
+      const planData = readSeedPlan({ SEED_PLAN_CODE: 'premium_monthly', SEED_PLAN_PRICE_AMOUNT: '9.99', SEED_PLAN_STRIPE_PRICE_ID: 'price_test_monthly' });
+
+      const first = await seedPlan(planData);
+      const second = await seedPlan({ ...planData, priceAmount: 11.99 });
+
+      assert.equal(first.created, true);
+      assert.equal(second.created, false);
+      assert.equal(second.plan.id, first.plan.id);
+      assert.equal(plans.length, 2);
+      assert.equal(plans[1].priceAmount, 11.99);
+    });
+  });
+
+  describe('resolveEntitlement', () => {
+    it('treats a plan with an unknown tier as free', async () => {
+      plans[0].tier = 'platinum';
+      subscriptions.push(activeSubscription({ id: 'sub-1', subscriptionType: 'stripe', planId: annualPlan.code }));
+
+      const entitlement = await resolveEntitlement(user.id);
+
+      assert.equal(entitlement.tier, 'free');
+      assert.equal(entitlement.hasAccess, true);
+    });
+
+    it('still grants the paid tier to subscriptions without a catalog plan', async () => {
+      subscriptions.push(activeSubscription({ id: 'sub-1', subscriptionType: 'stripe', planId: 'price_retired' }));
+
+      assert.equal((await resolveEntitlement(user.id)).tier, 'premium');
+    });
+  });
+
+  describe('routes', () => {
+    let server: TestServer;
+
+    before(async () => {
+      server = await startServer((app) => {
+        app.use('/api/auth', authRoutes);
+        app.use('/api/apple-iap', appleIapRoutes);
+        app.use('/api/subscription', subscriptionRoutes);
+      });
+    });
+
+    after(() => server.close());
+
+    it('POST /apple-iap/link-purchase records the plan\'s price', async () => {
+      const response = await server.request('POST', '/api/apple-iap/link-purchase', {
+        headers: bearer(signIn(state, user)),
+        body: { transactionId: '1000', originalTransactionId: '1000', productId: annualPlan.appleProductId }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(subscriptions[0].priceAmount, 79.99);
+      assert.equal(subscriptions[0].priceCurrency, 'EUR');
+      assert.equal(subscriptions[0].planId, annualPlan.code);
+    });
+
+    it('POST /apple-iap/restore records each purchase at its plan\'s price', async () => {
+      const realFetch = globalThis.fetch;
+      mock.method(globalThis, 'fetch', async (url: string, init?: RequestInit) => {
+        if (!String(url).includes('itunes.apple.com')) {
+          return realFetch(url, init);
+        }
+        const expires = String(Date.now() + 30 * DAY_MS);
+        return new Response(JSON.stringify({
+          status: 0,
+          environment: 'Production',
+          receipt: {
+            in_app: [
+              { product_id: annualPlan.appleProductId, transaction_id: '2001', original_transaction_id: '2001', purchase_date_ms: String(Date.now()), expires_date_ms: expires },
+              { product_id: 'com.keenvpn.test.unknown', transaction_id: '2002', original_transaction_id: '2002', purchase_date_ms: String(Date.now()), expires_date_ms: expires }
+            ]
+          }
+        }));
+      });
+
+      const response = await server.request('POST', '/api/apple-iap/restore', {
+        headers: bearer(signIn(state, user)),
+        body: { receiptData: 'receipt' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(subscriptions.map((row) => row.priceAmount), [79.99, 0]);
+    });
+
+    it('POST /auth/verify reports the entitling subscription across stores', async () => {
+      subscriptions.push(
+        activeSubscription({ id: 'sub-apple', subscriptionType: 'apple_iap', appleProductId: annualPlan.appleProductId }),
+        { ...activeSubscription({ id: 'sub-stripe', subscriptionType: 'stripe' }), status: 'cancelled', createdAt: new Date(Date.now() + 1000) }
+      );
+
+      const response = await server.request('POST', '/api/auth/verify', { headers: bearer(signIn(state, user)) });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.subscription.status, 'active');
+      assert.equal(response.body.subscription.tier, 'premium');
+    });
+
+    it('POST /auth/verify reports no subscription without access', async () => {
+      subscriptions.push({ ...activeSubscription({ id: 'sub-1', subscriptionType: 'stripe' }), currentPeriodEnd: new Date(Date.now() - DAY_MS) });
+
+      const response = await server.request('POST', '/api/auth/verify', { headers: bearer(signIn(state, user)) });
+
+      assert.equal(response.body.subscription, null);
+    });
+
+    it('POST /subscription/cancel cancels the subscription the entitlement is based on', async () => {
+      subscriptions.push(
+        activeSubscription({ id: 'sub-grace', subscriptionType: 'stripe', status: 'past_due', createdAt: new Date(Date.now() + 1000) }),
+        activeSubscription({ id: 'sub-apple', subscriptionType: 'apple_iap', appleProductId: annualPlan.appleProductId })
+      );
+
+      const response = await server.request('POST', '/api/subscription/cancel', { headers: bearer(signIn(state, user)) });
+
+      assert.equal(response.status, 200);
+      assert.equal(subscriptions.find((row) => row.id === 'sub-apple').cancelAtPeriodEnd, true);
+      assert.equal(subscriptions.find((row) => row.id === 'sub-grace').cancelAtPeriodEnd, false);
+    });
+
+    it('POST /subscription/cancel returns 404 without access', async () => {
+      const response = await server.request('POST', '/api/subscription/cancel', { headers: bearer(signIn(state, user)) });
+      assert.equal(response.status, 404);
+    });
+
+    describe('POST /subscription/create-checkout-session', () => {
+      let checkoutSessions: any[];
+
+      beforeEach(() => {
+        checkoutSessions = [];
+        mock.method(stripe.checkout.sessions, 'create', async (params: any) => {
+          checkoutSessions.push(params);
+          return { id: 'cs_test', url: 'https://checkout.stripe.test/cs_test' };
+        });
+      });
+
+      afterEach(() => {
+        delete process.env.STRIPE_PRICE_ID;
+      });
+
+      const checkout = (body: Record<string, unknown> = {}) =>
+        server.request('POST', '/api/subscription/create-checkout-session', { headers: bearer(signIn(state, user)), body });
+
+      it('checks out the catalog plan', async () => {
+        const response = await checkout({ plan: annualPlan.code });
+
+        assert.equal(response.status, 200);
+        assert.equal(checkoutSessions[0].line_items[0].price, annualPlan.stripePriceId);
+        assert.equal(checkoutSessions[0].metadata.plan, annualPlan.code);
+      });
+
+      it('sells STRIPE_PRICE_ID as the default plan until the catalog is seeded', async () => {
+        plans = [];
+        process.env.STRIPE_PRICE_ID = 'price_legacy';
+
+        const response = await checkout();
+
+        assert.equal(response.status, 200);
+        assert.equal(checkoutSessions[0].line_items[0].price, 'price_legacy');
+        assert.equal(checkoutSessions[0].metadata.plan, 'premium_yearly');
+      });
+
+      it('rejects plans missing from a seeded catalog', async () => {
+        process.env.STRIPE_PRICE_ID = 'price_legacy';
+
+        const response = await checkout();
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'INVALID_PLAN');
+        assert.equal(checkoutSessions.length, 0);
+      });
+
+      it('rejects checkout with an empty catalog and no STRIPE_PRICE_ID', async () => {
+        plans = [];
+
+        const response = await checkout();
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'INVALID_PLAN');
+      });
+    });
+  });
+});
@@ -0,0 +1,295 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import type Stripe from 'stripe';
+import WebhookEvent, { CLAIM_RENEW_MS } from '../src/models/WebhookEvent.js';
+import { processStripeEvent } from '../src/utils/stripe-webhook.js';
+import { stubPrisma } from './helpers/prisma.js';
+import { createTestDatabase, rawQueryStubs } from './helpers/postgres.js';
+import type { PGlite } from '@electric-sql/pglite';
+
+function stripeEvent(type: string, object: Record<string, unknown> = {}): Stripe.Event {
+  return {
+    id: `evt_${type}`,
+    type,
+    created: 1760000000,
+    data: { object: { object: 'subscription', id: 'sub_123', customer: 'cus_123', ...object } }
+  } as unknown as Stripe.Event;
+}
+
+const mockOf = (fn: unknown) => (fn as { mock: any }).mock;
+
+describe('processStripeEvent', () => {
+  let calls: string[];
+  let restorePrisma: (() => void) | null;
+
+  beforeEach(() => {
+    calls = [];
+    restorePrisma = null;
+    mock.method(WebhookEvent.prototype, 'findOrCreate', async () => ({ status: 'pending' }));
+    mock.method(WebhookEvent.prototype, 'claim', async () => ({ attempts: 3, superseded: false }));
+    mock.method(WebhookEvent.prototype, 'renewClaim', async () => {
+      calls.push('renew');
+      return true;
+    });
+    mock.method(WebhookEvent.prototype, 'markProcessed', async (_id: string, attempts: number) => {
+      calls.push(`processed:${attempts}`);
+    });
+    mock.method(WebhookEvent.prototype, 'markFailed', async (_id: string, attempts: number) => {
+      calls.push(`failed:${attempts}`);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+    restorePrisma?.();
+  });
+
+  // customer.subscription.deleted looks the subscription up first - let the test decide when that returns
+  function slowHandler(): { finish: (error?: Error) => void } {
+    let finish!: (error?: Error) => void;
+    const lookup = new Promise<null>((resolve, reject) => {
+      finish = (error) => (error ? reject(error) : resolve(null));
+    });
+    restorePrisma = stubPrisma({
+      subscription: {
+        findUnique: () => {
+          calls.push('handler');
+          return lookup;
+        }
+      }
+    });
+    return { finish };
+  }
+
+  it('reports already processed events as duplicates', async () => {
+    mockOf(WebhookEvent.prototype.findOrCreate).mockImplementation(async () => ({ status: 'processed' }));
+
+    assert.equal(await processStripeEvent(stripeEvent('customer.subscription.updated')), 'duplicate');
+    assert.equal(mockOf(WebhookEvent.prototype.claim).callCount(), 0);
+  });
+
+  it('claims subscription state events with per-subscription ordering', async () => {
+    mockOf(WebhookEvent.prototype.claim).mockImplementation(async () => null);
+
+    await processStripeEvent(stripeEvent('invoice.payment_failed', { object: 'invoice', subscription: 'sub_123' }));
+    await processStripeEvent(stripeEvent('customer.subscription.updated'));
+
+    const claims = mockOf(WebhookEvent.prototype.claim).calls.map((call: any) => call.arguments[1]);
+    assert.equal(claims[0].ordering, undefined);
+    assert.deepEqual(claims[1].ordering, { stripeSubscriptionId: 'sub_123', eventCreatedAt: new Date(1760000000 * 1000) });
+  });
+
+  it('does not run the handler when another claim holds the event or its subscription', async () => {
+    mockOf(WebhookEvent.prototype.claim).mockImplementation(async () => null);
+    slowHandler();
+
+    assert.equal(await processStripeEvent(stripeEvent('customer.subscription.deleted')), 'in_progress');
+    assert.deepEqual(calls, []);
+  });
+
+  it('skips superseded events without running the handler', async () => {
+    mockOf(WebhookEvent.prototype.claim).mockImplementation(async () => ({ attempts: 1, superseded: true }));
+    slowHandler();
+
+    assert.equal(await processStripeEvent(stripeEvent('customer.subscription.updated')), 'skipped');
+    assert.deepEqual(calls, []);
+  });
+
+  it('marks the event processed under its claim', async () => {
+    assert.equal(await processStripeEvent(stripeEvent('invoice.payment_failed')), 'processed');
+    assert.deepEqual(calls, ['processed:3']);
+  });
+
+  it('renews the claim while the handler runs and stops afterwards', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const handler = slowHandler();
+
+    const result = processStripeEvent(stripeEvent('customer.subscription.deleted'));
+    await new Promise((resolve) => setImmediate(resolve));
+    mock.timers.tick(CLAIM_RENEW_MS * 2);
+    handler.finish();
+    assert.equal(await result, 'processed');
+
+    mock.timers.tick(CLAIM_RENEW_MS * 2);
+    assert.deepEqual(calls, ['handler', 'renew', 'renew', 'processed:3']);
+  });
+
+  it('only marks the event failed after the handler has failed', async () => {
+    const handler = slowHandler();
+
+    const result = processStripeEvent(stripeEvent('customer.subscription.deleted'));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(calls, ['handler']);
+
+    handler.finish(new Error('database unavailable'));
+    await assert.rejects(result, /database unavailable/);
+    assert.deepEqual(calls, ['handler', 'failed:3']);
+  });
+});
+
+describe('WebhookEvent', () => {
+  let restore: () => void;
+
+  afterEach(() => restore?.());
+
+  it('claims ordered events under a subscription lock in a single conditional update', async () => {
+    const statements: { sql: string; values: unknown[] }[] = [];
+    const record = (strings: TemplateStringsArray | { strings: string[]; values: unknown[] }, ...values: unknown[]) => {
+      statements.push({ sql: Array.from(strings as ArrayLike<string>).join('?'), values });
+    };
+    const tx = {
+      $executeRaw: async (strings: TemplateStringsArray, ...values: unknown[]) => {
+        record(strings, ...values);
+        return 1;
+      },
+      $queryRaw: async (strings: TemplateStringsArray, ...values: unknown[]) => {
+        record(strings, ...values);
+        return [{ status: 'skipped', attempts: 2 }];
+      }
+    };
+    restore = stubPrisma({ $transaction: async (fn: (client: typeof tx) => unknown) => fn(tx) });
+
+    const claim = await new WebhookEvent().claim('evt_1', {
+      ordering: { stripeSubscriptionId: 'sub_123', eventCreatedAt: new Date('2025-10-01T00:00:00Z') }
+    });
+
+    assert.deepEqual(claim, { attempts: 2, superseded: true });
+    assert.equal(statements.length, 2);
+    assert.match(statements[0]!.sql, /pg_advisory_xact_lock/);
+    assert.deepEqual(statements[0]!.values, ['sub_123']);
+    assert.match(statements[1]!.sql, /UPDATE "webhook_events"/);
+    assert.match(statements[1]!.sql, /NOT EXISTS/);
+  });
+
+  it('returns no claim when the update matches nothing', async () => {
+    restore = stubPrisma({ $queryRaw: async () => [] });
+    assert.equal(await new WebhookEvent().claim('evt_1'), null);
+  });
+
+  it('only writes an outcome while the claim still holds', async () => {
+    const wheres: unknown[] = [];
+    restore = stubPrisma({
+      webhookEvent: {
+        updateMany: async ({ where }: any) => {
+          wheres.push(where);
+          return { count: 0 };
+        }
+      }
+    });
+
+    await new WebhookEvent().markProcessed('evt_1', 4);
+    assert.deepEqual(wheres, [{ stripeEventId: 'evt_1', status: 'processing', attempts: 4 }]);
+  });
+});
+
+describe('WebhookEvent.claim against Postgres', () => {
+  const MINUTE_MS = 60 * 1000;
+  let db: PGlite;
+  let statements: { sql: string; values: unknown[] }[];
+  let restore: () => void;
+
+  before(async () => {
+    db = await createTestDatabase(['20251021090000_add_webhook_events']);
+  });
+
+  after(() => db.close());
+
+  beforeEach(async () => {
+    await db.exec('DELETE FROM "webhook_events"');
+    statements = [];
+    restore = stubPrisma(rawQueryStubs(db, statements));
+  });
+
+  afterEach(() => restore());
+
+  const insertEvent = (stripeEventId: string, fields: { status?: string; attempts?: number; createdAt?: Date; updatedAt?: Date } = {}) =>
+    db.query(
+      `INSERT INTO "webhook_events"
+        ("id", "stripe_event_id", "type", "payload", "status", "attempts", "stripe_subscription_id", "event_created_at", "updated_at")
+       VALUES ($1, $1, 'customer.subscription.updated', '{}', $2, $3, 'sub_123', $4, $5)`,
+      [
+        stripeEventId,
+        fields.status || 'pending',
+        fields.attempts || 0,
+        fields.createdAt || new Date('2025-10-01T00:00:00Z'),
+        fields.updatedAt || new Date()
+      ]
+    );
+
+  const statusOf = async (stripeEventId: string) =>
+    (await db.query<{ status: string; attempts: number }>(
+      'SELECT "status", "attempts" FROM "webhook_events" WHERE "stripe_event_id" = $1',
+      [stripeEventId]
+    )).rows[0];
+
+  const ordering = (eventCreatedAt: string) => ({ ordering: { stripeSubscriptionId: 'sub_123', eventCreatedAt: new Date(eventCreatedAt) } });
+
+  it('claims a pending event once', async () => {
+    await insertEvent('evt_1');
+    const model = new WebhookEvent();
+
+    assert.deepEqual(await model.claim('evt_1'), { attempts: 1, superseded: false });
+    assert.equal(await model.claim('evt_1'), null);
+    assert.deepEqual(await statusOf('evt_1'), { status: 'processing', attempts: 1 });
+  });
+
+  it('reclaims failed and stale events, and processed ones only when forced', async () => {
+    await insertEvent('evt_failed', { status: 'failed', attempts: 1 });
+    await insertEvent('evt_stale', { status: 'processing', attempts: 1, updatedAt: new Date(Date.now() - 10 * MINUTE_MS) });
+    await insertEvent('evt_processed', { status: 'processed', attempts: 1 });
+    const model = new WebhookEvent();
+
+    assert.deepEqual(await model.claim('evt_failed'), { attempts: 2, superseded: false });
+    assert.deepEqual(await model.claim('evt_stale'), { attempts: 2, superseded: false });
+    assert.equal(await model.claim('evt_processed'), null);
+    assert.deepEqual(await model.claim('evt_processed', { force: true }), { attempts: 2, superseded: false });
+  });
+
+  it('marks an ordered event skipped when a newer one was already applied', async () => {
+    await insertEvent('evt_new', { status: 'processed', attempts: 1, createdAt: new Date('2025-10-02T00:00:00Z') });
+    await insertEvent('evt_old');
+
+    const claim = await new WebhookEvent().claim('evt_old', ordering('2025-10-01T00:00:00Z'));
+
+    assert.deepEqual(claim, { attempts: 1, superseded: true });
+    assert.deepEqual(await statusOf('evt_old'), { status: 'skipped', attempts: 1 });
+  });
+
+  it('claims an ordered event newer than the last one applied', async () => {
+    await insertEvent('evt_old', { status: 'processed', attempts: 1 });
+    await insertEvent('evt_new', { createdAt: new Date('2025-10-02T00:00:00Z') });
+
+    const claim = await new WebhookEvent().claim('evt_new', ordering('2025-10-02T00:00:00Z'));
+
+    assert.deepEqual(claim, { attempts: 1, superseded: false });
+    assert.deepEqual(await statusOf('evt_new'), { status: 'processing', attempts: 1 });
+  });
+
+  it('refuses an ordered event while another event for the subscription is processing', async () => {
+    await insertEvent('evt_running', { status: 'processing', attempts: 1 });
+    await insertEvent('evt_next', { createdAt: new Date('2025-10-02T00:00:00Z') });
+    const model = new WebhookEvent();
+
+    assert.equal(await model.claim('evt_next', ordering('2025-10-02T00:00:00Z')), null);
+    assert.deepEqual(await statusOf('evt_next'), { status: 'pending', attempts: 0 });
+
+    // Once the other claim goes stale it no longer blocks the subscription
+    await db.query('UPDATE "webhook_events" SET "updated_at" = $1 WHERE "stripe_event_id" = $2', [
+      new Date(Date.now() - 10 * MINUTE_MS),
+      'evt_running'
+    ]);
+    assert.deepEqual(await model.claim('evt_next', ordering('2025-10-02T00:00:00Z')), { attempts: 1, superseded: false });
+  });
+
+  it('takes the subscription lock before the conditional update', async () => {
+    await insertEvent('evt_1');
+    await new WebhookEvent().claim('evt_1', ordering('2025-10-01T00:00:00Z'));
+
+    assert.equal(statements.length, 2);
+    assert.match(statements[0]!.sql, /pg_advisory_xact_lock\(hashtext\(\$1\)\)/);
+    assert.deepEqual(statements[0]!.values, ['sub_123']);
+    assert.match(statements[1]!.sql, /^\s*WITH "newer"/);
+    assert.ok(statements[1]!.values.includes('evt_1'));
+  });
+});
@@ -0,0 +1,179 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import deviceRoutes from '../src/routes/devices.js';
+import serverRoutes from '../src/routes/servers.js';
+import { issueWireGuardProfile } from '../src/utils/vpn-config.js';
+import { executeAccountDeletion } from '../src/utils/account-deletion.js';
+import { authDelegates, bearer, signIn, type AuthState } from './helpers/auth.js';
+import { startServer, type TestServer } from './helpers/http.js';
+import { matchesWhere, stubPrisma } from './helpers/prisma.js';
+
+const user = { id: 'user-1', email: 'user@example.com', provider: 'apple' };
+
+const vpnServer = {
+  id: 'server-1',
+  name: 'Frankfurt 1',
+  hostname: 'fra1.keenvpn.test',
+  port: 51820,
+  publicKey: 'c2VydmVyLXB1YmxpYy1rZXktZm9yLXRlc3RzLW9ubHk=',
+  addressPool: '10.8.0.0/24',
+  dns: '1.1.1.1',
+  capacity: 10,
+  status: 'online',
+  premiumOnly: false
+} as any;
+
+describe('VPN peers', () => {
+  let state: AuthState;
+  let peers: any[];
+  let devices: any[];
+  let restore: () => void;
+
+  beforeEach(() => {
+    state = { users: [{ ...user }], refreshTokens: [] };
+    peers = [];
+    devices = [];
+
+    const auth = authDelegates(state);
+
+    restore = stubPrisma({
+      user: {
+        ...auth.user,
+        delete: async ({ where }: any) => {
+          state.users = state.users.filter((candidate) => candidate.id !== where.id);
+          return { id: where.id };
+        }
+      },
+      refreshToken: auth.refreshToken,
+      subscription: { findMany: async () => [] },
+      accountDeletion: { updateMany: async () => ({ count: 1 }), update: async ({ data }: any) => data },
+      device: {
+        findUnique: async ({ where }: any) => devices.find((device) => device.id === where.id) || null,
+        update: async ({ where, data }: any) => Object.assign(devices.find((device) => device.id === where.id), data)
+      },
+      vpnServer: { findUnique: async ({ where }: any) => (where.id === vpnServer.id ? vpnServer : null) },
+      vpnPeer: {
+        findFirst: async ({ where }: any) => peers.find((peer) => matchesWhere(peer, where)) || null,
+        findMany: async ({ where }: any) =>
+          peers.filter((peer) => peer.serverId === where.serverId && peer.address !== null),
+        count: async ({ where }: any) => peers.filter((peer) => matchesWhere(peer, where)).length,
+        create: async ({ data }: any) => {
+          const peer = { id: `peer-${peers.length + 1}`, revokedAt: null, ...data };
+          peers.push(peer);
+          return peer;
+        },
+        update: async ({ where, data }: any) => Object.assign(peers.find((peer) => peer.id === where.id), data),
+        updateMany: async ({ where, data }: any) => {
+          const matched = peers.filter((peer) => matchesWhere(peer, where));
+          matched.forEach((peer) => Object.assign(peer, data));
+          return { count: matched.length };
+        }
+      }
+    });
+  });
+
+  afterEach(() => restore());
+
+  describe('issueWireGuardProfile', () => {
+    it('gives each device its own peer and address', async () => {
+      const phone = await issueWireGuardProfile(user.id, vpnServer, 'phone');
+      const laptop = await issueWireGuardProfile(user.id, vpnServer, 'laptop');
+
+      assert.equal(peers.length, 2);
+      assert.notEqual(phone.peerId, laptop.peerId);
+      assert.equal(phone.address, '10.8.0.2');
+      assert.equal(laptop.address, '10.8.0.3');
+      assert.equal(peers.find((peer) => peer.deviceId === 'phone').publicKey, phone.publicKey);
+    });
+
+    it('rotates the key of the device\'s existing peer and keeps its address', async () => {
+      const first = await issueWireGuardProfile(user.id, vpnServer, 'phone');
+      await issueWireGuardProfile(user.id, vpnServer, 'laptop');
+      const second = await issueWireGuardProfile(user.id, vpnServer, 'phone');
+
+      assert.equal(peers.length, 2);
+      assert.equal(second.peerId, first.peerId);
+      assert.equal(second.address, first.address);
+      assert.notEqual(second.publicKey, first.publicKey);
+      assert.equal(peers.find((peer) => peer.deviceId === 'laptop').address, '10.8.0.3');
+    });
+  });
+
+  describe('routes', () => {
+    let server: TestServer;
+
+    before(async () => {
+      server = await startServer((app) => {
+        app.use('/api/servers', serverRoutes);
+        app.use('/api/devices', deviceRoutes);
+      });
+    });
+
+    after(() => server.close());
+
+    it('POST /api/servers/:id/config gives sessions without a device one shared peer during migration', async () => {
+      const first = await server.request('POST', `/api/servers/${vpnServer.id}/config`, { headers: bearer(signIn(state, user)) });
+      const second = await server.request('POST', `/api/servers/${vpnServer.id}/config`, { headers: bearer(signIn(state, user)) });
+
+      assert.equal(first.status, 200);
+      assert.equal(second.body.data.address, first.body.data.address);
+      assert.equal(peers.length, 1);
+      assert.equal(peers[0].deviceId, null);
+    });
+
+    it('POST /api/servers/:id/config requires a device-bound session after the cutoff', async () => {
+      process.env.LEGACY_TOKEN_CUTOFF = new Date(Date.now() - 1000).toISOString();
+      try {
+        const response = await server.request('POST', `/api/servers/${vpnServer.id}/config`, {
+          headers: bearer(signIn(state, user))
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'DEVICE_ID_REQUIRED');
+        assert.equal(peers.length, 0);
+      } finally {
+        delete process.env.LEGACY_TOKEN_CUTOFF;
+      }
+    });
+
+    it('POST /api/servers/:id/config issues a peer for the session\'s device', async () => {
+      const response = await server.request('POST', `/api/servers/${vpnServer.id}/config`, {
+        headers: bearer(signIn(state, user, { deviceId: 'phone' }))
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.address, '10.8.0.2');
+      assert.equal(peers[0].deviceId, 'phone');
+    });
+
+    it('DELETE /api/devices/:id revokes that device\'s peers only', async () => {
+      devices.push({ id: 'device-1', userId: user.id, deviceIdentifier: 'phone', revokedAt: null });
+      await issueWireGuardProfile(user.id, vpnServer, 'phone');
+      await issueWireGuardProfile(user.id, vpnServer, 'laptop');
+
+      const response = await server.request('DELETE', '/api/devices/device-1', {
+        headers: bearer(signIn(state, user, { deviceId: 'laptop' }))
+      });
+
+      assert.equal(response.status, 200);
+      const phonePeer = peers.find((peer) => peer.deviceId === 'phone');
+      assert.notEqual(phonePeer.revokedAt, null);
+      assert.equal(phonePeer.revokedReason, 'device_revoked');
+      assert.equal(phonePeer.address, null);
+      assert.equal(peers.find((peer) => peer.deviceId === 'laptop').revokedAt, null);
+    });
+  });
+
+  it('account deletion revokes every peer the user holds', async () => {
+    await issueWireGuardProfile(user.id, vpnServer, 'phone');
+    await issueWireGuardProfile(user.id, vpnServer, 'laptop');
+    peers.push({ id: 'peer-other', userId: 'user-2', serverId: vpnServer.id, deviceId: 'phone', address: '10.8.0.9', revokedAt: null });
+
+    await executeAccountDeletion({ id: 'deletion-1', userId: user.id } as any);
+
+    const own = peers.filter((peer) => peer.userId === user.id);
+    assert.ok(own.every((peer) => peer.revokedReason === 'account_deleted' && peer.address === null));
+    assert.equal(peers.find((peer) => peer.id === 'peer-other').revokedAt, null);
+    assert.equal(state.users.length, 0);
+  });
+});